@@ -0,0 +1,38 @@
+// Quota plans. Limits are per user and per UTC day / month; `null` means unlimited.
+// The plan of a user comes from its API key entry or the `plan` claim of its JWT.
+
+const plans = {
+  // Unauthenticated callers when AUTH_MODE=optional, tracked per IP
+  anonymous: {
+    daily: { requests: 30, tokens: 20000 },
+    monthly: { requests: 300, tokens: 200000 }
+  },
+  free: {
+    daily: { requests: 100, tokens: 100000 },
+    monthly: { requests: 2000, tokens: 2000000 }
+  },
+  pro: {
+    daily: { requests: 1000, tokens: 1000000 },
+    monthly: { requests: 20000, tokens: 20000000 }
+  },
+  // Shared accounts for classrooms behind one NAT
+  school: {
+    daily: { requests: 5000, tokens: 5000000 },
+    monthly: { requests: 100000, tokens: 100000000 }
+  },
+  // Internal tools such as the lesson importer
+  internal: {
+    daily: { requests: null, tokens: null },
+    monthly: { requests: null, tokens: null }
+  }
+};
+
+const DEFAULT_PLAN = process.env.DEFAULT_PLAN || 'free';
+
+const getPlan = (name) => plans[name] || plans[DEFAULT_PLAN];
+
+module.exports = {
+  plans,
+  DEFAULT_PLAN,
+  getPlan
+};
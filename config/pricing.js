@@ -0,0 +1,51 @@
+// Model prices in USD per 1M tokens, used to estimate the cost of each call.
+// Matched by the longest model name prefix; check the provider's price list
+// when adding a model. A provider with its own entry (the mock provider,
+// whatever model it stands in for) always uses that price. Override for every model with MODEL_PRICE_INPUT_PER_1M
+// and MODEL_PRICE_OUTPUT_PER_1M (e.g. for negotiated pricing).
+
+const prices = {
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'gemini-1.0-pro': { input: 0.5, output: 1.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'mock': { input: 0, output: 0 }
+};
+
+const UNKNOWN_PRICE = { input: 0, output: 0 };
+
+const priceFor = (model = '', provider) => {
+  if (provider && prices[provider]) {
+    return { ...prices[provider], known: true };
+  }
+
+  const name = String(model).split('/').pop();
+  const match = Object.keys(prices)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  const price = match ? prices[match] : UNKNOWN_PRICE;
+
+  return {
+    input: parseFloat(process.env.MODEL_PRICE_INPUT_PER_1M) || price.input,
+    output: parseFloat(process.env.MODEL_PRICE_OUTPUT_PER_1M) || price.output,
+    known: Boolean(match) || Boolean(process.env.MODEL_PRICE_INPUT_PER_1M)
+  };
+};
+
+// Estimated cost in USD of a call
+const estimateCost = (model, promptTokens, outputTokens, provider) => {
+  const price = priceFor(model, provider);
+  return (promptTokens * price.input + outputTokens * price.output) / 1e6;
+};
+
+module.exports = {
+  prices,
+  priceFor,
+  estimateCost
+};
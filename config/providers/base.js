@@ -0,0 +1,169 @@
+// Shared building blocks for LLM providers.
+// Every provider exposes the same shape as the Vertex AI SDK so route handlers
+// can keep calling `model.generateContent()` / `generateContentStream()` /
+// `startChat()` and reading `response.text()` regardless of the backend.
+
+// Convert a string or partial request into { contents, systemInstruction, ... }
+const normalizeRequest = (request) => {
+  if (typeof request === 'string') {
+    return { contents: [{ role: 'user', parts: [{ text: request }] }] };
+  }
+
+  if (Array.isArray(request)) {
+    return { contents: [{ role: 'user', parts: request.map(toPart) }] };
+  }
+
+  const contents = (request.contents || []).map(content => ({
+    role: content.role || 'user',
+    parts: (content.parts || []).map(toPart)
+  }));
+
+  return { ...request, contents };
+};
+
+const toPart = (part) => (typeof part === 'string' ? { text: part } : part);
+
+// Normalize a system instruction (string or Content) to plain text
+const systemInstructionText = (systemInstruction) => {
+  if (!systemInstruction) return '';
+  if (typeof systemInstruction === 'string') return systemInstruction;
+  return (systemInstruction.parts || []).map(part => part.text || '').join('');
+};
+
+// Concatenate the text parts of a Content list, used by mock and token estimates
+const contentsText = (contents = []) => contents
+  .map(content => content.parts.map(part => part.text || '').join(''))
+  .join('\n');
+
+// Extract text from the first candidate of a Vertex/Gemini style response
+const candidateText = (response) => {
+  const candidate = response?.candidates?.[0];
+  if (!candidate?.content?.parts) return '';
+  return candidate.content.parts.map(part => part.text || '').join('');
+};
+
+// Give a raw response object the `text()` helper routes rely on
+const wrapResponse = (raw = {}) => {
+  const response = { ...raw };
+  const nativeText = typeof raw.text === 'function' ? raw.text.bind(raw) : null;
+  response.text = () => (nativeText ? nativeText() : candidateText(raw));
+  return response;
+};
+
+// Rough token estimate (~4 characters per token) for providers without counts
+const estimateTokens = (text = '') => Math.max(1, Math.ceil(text.length / 4));
+
+class ChatSession {
+  constructor(model, { history = [], systemInstruction, generationConfig } = {}) {
+    this.model = model;
+    this.history = normalizeRequest({ contents: history }).contents;
+    this.systemInstruction = systemInstruction;
+    this.generationConfig = generationConfig;
+  }
+
+  buildRequest(message) {
+    const userContent = normalizeRequest(
+      Array.isArray(message) ? message : [message]
+    ).contents[0];
+
+    return {
+      request: {
+        contents: [...this.history, userContent],
+        ...(this.systemInstruction && { systemInstruction: this.systemInstruction }),
+        ...(this.generationConfig && { generationConfig: this.generationConfig })
+      },
+      userContent
+    };
+  }
+
+  async sendMessage(message) {
+    const { request, userContent } = this.buildRequest(message);
+    const result = await this.model.generateContent(request);
+    const response = await result.response;
+
+    this.history.push(userContent, {
+      role: 'model',
+      parts: [{ text: response.text() }]
+    });
+
+    return result;
+  }
+
+  async sendMessageStream(message) {
+    const { request, userContent } = this.buildRequest(message);
+    const result = await this.model.generateContentStream(request);
+
+    const response = result.response.then((final) => {
+      this.history.push(userContent, {
+        role: 'model',
+        parts: [{ text: final.text() }]
+      });
+      return final;
+    });
+
+    return { stream: result.stream, response };
+  }
+
+  async getHistory() {
+    return this.history;
+  }
+}
+
+class BaseGenerativeModel {
+  constructor({ model, generationConfig = {}, systemInstruction, safetySettings } = {}) {
+    this.model = model;
+    this.generationConfig = generationConfig;
+    this.systemInstruction = systemInstruction;
+    this.safetySettings = safetySettings;
+  }
+
+  // Merge per-call settings over the defaults the model was created with
+  prepare(request) {
+    const normalized = normalizeRequest(request);
+    return {
+      ...normalized,
+      generationConfig: { ...this.generationConfig, ...(normalized.generationConfig || {}) },
+      systemInstruction: normalized.systemInstruction || this.systemInstruction,
+      safetySettings: normalized.safetySettings || this.safetySettings
+    };
+  }
+
+  // Providers implement this; it must resolve to a wrapped response
+  async generate() {
+    throw new Error(`${this.constructor.name} does not implement generate()`);
+  }
+
+  async generateContent(request) {
+    const response = await this.generate(this.prepare(request));
+    return { response };
+  }
+
+  // Fallback streaming: a single chunk containing the whole answer
+  async generateContentStream(request) {
+    const response = await this.generate(this.prepare(request));
+
+    async function* stream() {
+      yield response;
+    }
+
+    return { stream: stream(), response: Promise.resolve(response) };
+  }
+
+  startChat(options = {}) {
+    return new ChatSession(this, {
+      systemInstruction: this.systemInstruction,
+      ...options
+    });
+  }
+}
+
+module.exports = {
+  BaseGenerativeModel,
+  ChatSession,
+  normalizeRequest,
+  systemInstructionText,
+  contentsText,
+  candidateText,
+  wrapResponse,
+  estimateTokens
+};
@@ -0,0 +1,161 @@
+const { BaseGenerativeModel, wrapResponse, candidateText } = require('./base');
+
+const DEFAULT_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Split a server-sent events body into parsed `data:` JSON payloads
+async function* readSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const event = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = event
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+
+      if (data && data !== '[DONE]') {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+// Build the REST body; the API expects systemInstruction as a Content object
+const toRequestBody = (request) => {
+  const { contents, generationConfig, safetySettings, systemInstruction } = request;
+
+  return {
+    contents,
+    generationConfig,
+    ...(safetySettings && { safetySettings }),
+    ...(systemInstruction && {
+      systemInstruction: typeof systemInstruction === 'string'
+        ? { parts: [{ text: systemInstruction }] }
+        : systemInstruction
+    })
+  };
+};
+
+const apiError = async (res) => {
+  let details = '';
+  try {
+    const body = await res.json();
+    details = body.error?.message || JSON.stringify(body);
+  } catch (error) {
+    details = res.statusText;
+  }
+
+  const error = new Error(`Gemini API request failed (${res.status}): ${details}`);
+  error.code = res.status;
+  return error;
+};
+
+// Gemini API (generativelanguage.googleapis.com) authenticated with an API key
+class GeminiGenerativeModel extends BaseGenerativeModel {
+  constructor(provider, options) {
+    super(options);
+    this.provider = provider;
+  }
+
+  url(method) {
+    const { baseUrl, apiKey } = this.provider;
+    const query = method === 'streamGenerateContent' ? `alt=sse&key=${apiKey}` : `key=${apiKey}`;
+    return `${baseUrl}/models/${this.model}:${method}?${query}`;
+  }
+
+  async post(method, request) {
+    const res = await fetch(this.url(method), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toRequestBody(request))
+    });
+
+    if (!res.ok) {
+      throw await apiError(res);
+    }
+
+    return res;
+  }
+
+  async generate(request) {
+    const res = await this.post('generateContent', request);
+    return wrapResponse(await res.json());
+  }
+
+  async generateContentStream(request) {
+    const res = await this.post('streamGenerateContent', this.prepare(request));
+
+    let resolveFinal;
+    let rejectFinal;
+    const response = new Promise((resolve, reject) => {
+      resolveFinal = resolve;
+      rejectFinal = reject;
+    });
+    // Avoid unhandled rejections when callers only consume the stream
+    response.catch(() => {});
+
+    async function* stream() {
+      let text = '';
+      let last = {};
+      try {
+        for await (const chunk of readSSE(res.body)) {
+          text += candidateText(chunk);
+          last = chunk;
+          yield wrapResponse(chunk);
+        }
+
+        const candidate = last.candidates?.[0] || {};
+        resolveFinal(wrapResponse({
+          ...last,
+          candidates: [{ ...candidate, content: { role: 'model', parts: [{ text }] } }]
+        }));
+      } catch (error) {
+        rejectFinal(error);
+        throw error;
+      }
+    }
+
+    return { stream: stream(), response };
+  }
+}
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.apiKey = process.env.GEMINI_API_KEY;
+    this.baseUrl = process.env.GEMINI_API_BASE_URL || DEFAULT_BASE_URL;
+  }
+
+  async initialize() {
+    if (!this.apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable not set');
+    }
+  }
+
+  // gemini-pro / gemini-1.0 models have no JSON response mode
+  supportsNativeJson(model) {
+    return !/^gemini-(pro|1\.0)/.test(model);
+  }
+
+  getGenerativeModel(options) {
+    return new GeminiGenerativeModel(this, options);
+  }
+
+  getStatus() {
+    return {
+      baseUrl: this.baseUrl,
+      apiKeyConfigured: Boolean(this.apiKey)
+    };
+  }
+}
+
+module.exports = GeminiProvider;
+module.exports.readSSE = readSSE;
@@ -0,0 +1,24 @@
+const VertexAIProvider = require('./vertexai');
+const GeminiProvider = require('./gemini');
+const OpenAIProvider = require('./openai');
+const MockProvider = require('./mock');
+
+const providers = {
+  vertexai: VertexAIProvider,
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider
+};
+
+const createProvider = (name, options = {}) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  createProvider,
+  providerNames: Object.keys(providers)
+};
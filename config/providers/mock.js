@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { sampleFromSchema } = require('../../utils/schema');
+const {
+  BaseGenerativeModel,
+  wrapResponse,
+  contentsText,
+  systemInstructionText,
+  estimateTokens
+} = require('./base');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Default responder: a stable answer derived from the prompt, so the same
+// request always produces the same output. JSON requests get a minimal
+// document that satisfies the requested responseSchema.
+const defaultResponder = ({ prompt, model, request }) => {
+  const { responseSchema } = request.generationConfig || {};
+  if (responseSchema) {
+    return JSON.stringify(sampleFromSchema(responseSchema));
+  }
+
+  // Echo the learner input when the prompt delimits it, otherwise the prompt
+  const userInput = prompt.match(/<user_input[^>]*>\n?([\s\S]*?)\n?<\/user_input>/);
+  const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+  const preview = (userInput ? userInput[1] : prompt).replace(/\s+/g, ' ').trim().slice(0, 80);
+  return `[mock:${model}#${digest}] ${preview}`;
+};
+
+const toResponse = (text, promptText) => {
+  const promptTokenCount = estimateTokens(promptText);
+  const candidatesTokenCount = estimateTokens(text);
+
+  return wrapResponse({
+    candidates: [{
+      content: { role: 'model', parts: [{ text }] },
+      finishReason: 'STOP'
+    }],
+    usageMetadata: {
+      promptTokenCount,
+      candidatesTokenCount,
+      totalTokenCount: promptTokenCount + candidatesTokenCount
+    }
+  });
+};
+
+// Deterministic local model for development and CI (no credentials, no network)
+class MockGenerativeModel extends BaseGenerativeModel {
+  constructor(provider, options) {
+    super(options);
+    this.provider = provider;
+  }
+
+  async respond(request) {
+    const { latencyMs, responder } = this.provider;
+    if (latencyMs > 0) {
+      await sleep(latencyMs);
+    }
+
+    const prompt = contentsText(request.contents);
+    const system = systemInstructionText(request.systemInstruction);
+    const text = await responder({ prompt, system, request, model: this.model });
+
+    return { text: String(text), promptText: `${system}\n${prompt}` };
+  }
+
+  async generate(request) {
+    const { text, promptText } = await this.respond(request);
+    return toResponse(text, promptText);
+  }
+
+  async generateContentStream(request) {
+    const { text, promptText } = await this.respond(this.prepare(request));
+    const chunks = text.match(/\S+\s*|\s+/g) || [''];
+
+    async function* stream() {
+      for (const chunk of chunks) {
+        yield toResponse(chunk, '');
+      }
+    }
+
+    return { stream: stream(), response: Promise.resolve(toResponse(text, promptText)) };
+  }
+}
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.latencyMs = parseInt(process.env.MOCK_LLM_LATENCY_MS) || 0;
+    this.responder = defaultResponder;
+  }
+
+  async initialize() {}
+
+  supportsNativeJson() {
+    return true;
+  }
+
+  // Replace how the mock answers, e.g. from a test or a script
+  setResponder(responder) {
+    this.responder = responder || defaultResponder;
+  }
+
+  getGenerativeModel(options) {
+    return new MockGenerativeModel(this, options);
+  }
+
+  getStatus() {
+    return {
+      latencyMs: this.latencyMs
+    };
+  }
+}
+
+module.exports = MockProvider;
+module.exports.defaultResponder = defaultResponder;
@@ -0,0 +1,171 @@
+const { BaseGenerativeModel, wrapResponse, systemInstructionText } = require('./base');
+const { readSSE } = require('./gemini');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+const FINISH_REASONS = {
+  stop: 'STOP',
+  length: 'MAX_TOKENS',
+  content_filter: 'SAFETY'
+};
+
+// Vertex style parts -> OpenAI message content
+const toMessageContent = (parts) => {
+  if (parts.every(part => part.text !== undefined)) {
+    return parts.map(part => part.text).join('');
+  }
+
+  return parts.map((part) => {
+    if (part.inlineData) {
+      return {
+        type: 'image_url',
+        image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` }
+      };
+    }
+    return { type: 'text', text: part.text || '' };
+  });
+};
+
+const toChatBody = (model, request) => {
+  const { contents, generationConfig = {}, systemInstruction } = request;
+  const messages = [];
+
+  const system = systemInstructionText(systemInstruction);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  contents.forEach((content) => {
+    messages.push({
+      role: content.role === 'model' ? 'assistant' : 'user',
+      content: toMessageContent(content.parts)
+    });
+  });
+
+  return {
+    model,
+    messages,
+    ...(generationConfig.maxOutputTokens && { max_tokens: generationConfig.maxOutputTokens }),
+    ...(generationConfig.temperature !== undefined && { temperature: generationConfig.temperature }),
+    ...(generationConfig.topP !== undefined && { top_p: generationConfig.topP }),
+    ...(generationConfig.responseMimeType === 'application/json' && {
+      response_format: { type: 'json_object' }
+    })
+  };
+};
+
+// OpenAI chat completion -> Vertex style response
+const toResponse = (text, finishReason, usage) => wrapResponse({
+  candidates: [{
+    content: { role: 'model', parts: [{ text }] },
+    finishReason: FINISH_REASONS[finishReason] || finishReason || 'STOP'
+  }],
+  ...(usage && {
+    usageMetadata: {
+      promptTokenCount: usage.prompt_tokens,
+      candidatesTokenCount: usage.completion_tokens,
+      totalTokenCount: usage.total_tokens
+    }
+  })
+});
+
+// Any server implementing the OpenAI /chat/completions API (OpenAI, vLLM, Ollama, ...)
+class OpenAIGenerativeModel extends BaseGenerativeModel {
+  constructor(provider, options) {
+    super(options);
+    this.provider = provider;
+  }
+
+  async post(body) {
+    const { baseUrl, apiKey } = this.provider;
+    const res = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!res.ok) {
+      const details = await res.text();
+      const error = new Error(`OpenAI-compatible request failed (${res.status}): ${details}`);
+      error.code = res.status;
+      throw error;
+    }
+
+    return res;
+  }
+
+  async generate(request) {
+    const res = await this.post(toChatBody(this.model, request));
+    const body = await res.json();
+    const choice = body.choices?.[0] || {};
+    return toResponse(choice.message?.content || '', choice.finish_reason, body.usage);
+  }
+
+  async generateContentStream(request) {
+    const body = { ...toChatBody(this.model, this.prepare(request)), stream: true };
+    const res = await this.post(body);
+
+    let resolveFinal;
+    let rejectFinal;
+    const response = new Promise((resolve, reject) => {
+      resolveFinal = resolve;
+      rejectFinal = reject;
+    });
+    response.catch(() => {});
+
+    async function* stream() {
+      let text = '';
+      let finishReason;
+      let usage;
+      try {
+        for await (const chunk of readSSE(res.body)) {
+          const choice = chunk.choices?.[0] || {};
+          const delta = choice.delta?.content || '';
+          finishReason = choice.finish_reason || finishReason;
+          usage = chunk.usage || usage;
+          if (delta) {
+            text += delta;
+            yield toResponse(delta, choice.finish_reason);
+          }
+        }
+        resolveFinal(toResponse(text, finishReason, usage));
+      } catch (error) {
+        rejectFinal(error);
+        throw error;
+      }
+    }
+
+    return { stream: stream(), response };
+  }
+}
+
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.baseUrl = (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+  }
+
+  async initialize() {
+    // Local OpenAI-compatible servers often run without a key
+    if (!this.apiKey && this.baseUrl === DEFAULT_BASE_URL) {
+      throw new Error('OPENAI_API_KEY environment variable not set');
+    }
+  }
+
+  getGenerativeModel(options) {
+    return new OpenAIGenerativeModel(this, options);
+  }
+
+  getStatus() {
+    return {
+      baseUrl: this.baseUrl,
+      apiKeyConfigured: Boolean(this.apiKey)
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,101 @@
+const path = require('path');
+const fs = require('fs');
+const { BaseGenerativeModel, wrapResponse } = require('./base');
+
+// The SDK reports 4xx responses as ClientError with a GoogleApiError cause,
+// but 5xx only in the message ("got status: 503 Service Unavailable"); copy
+// the status to `error.code` so retries can classify it
+const withStatus = (error) => {
+  const status = error.message?.match(/got status: (\d{3}) /);
+  if (error.code === undefined && status) {
+    error.code = Number(status[1]);
+  }
+  return error;
+};
+
+// Google Cloud Vertex AI, authenticated with a service account
+class VertexAIGenerativeModel extends BaseGenerativeModel {
+  constructor(client, options) {
+    super(options);
+    this.client = client.preview.getGenerativeModel({
+      model: options.model,
+      generationConfig: options.generationConfig,
+      ...(options.safetySettings && { safetySettings: options.safetySettings })
+    });
+  }
+
+  async generate(request) {
+    try {
+      const result = await this.client.generateContent(request);
+      return wrapResponse(await result.response);
+    } catch (error) {
+      throw withStatus(error);
+    }
+  }
+
+  async generateContentStream(request) {
+    const result = await this.client.generateContentStream(this.prepare(request)).catch((error) => {
+      throw withStatus(error);
+    });
+
+    async function* stream() {
+      for await (const chunk of result.stream) {
+        yield wrapResponse(chunk);
+      }
+    }
+
+    const response = Promise.resolve(result.response).then(wrapResponse);
+    // Avoid unhandled rejections when callers only consume the stream
+    response.catch(() => {});
+
+    return { stream: stream(), response };
+  }
+}
+
+class VertexAIProvider {
+  constructor({ projectId, location }) {
+    this.name = 'vertexai';
+    this.projectId = projectId;
+    this.location = location;
+    this.client = null;
+  }
+
+  async initialize() {
+    // Check if service account file exists
+    const serviceAccountPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    if (!serviceAccountPath) {
+      throw new Error('GOOGLE_APPLICATION_CREDENTIALS environment variable not set');
+    }
+
+    const fullPath = path.resolve(serviceAccountPath);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`Service account file not found: ${fullPath}`);
+    }
+
+    console.log(`🔑 Service Account: ${fullPath}`);
+
+    const { VertexAI } = require('@google-cloud/vertexai');
+    this.client = new VertexAI({
+      project: this.projectId,
+      location: this.location
+    });
+  }
+
+  // gemini-pro / gemini-1.0 models have no JSON response mode
+  supportsNativeJson(model) {
+    return !/^gemini-(pro|1\.0)/.test(model);
+  }
+
+  getGenerativeModel(options) {
+    return new VertexAIGenerativeModel(this.client, options);
+  }
+
+  getStatus() {
+    return {
+      projectId: this.projectId,
+      location: this.location
+    };
+  }
+}
+
+module.exports = VertexAIProvider;
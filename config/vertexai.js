@@ -1,16 +1,16 @@
-const { VertexAI } = require('@google-cloud/vertexai');
-const path = require('path');
-const fs = require('fs');
+const { createProvider } = require('./providers');
+const { breaker } = require('../services/resilience');
 
 class VertexAIConfig {
   constructor() {
+    this.providerName = (process.env.LLM_PROVIDER || 'vertexai').toLowerCase();
     this.projectId = process.env.GOOGLE_CLOUD_PROJECT_ID || 'dark-pipe-465302-g3';
     this.location = process.env.GOOGLE_CLOUD_LOCATION || 'us-central1';
-    this.model = process.env.VERTEX_AI_MODEL || 'gemini-pro';
+    this.model = process.env.LLM_MODEL || process.env.VERTEX_AI_MODEL || 'gemini-pro';
     this.maxTokens = parseInt(process.env.VERTEX_AI_MAX_TOKENS) || 1000;
     this.temperature = parseFloat(process.env.VERTEX_AI_TEMPERATURE) || 0.7;
     
-    this.vertexAI = null;
+    this.provider = null;
     this.isInitialized = false;
     this.initError = null;
   }
@@ -18,34 +18,24 @@ class VertexAIConfig {
   async initialize() {
     try {
       console.log('🤖 Initializing Vertex AI Gemini...');
+      console.log(`🔌 Provider: ${this.providerName}`);
       console.log(`📍 Project: ${this.projectId}`);
       console.log(`🌍 Location: ${this.location}`);
       console.log(`🧠 Model: ${this.model}`);
 
-      // Check if service account file exists
-      const serviceAccountPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
-      if (!serviceAccountPath) {
-        throw new Error('GOOGLE_APPLICATION_CREDENTIALS environment variable not set');
-      }
-
-      const fullPath = path.resolve(serviceAccountPath);
-      if (!fs.existsSync(fullPath)) {
-        throw new Error(`Service account file not found: ${fullPath}`);
-      }
-
-      console.log(`🔑 Service Account: ${fullPath}`);
-
-      // Initialize Vertex AI
-      this.vertexAI = new VertexAI({
-        project: this.projectId,
+      // Initialize the configured provider (vertexai, gemini, openai or mock)
+      this.initError = null;
+      this.provider = createProvider(this.providerName, {
+        projectId: this.projectId,
         location: this.location
       });
+      await this.provider.initialize();
 
       // Test connection
       await this.testConnection();
       
       this.isInitialized = true;
-      console.log('✅ Vertex AI Gemini initialized successfully!');
+      console.log(`✅ ${this.providerName} provider initialized successfully!`);
       
     } catch (error) {
       this.initError = error;
@@ -72,25 +62,41 @@ class VertexAIConfig {
     }
   }
 
-  getModel() {
-    if (!this.isInitialized) {
+  // Options may override the model name, generationConfig, systemInstruction
+  // and safetySettings for a single use
+  getModel(options = {}) {
+    if (!this.provider) {
       throw new Error('Vertex AI not initialized. Call initialize() first.');
     }
 
-    return this.vertexAI.preview.getGenerativeModel({
-      model: this.model,
+    return this.provider.getGenerativeModel({
+      ...options,
+      model: options.model || this.model,
       generationConfig: {
         maxOutputTokens: this.maxTokens,
         temperature: this.temperature,
+        ...(options.generationConfig || {})
       },
     });
   }
 
+  // Whether the provider/model can be asked for JSON via responseSchema.
+  // LLM_NATIVE_JSON=true|false overrides the provider's own answer.
+  supportsNativeJson() {
+    if (process.env.LLM_NATIVE_JSON) {
+      return process.env.LLM_NATIVE_JSON === 'true';
+    }
+    return Boolean(this.provider?.supportsNativeJson?.(this.model));
+  }
+
   getStatus() {
     return {
       initialized: this.isInitialized,
       error: this.initError?.message || null,
+      provider: this.providerName,
+      circuitBreaker: breaker.getStatus(),
       config: {
+        ...(this.provider ? this.provider.getStatus() : {}),
         projectId: this.projectId,
         location: this.location,
         model: this.model,
@@ -0,0 +1,127 @@
+// Grammar patterns by JLPT level for /analyze-level. There has been no
+// official grammar list since the 2010 revision, so levels follow the common
+// textbook and community lists; patterns that lists place differently use the
+// easier level.
+//
+// A pattern is matched either with `regex` on the text or with `token` on the
+// analyzer's tokens (conjugated auxiliaries and particles whose meaning
+// depends on their part of speech): `baseForm` and `surface` are strings or
+// RegExps, `pos` is the token's partOfSpeech and `posTag` a RegExp on
+// kuromoji's full tag.
+
+module.exports = [
+  // N5
+  { pattern: '～ます', level: 'N5', meaning: 'bentuk sopan', token: { baseForm: 'ます', pos: 'auxiliary verb' } },
+  { pattern: '～です', level: 'N5', meaning: 'kopula sopan', token: { baseForm: 'です', pos: 'auxiliary verb' } },
+  { pattern: '～ない', level: 'N5', meaning: 'bentuk negatif', token: { baseForm: 'ない', pos: 'auxiliary verb' } },
+  { pattern: '～た', level: 'N5', meaning: 'bentuk lampau', token: { baseForm: 'た', pos: 'auxiliary verb' } },
+  { pattern: '～たい', level: 'N5', meaning: 'ingin', token: { baseForm: 'たい', pos: 'auxiliary verb' } },
+  { pattern: '～ましょう', level: 'N5', meaning: 'ajakan: mari ...', regex: /ましょう/ },
+  { pattern: '～ませんか', level: 'N5', meaning: 'ajakan sopan: maukah ...', regex: /ませんか/ },
+  { pattern: '～ている', level: 'N5', meaning: 'sedang ... / keadaan', regex: /[てで]い(る|た|ま|な|て)/ },
+  { pattern: '～てください', level: 'N5', meaning: 'tolong ...', regex: /[てで]くださ[いる]/ },
+  { pattern: '～ないでください', level: 'N5', meaning: 'tolong jangan ...', regex: /ないでくださ[いる]/ },
+  { pattern: '～てもいい', level: 'N5', meaning: 'boleh ...', regex: /[てで]も(いい|良い|よい|かまわな|構わな)/ },
+  { pattern: '～てはいけない', level: 'N5', meaning: 'tidak boleh ...', regex: /[てで]は(いけな|いけま|だめ|ダメ)/ },
+  { pattern: '～なければならない', level: 'N5', meaning: 'harus ...', regex: /なければ(ならな|なりま|いけな|いけま)|なくては(ならな|いけな)|なきゃ/ },
+  { pattern: '～から (alasan)', level: 'N5', meaning: 'karena ...', token: { baseForm: 'から', posTag: /接続助詞/ } },
+  { pattern: '～が (pertentangan)', level: 'N5', meaning: 'tetapi ...', token: { baseForm: 'が', posTag: /接続助詞/ } },
+  { pattern: '～のほうが～より', level: 'N5', meaning: 'perbandingan: lebih ... daripada', regex: /のほうが|の方が/ },
+
+  // N4
+  { pattern: '～たことがある', level: 'N4', meaning: 'pernah ...', regex: /[ただ]ことが(ある|あり|ない|な[かく])/ },
+  { pattern: '～ながら', level: 'N4', meaning: 'sambil ...', regex: /ながら/ },
+  { pattern: '～たり～たりする', level: 'N4', meaning: 'melakukan ... dan ... (antara lain)', token: { baseForm: /^(たり|だり)$/, posTag: /並立助詞/ } },
+  { pattern: '～たら', level: 'N4', meaning: 'kalau / setelah ...', token: { surface: /^(たら|だら)$/, pos: 'auxiliary verb' } },
+  { pattern: '～ば (kondisional)', level: 'N4', meaning: 'jika ...', token: { baseForm: 'ば', posTag: /接続助詞/ } },
+  { pattern: '～のに', level: 'N4', meaning: 'padahal ...', token: { baseForm: 'のに', posTag: /接続助詞/ } },
+  { pattern: '～(ら)れる', level: 'N4', meaning: 'bentuk pasif / potensial', token: { baseForm: /^(れる|られる)$/, posTag: /接尾/ } },
+  { pattern: '～(さ)せる', level: 'N4', meaning: 'bentuk kausatif: menyuruh / membiarkan', token: { baseForm: /^(せる|させる)$/, posTag: /接尾/ } },
+  { pattern: '～てしまう', level: 'N4', meaning: 'terlanjur / selesai ...', regex: /[てで]しま[うわいっえお]|ちゃ(う|った|いま)|じゃ(う|った)/ },
+  { pattern: '～ておく', level: 'N4', meaning: '... terlebih dahulu', regex: /[てで]お[くかきいけこっ]/ },
+  { pattern: '～てみる', level: 'N4', meaning: 'mencoba ...', regex: /[てで]み(る|た|ま|な|て|よう)/ },
+  { pattern: '～そうだ', level: 'N4', meaning: 'kelihatannya / katanya ...', regex: /そう(だ|です|な|に|じゃ)/ },
+  { pattern: '～ようだ / ～みたいだ', level: 'N4', meaning: 'sepertinya ...', regex: /よう(だ|です)|みたい(だ|です|な|に)/ },
+  { pattern: '～らしい', level: 'N4', meaning: 'kabarnya / khas ...', regex: /らし[いく]/ },
+  { pattern: '～かもしれない', level: 'N4', meaning: 'mungkin ...', regex: /かもしれ|かも知れ/ },
+  { pattern: '～はずだ', level: 'N4', meaning: 'seharusnya ...', regex: /はず(だ|です|が|は|の)/ },
+  { pattern: '～つもり', level: 'N4', meaning: 'berniat ...', regex: /つもり/ },
+  { pattern: '～ことができる', level: 'N4', meaning: 'dapat ...', regex: /ことが(でき|出来)/ },
+  { pattern: '～ようにする / ～ようになる', level: 'N4', meaning: 'berusaha agar / menjadi bisa ...', regex: /ように(する|して|しま|した|なる|なっ|なりま)/ },
+  { pattern: '～ことにする / ～ことになる', level: 'N4', meaning: 'memutuskan / diputuskan ...', regex: /ことに(する|した|しま|なる|なっ|なりま)/ },
+  { pattern: '～なくてもいい', level: 'N4', meaning: 'tidak perlu ...', regex: /なくても(いい|良い|よい|かまわな|構わな)/ },
+  { pattern: '～すぎる', level: 'N4', meaning: 'terlalu ...', regex: /(?<!に)(すぎ|過ぎ)(る|た|ま|な|て)/ },
+  { pattern: '～やすい / ～にくい', level: 'N4', meaning: 'mudah / sulit untuk ...', regex: /やす[いくかけ]|にく[いくかけ]/ },
+  { pattern: '～ところだ', level: 'N4', meaning: 'baru akan / sedang / baru saja ...', regex: /ところ(だ|です)/ },
+  { pattern: '～について', level: 'N4', meaning: 'tentang ...', regex: /について|につき|についての/ },
+
+  // N3
+  { pattern: '～ばかり', level: 'N3', meaning: 'hanya / baru saja ...', regex: /ばかり/ },
+  { pattern: '～わけだ', level: 'N3', meaning: 'pantas / artinya ...', regex: /わけ(だ|です|で|が)/ },
+  { pattern: '～わけではない', level: 'N3', meaning: 'bukan berarti ...', regex: /わけ(では|じゃ)な/ },
+  { pattern: '～わけにはいかない', level: 'N3', meaning: 'tidak bisa begitu saja ...', regex: /わけにはいかな|わけにはいきま/ },
+  { pattern: '～によって', level: 'N3', meaning: 'oleh / tergantung / karena ...', regex: /によって|により|による/ },
+  { pattern: '～にとって', level: 'N3', meaning: 'bagi ...', regex: /にとって/ },
+  { pattern: '～に対して', level: 'N3', meaning: 'terhadap ...', regex: /に対し|に対する|にたいし/ },
+  { pattern: '～に関して', level: 'N3', meaning: 'mengenai ...', regex: /に関し|に関する|にかんし/ },
+  { pattern: '～として', level: 'N3', meaning: 'sebagai ...', regex: /として/ },
+  { pattern: '～ずに', level: 'N3', meaning: 'tanpa ...', regex: /ずに/ },
+  { pattern: '～っぽい', level: 'N3', meaning: 'seperti / cenderung ...', regex: /っぽ[いく]/ },
+  { pattern: '～たびに', level: 'N3', meaning: 'setiap kali ...', regex: /たびに|度に/ },
+  { pattern: '～うちに', level: 'N3', meaning: 'selagi ...', regex: /うちに/ },
+  { pattern: '～おかげで', level: 'N3', meaning: 'berkat ...', regex: /おかげで|お陰で/ },
+  { pattern: '～せいで', level: 'N3', meaning: 'gara-gara ...', regex: /せいで|せいだ/ },
+  { pattern: '～ば～ほど', level: 'N3', meaning: 'semakin ... semakin ...', regex: /ば[^。、]{1,8}ほど/ },
+  { pattern: '～に違いない', level: 'N3', meaning: 'pasti ...', regex: /に違いな|にちがいな/ },
+  { pattern: '～まま', level: 'N3', meaning: 'tetap dalam keadaan ...', regex: /まま/ },
+  { pattern: '～ことはない', level: 'N3', meaning: 'tidak perlu ...', regex: /ことはな[いく]/ },
+  { pattern: '～べきだ', level: 'N3', meaning: 'sebaiknya / seharusnya ...', regex: /べき/ },
+  { pattern: '～さえ', level: 'N3', meaning: 'bahkan ...', regex: /さえ/ },
+  { pattern: '～ものだ', level: 'N3', meaning: 'memang / dulu sering ...', regex: /もの(だ|です)/ },
+  { pattern: '～一方で', level: 'N3', meaning: 'di sisi lain ...', regex: /一方で|いっぽうで/ },
+
+  // N2
+  { pattern: '～ものの', level: 'N2', meaning: 'meskipun ...', regex: /ものの/ },
+  { pattern: '～にもかかわらず', level: 'N2', meaning: 'walaupun ...', regex: /にもかかわらず|にも関わらず|にも拘らず/ },
+  { pattern: '～どころか', level: 'N2', meaning: 'jangankan ... / malah ...', regex: /どころか/ },
+  { pattern: '～をめぐって', level: 'N2', meaning: 'seputar ...', regex: /をめぐ[っるり]|を巡[っるり]/ },
+  { pattern: '～に際して', level: 'N2', meaning: 'pada saat ...', regex: /に際し/ },
+  { pattern: '～かねない', level: 'N2', meaning: 'bisa saja (hal buruk) ...', regex: /かねな[いく]/ },
+  { pattern: '～ずにはいられない', level: 'N2', meaning: 'tidak bisa tidak ...', regex: /ずにはいられな/ },
+  { pattern: '～ざるを得ない', level: 'N2', meaning: 'terpaksa ...', regex: /ざるを(得|え)な/ },
+  { pattern: '～において', level: 'N2', meaning: 'di / dalam ...', regex: /において|における/ },
+  { pattern: '～に従って', level: 'N2', meaning: 'mengikuti / seiring ...', regex: /にしたが[っい]|に従[っい]/ },
+  { pattern: '～につれて', level: 'N2', meaning: 'seiring dengan ...', regex: /につれ/ },
+  { pattern: '～に基づいて', level: 'N2', meaning: 'berdasarkan ...', regex: /に基づ|にもとづ/ },
+  { pattern: '～次第', level: 'N2', meaning: 'segera setelah / tergantung ...', regex: /次第/ },
+  { pattern: '～からこそ', level: 'N2', meaning: 'justru karena ...', regex: /からこそ/ },
+  { pattern: '～にすぎない', level: 'N2', meaning: 'hanya sekadar ...', regex: /にすぎな|に過ぎな/ },
+  { pattern: '～とともに', level: 'N2', meaning: 'bersama / seiring ...', regex: /とともに|と共に/ },
+  { pattern: '～をはじめ', level: 'N2', meaning: 'dimulai dari / termasuk ...', regex: /をはじめ|を始め(と|、)/ },
+  { pattern: '～に加えて', level: 'N2', meaning: 'selain itu ...', regex: /に加え/ },
+  { pattern: '～を通じて', level: 'N2', meaning: 'melalui / sepanjang ...', regex: /を通じ|を通し/ },
+  { pattern: '～恐れがある', level: 'N2', meaning: 'dikhawatirkan ...', regex: /(恐れ|おそれ)があ/ },
+  { pattern: '～とは限らない', level: 'N2', meaning: 'belum tentu ...', regex: /とは(限|かぎ)らな/ },
+
+  // N1
+  { pattern: '～をもって', level: 'N1', meaning: 'dengan / per ...', regex: /をもって|を以て/ },
+  { pattern: '～んばかり', level: 'N1', meaning: 'seolah-olah akan ...', regex: /んばかり/ },
+  { pattern: '～ともなると', level: 'N1', meaning: 'kalau sudah menjadi ...', regex: /ともなると|ともなれば/ },
+  { pattern: '～ならではの', level: 'N1', meaning: 'khas ...', regex: /ならでは/ },
+  { pattern: '～べからず', level: 'N1', meaning: 'dilarang ...', regex: /べから/ },
+  { pattern: '～といえども', level: 'N1', meaning: 'meskipun ...', regex: /といえども|と言えども/ },
+  { pattern: '～いかんによらず', level: 'N1', meaning: 'terlepas dari ...', regex: /いかん(によらず|にかかわらず|では|によって)/ },
+  { pattern: '～を余儀なくされる', level: 'N1', meaning: 'terpaksa ...', regex: /を余儀なく/ },
+  { pattern: '～に至る', level: 'N1', meaning: 'sampai pada ...', regex: /に至[るっり]/ },
+  { pattern: '～まじき', level: 'N1', meaning: 'tidak pantas ...', regex: /まじき/ },
+  { pattern: '～きらいがある', level: 'N1', meaning: 'cenderung (buruk) ...', regex: /きらいがあ/ },
+  { pattern: '～ずくめ', level: 'N1', meaning: 'serba ...', regex: /ずくめ/ },
+  { pattern: '～が最後', level: 'N1', meaning: 'sekali ... maka habislah', regex: /[がら]最後/ },
+  { pattern: '～に難くない', level: 'N1', meaning: 'tidak sulit untuk ...', regex: /に(難|かた)くな/ },
+  { pattern: '～をものともせず', level: 'N1', meaning: 'tanpa menghiraukan ...', regex: /をものともせ/ },
+  { pattern: '～とあって', level: 'N1', meaning: 'karena (keadaan khusus) ...', regex: /とあって/ },
+  { pattern: '～に即して', level: 'N1', meaning: 'sesuai dengan ...', regex: /に即し/ },
+  { pattern: '～はおろか', level: 'N1', meaning: 'apalagi ...', regex: /はおろか/ },
+  { pattern: '～たりとも', level: 'N1', meaning: 'sedikit pun ...', regex: /たりとも/ },
+  { pattern: '～であれ', level: 'N1', meaning: 'apa pun / baik ... maupun', regex: /であれ/ }
+];
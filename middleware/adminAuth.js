@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Middleware to protect admin endpoints with the ADMIN_API_KEY secret,
+// sent as `X-Admin-Key` or `Authorization: Bearer <key>`
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API disabled',
+      details: 'Set ADMIN_API_KEY to enable admin endpoints'
+    });
+  }
+
+  const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const provided = req.get('X-Admin-Key') || bearer;
+
+  if (!provided || !safeEqual(provided, adminKey)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
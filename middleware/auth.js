@@ -0,0 +1,38 @@
+const { identify, authMode, AuthError } = require('../services/auth');
+
+// Middleware to identify the caller by API key or JWT and set req.user.
+// AUTH_MODE=required rejects anonymous calls; optional lets them through on
+// the `anonymous` plan keyed by IP; off skips authentication entirely.
+const authenticate = (req, res, next) => {
+  const mode = authMode();
+  if (mode === 'off') {
+    return next();
+  }
+
+  try {
+    const user = identify(req);
+
+    if (!user && mode === 'required') {
+      throw new AuthError('MISSING_CREDENTIALS', 'Send an API key (X-API-Key) or a Bearer token');
+    }
+
+    req.user = user || { id: `ip:${req.ip}`, plan: 'anonymous', authType: 'anonymous' };
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      return next(error);
+    }
+
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({
+      success: false,
+      error: 'Authentication failed',
+      reason: error.reason,
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  authenticate
+};
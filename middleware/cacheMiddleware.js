@@ -0,0 +1,60 @@
+const responseCache = require('../services/responseCache');
+const { wantsStream } = require('../utils/streaming');
+const { summarize } = require('../services/usage');
+
+// Learners hitting "regenerate" send `Cache-Control: no-cache`, `?refresh=true`
+// or `"noCache": true`; the fresh answer still replaces the cached one.
+const isBypass = (req) => {
+  const cacheControl = req.get('Cache-Control') || '';
+  return cacheControl.includes('no-cache')
+    || cacheControl.includes('no-store')
+    || req.query.refresh === 'true'
+    || req.body?.noCache === true
+    || req.body?.refresh === true;
+};
+
+// Middleware to serve and store successful JSON responses of a route.
+// `keyInput(body)` maps the body to the input the cache is keyed by.
+const cacheResponse = (route, { keyInput = body => body } = {}) => async (req, res, next) => {
+  if (!responseCache.enabled || wantsStream(req)) {
+    return next();
+  }
+
+  const key = responseCache.keyFor(route, keyInput(req.body));
+  const bypass = isBypass(req);
+
+  if (!bypass) {
+    const entry = await responseCache.get(key);
+    if (entry) {
+      res.set('X-Cache', 'HIT');
+      res.set('Age', String(Math.floor((Date.now() - entry.storedAt) / 1000)));
+      // A hit costs nothing; report that instead of the original call's usage
+      if (req.modelUsage) {
+        req.modelUsage.cached = true;
+        return res.json({ ...entry.body, usage: summarize(req.modelUsage) });
+      }
+      return res.json(entry.body);
+    }
+  } else {
+    responseCache.stats.bypasses++;
+  }
+
+  res.set('X-Cache', bypass ? 'BYPASS' : 'MISS');
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const sent = json(body);
+    // Checked after sending: content moderation may have replaced the body with a 422
+    if (res.statusCode === 200 && body?.success) {
+      responseCache.set(key, body, responseCache.ttlFor(route));
+    }
+    return sent;
+  };
+
+  next();
+};
+
+module.exports = {
+  cacheResponse,
+  isBypass
+};
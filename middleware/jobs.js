@@ -0,0 +1,64 @@
+const jobManager = require('../services/jobs');
+const { checkWebhookUrl } = require('../services/webhooks');
+const { sendError } = require('../utils/routeErrors');
+
+const JOBS_PATH = '/api/vertexai/jobs';
+
+// Request fields that control delivery, not the job's input
+const CONTROL_FIELDS = ['async', 'stream', 'webhookUrl'];
+
+const wantsAsync = (req) => req.query.async === 'true' || req.body?.async === true;
+
+const jobInput = (body) => Object.keys(body)
+  .filter(key => !CONTROL_FIELDS.includes(key))
+  .reduce((input, key) => ({ ...input, [key]: body[key] }), {});
+
+// 400 for an unusable webhookUrl, in the shape of validateBody()
+const rejectWebhookUrl = (res, problem) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  errors: [{ field: 'webhookUrl', message: problem }]
+});
+
+// 202 response for work handed to the job queue
+const sendJobAccepted = (res, job) => {
+  const statusUrl = `${JOBS_PATH}/${job.id}`;
+  res.set('Location', statusUrl);
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    statusUrl: statusUrl,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Middleware to run a route as a background job of `type` when the client
+// asks for it (`"async": true` or ?async=true) or `when(body)` is true.
+// Place it after validation and the prompt guard; otherwise the route runs inline.
+const runAsJob = (type, { when = () => false } = {}) => async (req, res, next) => {
+  if (!wantsAsync(req) && !when(req.body)) {
+    return next();
+  }
+
+  const { webhookUrl } = req.body;
+  const problem = webhookUrl ? await checkWebhookUrl(webhookUrl) : null;
+  if (problem) {
+    return rejectWebhookUrl(res, problem);
+  }
+
+  try {
+    const job = await jobManager.create(type, jobInput(req.body), { user: req.user, webhookUrl });
+    sendJobAccepted(res, job);
+  } catch (error) {
+    console.error('Job Submission Error:', error);
+    sendError(res, error, 'Failed to queue job');
+  }
+};
+
+module.exports = {
+  runAsJob,
+  sendJobAccepted,
+  rejectWebhookUrl
+};
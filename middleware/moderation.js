@@ -0,0 +1,69 @@
+const moderation = require('../services/moderation');
+const { ModerationError } = require('../services/moderation');
+const { describeError, sendError } = require('../utils/routeErrors');
+
+// Upload fields holding base64 files rather than text (see middleware/upload.js)
+const FILE_FIELDS = ['image', 'audio'];
+
+const checkInput = (req, res, next, values) => {
+  try {
+    moderation.check(values, { route: req.moderationRoute, stage: 'input', userId: req.user?.id });
+    next();
+  } catch (error) {
+    if (!(error instanceof ModerationError)) {
+      return next(error);
+    }
+    sendError(res, error, 'Content blocked');
+  }
+};
+
+// Middleware to moderate a router's requests and JSON responses with the
+// route's threshold (the first path segment, as for the model settings).
+// Query strings and parsed bodies are checked on the way in; successful (2xx)
+// JSON bodies are checked on the way out and replaced by a 422 when blocked,
+// before the response cache stores them. Routes in `outputExclude` check
+// their output where it is produced (job results when the job finishes).
+const moderate = ({ outputExclude = [] } = {}) => (req, res, next) => {
+  if (!moderation.enabled) {
+    return next();
+  }
+
+  const route = req.path.split('/')[1] || 'default';
+  req.moderationRoute = route;
+
+  if (!outputExclude.includes(route)) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode < 200 || res.statusCode >= 300 || !body?.success) {
+        return json(body);
+      }
+
+      try {
+        moderation.check(body, { route, stage: 'output', userId: req.user?.id });
+        return json(body);
+      } catch (error) {
+        if (!(error instanceof ModerationError)) throw error;
+        const { status, body: blocked } = describeError(error, 'Content blocked');
+        res.status(status);
+        return json(blocked);
+      }
+    };
+  }
+
+  const body = Object.fromEntries(Object.entries(req.body || {}).filter(([field]) => !FILE_FIELDS.includes(field)));
+  checkInput(req, res, next, { ...req.query, ...body });
+};
+
+// Multipart forms are only parsed by the upload middleware, so routes that
+// accept them check the form fields again afterwards
+const moderateFormFields = (req, res, next) => {
+  if (!moderation.enabled || !req.is('multipart/form-data')) {
+    return next();
+  }
+  checkInput(req, res, next, req.body);
+};
+
+module.exports = {
+  moderate,
+  moderateFormFields
+};
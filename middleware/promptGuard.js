@@ -0,0 +1,33 @@
+const { checkInput, guardMode, PromptGuardError } = require('../services/promptGuard');
+
+// Middleware to reject request fields that exceed their limits, contain
+// hidden characters or look like prompt injection. With PROMPT_GUARD_MODE=log
+// suspected injections are only logged; hard limits are always enforced.
+const guardInput = (fields) => (req, res, next) => {
+  try {
+    checkInput(req.body, fields);
+    next();
+  } catch (error) {
+    if (!(error instanceof PromptGuardError)) {
+      return next(error);
+    }
+
+    console.warn(`🛡️  Input rejected on ${req.originalUrl}: ${error.reason} (${error.field})`);
+
+    if (error.reason === 'PROMPT_INJECTION' && guardMode() === 'log') {
+      return next();
+    }
+
+    res.status(400).json({
+      success: false,
+      error: 'Input rejected',
+      reason: error.reason,
+      field: error.field,
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  guardInput
+};
@@ -0,0 +1,67 @@
+const quotaManager = require('../services/quota');
+const { QuotaExceededError } = require('../services/quota');
+
+const HEADER_NAMES = {
+  daily: 'Daily',
+  monthly: 'Monthly'
+};
+
+const setQuotaHeaders = (res, usage) => {
+  res.set('X-Quota-Plan', usage.plan);
+  for (const [period, name] of Object.entries(HEADER_NAMES)) {
+    const { requests, tokens } = usage[period];
+    if (requests.remaining !== null) res.set(`X-Quota-${name}-Requests-Remaining`, String(requests.remaining));
+    if (tokens.remaining !== null) res.set(`X-Quota-${name}-Tokens-Remaining`, String(tokens.remaining));
+  }
+  res.set('X-Quota-Reset', usage.daily.resetsAt);
+};
+
+// Middleware to enforce the caller's plan limits. Counts the request up
+// front and adds the model tokens recorded in req.modelUsage once the
+// response is done. Paths in `exclude` are neither checked nor counted.
+const enforceQuota = ({ exclude = [] } = {}) => async (req, res, next) => {
+  if (!req.user || !quotaManager.enabled || exclude.includes(req.path)) {
+    return next();
+  }
+
+  let usage;
+  try {
+    usage = await quotaManager.consume(req.user);
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      const retryAfter = Math.max(1, Math.ceil((Date.parse(error.resetsAt) - Date.now()) / 1000));
+      console.warn(`🚫 Quota exceeded for ${req.user.id}: ${error.reason}`);
+      res.set('Retry-After', String(retryAfter));
+      res.set('X-Quota-Plan', req.user.plan);
+      res.set('X-Quota-Reset', error.resetsAt);
+      return res.status(429).json({
+        success: false,
+        error: 'Quota exceeded',
+        reason: error.reason,
+        details: error.message,
+        plan: req.user.plan,
+        resetsAt: error.resetsAt,
+        retryAfter: retryAfter
+      });
+    }
+
+    // A broken quota store should not take the API down with it
+    console.error('❌ Quota check failed, allowing request:', error.message);
+    return next();
+  }
+
+  setQuotaHeaders(res, usage);
+
+  res.once('close', () => {
+    const tokens = req.modelUsage?.totalTokenCount || 0;
+    quotaManager.recordTokens(req.user, tokens).catch((error) => {
+      console.error('❌ Failed to record token usage:', error.message);
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  enforceQuota
+};
@@ -0,0 +1,134 @@
+const express = require('express');
+const images = require('../utils/images');
+const audio = require('../utils/audio');
+
+// Run a connect-style parser as a promise
+const parse = (parser, req, res) => new Promise((resolve, reject) => {
+  parser(req, res, error => (error ? reject(error) : resolve()));
+});
+
+// Multipart fields and query parameters arrive as strings; convert the
+// booleans and integers the route's schema expects
+const coerce = (values = {}, schema) => Object.fromEntries(Object.entries(values).map(([key, value]) => {
+  const type = schema?.properties?.[key]?.type;
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return [key, value === 'true'];
+  if (type === 'integer' && /^-?\d+$/.test(value)) return [key, parseInt(value)];
+  return [key, value];
+}));
+
+// multer is only needed for multipart uploads; loaded on the first one so
+// the server still starts without it. Null when it is not installed.
+let multer;
+const loadMulter = () => {
+  if (multer === undefined) {
+    try {
+      multer = require('multer');
+    } catch (error) {
+      multer = null;
+      console.warn('⚠️  multer is not installed; multipart uploads are disabled (npm install multer)');
+    }
+  }
+  return multer;
+};
+
+// Middleware to accept one file of a kind as
+//   - multipart/form-data with the file in `field` (other fields are options),
+//   - a raw body of one of `rawTypes` (options in the query string), or
+//   - JSON with `field` holding base64 or a data URL.
+// The checked file is put on req[kind] and removed from req.body, which then
+// holds only the options.
+const acceptFile = ({ kind, field, schema, maxBytes, rawTypes, decode, check, ErrorClass }) => {
+  const label = kind.toUpperCase();
+  let upload;
+  const multipart = () => {
+    if (!upload) {
+      if (!loadMulter()) {
+        throw new ErrorClass('MULTIPART_UNAVAILABLE', `Multipart uploads are not available on this server; send a raw ${rawTypes[0]} body or base64 in JSON`, { status: 501 });
+      }
+      upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1, fields: 20 }
+      });
+    }
+    return upload;
+  };
+  const raw = express.raw({ type: [...rawTypes, 'application/octet-stream'], limit: maxBytes });
+
+  const reject = (res, error) => res.status(error.status).json({
+    success: false,
+    error: `Invalid ${kind}`,
+    reason: error.reason,
+    details: error.message
+  });
+
+  return async (req, res, next) => {
+    try {
+      let file = {};
+
+      if (req.is('multipart/form-data')) {
+        await parse(multipart().single(field), req, res);
+        const { [field]: encoded, ...options } = req.body || {};
+        file = req.file
+          ? { buffer: req.file.buffer, declaredType: req.file.mimetype }
+          : encoded ? decode(encoded) : {};
+        req.body = coerce(options, schema);
+      } else if (req.is(...rawTypes) || req.is('application/octet-stream')) {
+        await parse(raw, req, res);
+        file = { buffer: req.body, declaredType: req.get('Content-Type').split(';')[0].trim().toLowerCase() };
+        req.body = coerce(req.query, schema);
+      } else if (req.is('application/json')) {
+        const { [field]: encoded, ...options } = req.body || {};
+        file = typeof encoded === 'string' ? decode(encoded) : {};
+        req.body = options;
+      } else if (req.get('Content-Type')) {
+        throw new ErrorClass('UNSUPPORTED_MEDIA_TYPE', `Send the ${kind} as multipart/form-data, a raw ${rawTypes[0]} body or base64 in JSON`, { status: 415 });
+      }
+
+      req[kind] = check(file.buffer, file.declaredType);
+      next();
+    } catch (error) {
+      if (error.code === 'LIMIT_FILE_SIZE' || error.type === 'entity.too.large') {
+        return reject(res, new ErrorClass(`${label}_TOO_LARGE`, `${kind[0].toUpperCase()}${kind.slice(1)} is larger than ${maxBytes} bytes`, { status: 413 }));
+      }
+      if (multer && error instanceof multer.MulterError) {
+        return reject(res, new ErrorClass('INVALID_UPLOAD', `${error.message}${error.field ? ` (${error.field})` : ''}`));
+      }
+      if (error instanceof ErrorClass) {
+        return reject(res, error);
+      }
+      next(error);
+    }
+  };
+};
+
+// One photo or canvas drawing (canvas.toDataURL() in JSON) on
+// req.image = { buffer, mimeType, size }
+const acceptImage = ({ field = 'image', schema } = {}) => acceptFile({
+  kind: 'image',
+  field,
+  schema,
+  maxBytes: images.MAX_IMAGE_BYTES,
+  rawTypes: ['image/*'],
+  decode: images.decodeBase64Image,
+  check: images.checkImage,
+  ErrorClass: images.ImageError
+});
+
+// One recording (MediaRecorder blob, or FileReader.readAsDataURL() in JSON)
+// on req.audio = { buffer, mimeType, size, durationSeconds }. webm and mp4
+// recordings are often labelled video/*.
+const acceptAudio = ({ field = 'audio', schema } = {}) => acceptFile({
+  kind: 'audio',
+  field,
+  schema,
+  maxBytes: audio.MAX_AUDIO_BYTES,
+  rawTypes: ['audio/*', 'video/webm', 'video/mp4'],
+  decode: audio.decodeBase64Audio,
+  check: audio.checkAudio,
+  ErrorClass: audio.AudioError
+});
+
+module.exports = {
+  acceptImage,
+  acceptAudio
+};
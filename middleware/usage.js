@@ -0,0 +1,21 @@
+const usageTracker = require('../services/usage');
+
+// Middleware to add each finished request's model usage (req.modelUsage)
+// to the daily aggregates. Paths in `exclude` are not recorded.
+const trackUsage = ({ exclude = [] } = {}) => (req, res, next) => {
+  if (!usageTracker.enabled || !req.modelUsage || exclude.includes(req.path)) {
+    return next();
+  }
+
+  res.once('close', () => {
+    usageTracker.record(req.modelUsage, { userId: req.user?.id }).catch((error) => {
+      console.error('❌ Failed to record usage:', error.message);
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  trackUsage
+};
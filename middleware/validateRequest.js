@@ -0,0 +1,24 @@
+const { validate, normalizeCase } = require('../utils/schema');
+
+// Middleware to validate req.body against a request schema.
+// Every field error is reported at once so the client can fix them together.
+// Case-insensitive enums (e.g. targetLanguage) are canonicalized in req.body.
+const validateBody = (schema) => (req, res, next) => {
+  const body = normalizeCase(schema, req.body === undefined ? {} : req.body);
+  req.body = body;
+  const errors = validate(schema, body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: errors
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  validateBody
+};
@@ -1,4 +1,8 @@
 const vertexAIConfig = require('../config/vertexai');
+const { breaker, CircuitOpenError } = require('../services/resilience');
+const { createModel } = require('../services/models');
+const { createUsage } = require('../services/usage');
+const { sendError } = require('../utils/routeErrors');
 
 // Middleware to ensure Vertex AI is initialized
 const ensureVertexAI = async (req, res, next) => {
@@ -26,10 +30,21 @@ const ensureVertexAI = async (req, res, next) => {
   }
 };
 
-// Middleware to add Vertex AI model to request
+// Middleware to add Vertex AI model to request.
+// The model is wrapped with the route's deadline, retries and the shared
+// circuit breaker; while the breaker is open requests fail fast. Tokens,
+// latency and estimated cost of every model call are summed into req.modelUsage.
 const addVertexAIModel = (req, res, next) => {
   try {
-    req.vertexAIModel = vertexAIConfig.getModel();
+    const retryAfterMs = breaker.retryAfterMs();
+    if (retryAfterMs > 0) {
+      return sendError(res, new CircuitOpenError(retryAfterMs), 'AI service temporarily unavailable');
+    }
+
+    const route = req.path.split('/')[1] || 'default';
+    const { model, usage } = createModel(route, { userId: req.user?.id });
+    req.vertexAIModel = model;
+    req.modelUsage = usage;
     req.vertexAIConfig = vertexAIConfig;
     next();
   } catch (error) {
@@ -41,7 +56,36 @@ const addVertexAIModel = (req, res, next) => {
   }
 };
 
+// For routes that work without the AI and only use the model as a fallback:
+// adds req.vertexAIModel like addVertexAIModel when the AI is up, and
+// req.vertexAIModel = null (instead of a 503) when it cannot be initialized
+// or the circuit breaker is open.
+const optionalVertexAIModel = async (req, res, next) => {
+  const route = req.path.split('/')[1] || 'default';
+
+  try {
+    if (!vertexAIConfig.isInitialized) {
+      await vertexAIConfig.initialize();
+    }
+    if (breaker.retryAfterMs() === 0) {
+      const { model, usage } = createModel(route, { userId: req.user?.id });
+      req.vertexAIModel = model;
+      req.modelUsage = usage;
+      req.vertexAIConfig = vertexAIConfig;
+    }
+  } catch (error) {
+    console.warn(`⚠️  AI unavailable for /${route}, continuing without the model: ${error.message}`);
+  }
+
+  if (!req.vertexAIModel) {
+    req.vertexAIModel = null;
+    req.modelUsage = createUsage({ route, model: vertexAIConfig.model, provider: vertexAIConfig.providerName });
+  }
+  next();
+};
+
 module.exports = {
   ensureVertexAI,
-  addVertexAIModel
+  addVertexAIModel,
+  optionalVertexAIModel
 };
\ No newline at end of file
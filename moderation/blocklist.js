@@ -0,0 +1,53 @@
+// Default blocklist for learner input and model output. Each entry has a
+// category, a severity and its terms; an entry is blocked on routes whose
+// moderation threshold is at or below its severity (see services/moderation.js),
+// so `low` entries only apply to the strictest routes such as chat.
+//
+// Latin terms match whole words, Japanese terms anywhere in the text. Terms
+// of an entry with `notFollowedBy` do not match when followed by one of its
+// characters. Add your own entries with MODERATION_BLOCKLIST_PATH instead of
+// editing this file.
+module.exports = [
+  {
+    category: 'sexual',
+    severity: 'high',
+    terms: ['porn', 'porno', 'pornography', 'bokep', 'hentai', 'ngentot', 'ポルノ', 'エロ動画', 'アダルト動画', '無修正']
+  },
+  {
+    category: 'sexual',
+    severity: 'medium',
+    terms: ['sex', 'seks', 'nude', 'nudes', 'bugil', 'telanjang', 'kontol', 'memek', 'セックス', 'エッチしよう', '裸の写真']
+  },
+  {
+    category: 'self-harm',
+    severity: 'high',
+    terms: ['kill myself', 'want to die', 'cara bunuh diri', 'ingin bunuh diri', 'mau bunuh diri', '死にたい', '自殺の方法', 'リストカット']
+  },
+  {
+    category: 'dangerous',
+    severity: 'high',
+    terms: ['how to make a bomb', 'cara membuat bom', 'cara merakit bom', '爆弾の作り方', 'make meth', 'cara membuat sabu']
+  },
+  {
+    category: 'drugs',
+    severity: 'medium',
+    terms: ['cocaine', 'heroin', 'meth', 'narkoba', 'sabu-sabu', 'ganja', '覚醒剤', 'コカイン', 'ヘロイン']
+  },
+  {
+    category: 'harassment',
+    severity: 'medium',
+    terms: ['kill you', 'bunuh kamu', 'kubunuh', '殺すぞ', 'ぶっ殺す']
+  },
+  {
+    // The imperative 死ね, not 死ねば, 死ねる, 死ねない, 死ねます, 死ねた, ...
+    category: 'harassment',
+    severity: 'medium',
+    terms: ['死ね'],
+    notFollowedBy: 'ばるれないますたてずそ'
+  },
+  {
+    category: 'profanity',
+    severity: 'low',
+    terms: ['fuck', 'fucking', 'shit', 'bitch', 'bangsat', 'bajingan', 'brengsek', 'anjing lu', 'goblok', 'tolol', 'くそったれ', 'クソ野郎']
+  }
+];
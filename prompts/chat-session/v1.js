@@ -0,0 +1,10 @@
+// System instruction for multi-turn chat sessions; turns are sent as history
+module.exports = {
+  description: 'System instruction for multi-turn chat sessions',
+  variables: {
+    context: {}
+  },
+  template: `You are a helpful Japanese language learning assistant. Respond in Indonesian language. Provide helpful and educational responses.
+
+{{#if context}}Context: {{context}}{{/if}}`
+};
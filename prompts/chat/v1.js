@@ -0,0 +1,13 @@
+module.exports = {
+  description: 'Single-turn learning assistant chat',
+  variables: {
+    message: { required: true },
+    context: {}
+  },
+  systemInstruction: 'You are a helpful Japanese language learning assistant. Respond in Indonesian language.',
+  template: `{{#if context}}Context: {{context}}{{/if}}
+
+User question: {{message}}
+
+Please provide a helpful and educational response:`
+};
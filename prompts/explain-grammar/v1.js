@@ -0,0 +1,23 @@
+module.exports = {
+  description: 'Indonesian explanation of a Japanese grammar pattern',
+  variables: {
+    grammar: { required: true },
+    examples: { default: [] },
+    context: {}
+  },
+  template: `Jelaskan pola tata bahasa Jepang "{{grammar}}" dalam bahasa Indonesia. Sertakan informasi berikut:
+
+1. Struktur dan rumus tata bahasa
+2. Kapan dan bagaimana menggunakannya
+3. Nuansa makna yang terkandung
+4. Perbedaan dengan pola tata bahasa serupa (jika ada)
+5. Tips untuk mengingat dan menggunakan pola ini
+
+{{#if examples}}Contoh kalimat:
+{{#each examples}}{{@number}}. {{this}}
+{{/each}}{{/if}}
+
+{{#if context}}Konteks tambahan: {{context}}{{/if}}
+
+Berikan penjelasan yang komprehensif namun mudah dipahami dalam bahasa Indonesia:`
+};
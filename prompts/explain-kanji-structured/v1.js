@@ -0,0 +1,11 @@
+module.exports = {
+  description: 'Structured breakdown of a single kanji (JSON)',
+  variables: {
+    kanji: { required: true },
+    context: {}
+  },
+  generationConfig: { temperature: 0.2 },
+  template: `Give a structured breakdown of the kanji "{{kanji}}" for Indonesian learners of Japanese. Write meanings, usage, radical meanings, example word meanings and etymology in Indonesian.
+
+{{#if context}}Additional context: {{context}}{{/if}}`
+};
@@ -0,0 +1,20 @@
+module.exports = {
+  description: 'Indonesian prose explanation of one or more kanji',
+  variables: {
+    kanji: { required: true },
+    characters: { required: true },
+    multiple: { default: false },
+    context: {}
+  },
+  template: `Explain {{#if multiple}}each kanji in "{{kanji}}" ({{characters}}) separately{{else}}the kanji "{{kanji}}"{{/if}} in Indonesian language. Include the following information:
+
+1. Arti dan makna kanji
+2. Cara baca (onyomi dan kunyomi) 
+3. Penggunaan dalam kehidupan sehari-hari
+4. Contoh kata yang menggunakan kanji ini
+5. Sejarah atau asal-usul kanji (jika relevan)
+
+{{#if context}}Additional context: {{context}}{{/if}}
+
+Please provide a comprehensive but concise explanation in Indonesian:`
+};
@@ -0,0 +1,20 @@
+module.exports = {
+  description: 'Example sentences for a vocabulary word (JSON)',
+  variables: {
+    word: { required: true },
+    reading: { default: 'unknown' },
+    meaning: { default: 'unknown' },
+    count: { default: 3 },
+    jlptLevel: {},
+    furigana: { default: false }
+  },
+  template: `Generate {{count}} example sentences using the Japanese word "{{word}}" (reading: {{reading}}, meaning: {{meaning}}).
+
+{{#if jlptLevel}}Use only vocabulary and grammar appropriate for JLPT {{jlptLevel}} learners.{{/if}}
+
+For each example, provide:
+1. sentence: Japanese sentence
+2. reading: Romaji reading
+3. meaning: Indonesian translation{{#if furigana}}
+4. furigana: the sentence with HTML ruby markup for every kanji, e.g. <ruby>学校<rt>がっこう</rt></ruby>{{/if}}`
+};
@@ -0,0 +1,6 @@
+// Connectivity check used by GET /api/vertexai/test
+module.exports = {
+  description: 'Greeting used to check that the model answers',
+  variables: {},
+  template: 'Say "Hello from Vertex AI Gemini!" in Japanese and Indonesian.'
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  description: 'Translate text into the target language',
+  variables: {
+    text: { required: true },
+    targetLanguage: { default: 'Indonesian' }
+  },
+  template: `Translate the following text to {{targetLanguage}}. Only provide the translation, no additional explanation:
+
+Text to translate: "{{text}}"
+
+Translation:`
+};
@@ -0,0 +1,198 @@
+const express = require('express');
+const responseCache = require('../services/responseCache');
+const prompts = require('../services/promptRegistry');
+const scenarios = require('../services/scenarios');
+const usageTracker = require('../services/usage');
+const moderation = require('../services/moderation');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { BadRequestError } = require('../utils/routeErrors');
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Cache statistics
+router.get('/cache', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      cache: await responseCache.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cache Status Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Cache status failed',
+      details: error.message
+    });
+  }
+});
+
+// Purge cached responses, optionally only for one route (?route=explain-kanji)
+router.delete('/cache', async (req, res) => {
+  try {
+    const { route } = req.query;
+    const purged = await responseCache.purge(route);
+
+    res.json({
+      success: true,
+      route: route || null,
+      purged: purged,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Cache Purge Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Cache purge failed',
+      details: error.message
+    });
+  }
+});
+
+// Token usage and estimated cost by day, route, user and model
+// (?from=2024-05-01&to=2024-05-07, UTC days, default the last 7 days)
+router.get('/usage', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const usage = await usageTracker.aggregate({ from, to });
+
+    res.json({
+      success: true,
+      ...usage,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof BadRequestError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date range',
+        details: error.message
+      });
+    }
+
+    console.error('Usage Report Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Usage report failed',
+      details: error.message
+    });
+  }
+});
+
+// List prompt templates and their active versions
+router.get('/prompts', (req, res) => {
+  res.json({
+    success: true,
+    prompts: prompts.list(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Show one template (active version unless ?version=N)
+router.get('/prompts/:name', (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version) : undefined;
+    const template = prompts.get(req.params.name, version || prompts.activeVersion(req.params.name));
+
+    res.json({
+      success: true,
+      prompt: template,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: 'Prompt template not found',
+      details: error.message
+    });
+  }
+});
+
+// Re-read prompt templates from disk
+router.post('/prompts/reload', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      prompts: prompts.reload(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Prompt Reload Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Prompt reload failed',
+      details: error.message
+    });
+  }
+});
+
+// Re-read role-play scenarios from disk; an invalid file keeps the old set
+router.post('/scenarios/reload', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      scenarios: scenarios.reload(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Scenario Reload Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Scenario reload failed',
+      details: error.message
+    });
+  }
+});
+
+// Moderation settings: mode, blocklist size and the threshold of each route
+router.get('/moderation', (req, res) => {
+  res.json({
+    success: true,
+    moderation: moderation.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Moderation events for review, newest first
+// (?route=chat&stage=output&user=<id>&limit=100)
+router.get('/moderation/events', async (req, res) => {
+  try {
+    const { route, stage, user } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const events = await moderation.events({ route, stage, userId: user, limit });
+
+    res.json({
+      success: true,
+      ...events,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Moderation Events Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Moderation event lookup failed',
+      details: error.message
+    });
+  }
+});
+
+// Re-read the blocklists; an invalid MODERATION_BLOCKLIST_PATH keeps the old lists
+router.post('/moderation/reload', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      moderation: moderation.reload(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Blocklist Reload Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Blocklist reload failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const chatSessions = require('../services/chatSessions');
+const scenarios = require('../services/scenarios');
+const moderation = require('../services/moderation');
+const { summarize } = require('../services/usage');
+const { wantsStream, streamGeneration } = require('../utils/streaming');
+const { ConflictError, sendError } = require('../utils/routeErrors');
+const { guardInput } = require('../middleware/promptGuard');
+const { validateBody } = require('../middleware/validateRequest');
+const schemas = require('../schemas/requests');
+const router = express.Router();
+
+// Load the session named in the URL or answer 404. Sessions created by an
+// authenticated user are only visible to that user.
+const loadSession = async (req, res, next) => {
+  try {
+    const session = await chatSessions.get(req.params.sessionId);
+    if (!session || (session.userId && session.userId !== req.user?.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found or expired'
+      });
+    }
+    req.chatSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a chat session
+router.post('/', validateBody(schemas.createChatSession), guardInput(['context']), async (req, res) => {
+  try {
+    const { context, metadata } = req.body;
+    const scenario = req.body.scenario ? scenarios.get(req.body.scenario) : null;
+    if (req.body.scenario && !scenario) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown scenario: ${req.body.scenario}`
+      });
+    }
+
+    const session = await chatSessions.create({ context, metadata, scenario, user: req.user });
+
+    res.status(201).json({
+      success: true,
+      ...chatSessions.toJSON(session),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Chat Session Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create chat session',
+      details: error.message
+    });
+  }
+});
+
+// Get session history
+router.get('/:sessionId', loadSession, (req, res) => {
+  res.json({
+    success: true,
+    ...chatSessions.toJSON(req.chatSession),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Delete a session
+router.delete('/:sessionId', loadSession, async (req, res) => {
+  try {
+    await chatSessions.delete(req.chatSession.id);
+    res.json({
+      success: true,
+      sessionId: req.chatSession.id,
+      deleted: true,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Chat Session Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete chat session',
+      details: error.message
+    });
+  }
+});
+
+// Post a turn to a session
+router.post('/:sessionId/messages', validateBody(schemas.chatSessionMessage), guardInput(['message']), loadSession, async (req, res) => {
+  try {
+    const { message } = req.body;
+    const session = req.chatSession;
+
+    // Role-play sessions answer in character with hint and correction
+    // channels; like structured output they are not streamed
+    if (session.scenario) {
+      const scenario = scenarios.get(session.scenario.id);
+      if (!scenario) {
+        throw new ConflictError(`Scenario ${session.scenario.id} of this session was removed`);
+      }
+      const { reply, goalsMet, ...turn } = await scenarios.turn(req.vertexAIModel, scenario, {
+        message,
+        history: chatSessions.trimHistory(session.history),
+        goalsMet: session.scenario.goalsMet,
+        systemInstruction: session.systemInstruction
+      });
+
+      // Blocked replies never reach the history sent back to the model
+      moderation.check({ reply, ...turn }, { route: req.moderationRoute, stage: 'output', userId: req.user?.id });
+      session.scenario.goalsMet = goalsMet;
+      await chatSessions.appendTurn(session, message, reply, { hint: turn.hint, correction: turn.correction });
+
+      return res.json({
+        success: true,
+        sessionId: session.id,
+        userMessage: message,
+        aiResponse: reply,
+        scenario: scenario.id,
+        ...turn,
+        turns: session.history.length / 2,
+        usage: summarize(req.modelUsage),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const chat = chatSessions.startChat(req.vertexAIModel, session);
+
+    const buildResponse = (aiResponse) => ({
+      success: true,
+      sessionId: session.id,
+      userMessage: message,
+      aiResponse: aiResponse,
+      turns: session.history.length / 2,
+      usage: summarize(req.modelUsage),
+      timestamp: new Date().toISOString()
+    });
+
+    if (wantsStream(req)) {
+      // Persist the turn once the model has finished streaming
+      const streamPromise = chat.sendMessageStream(message).then(result => ({
+        stream: result.stream,
+        response: result.response.then(async (final) => {
+          moderation.check(final.text(), { route: req.moderationRoute, stage: 'output', userId: req.user?.id });
+          await chatSessions.appendTurn(session, message, final.text().trim());
+          return final;
+        })
+      }));
+      // Nobody awaits the response once the client has disconnected
+      streamPromise.then(({ response }) => response.catch((error) => {
+        console.error(`❌ Chat session ${session.id} turn not saved:`, error.message);
+      }), () => {});
+
+      return streamGeneration(req, res, streamPromise, {
+        buildFinal: buildResponse,
+        errorMessage: 'Chat response failed'
+      });
+    }
+
+    const result = await chat.sendMessage(message);
+    const response = await result.response;
+    const aiResponse = response.text().trim();
+
+    moderation.check(aiResponse, { route: req.moderationRoute, stage: 'output', userId: req.user?.id });
+    await chatSessions.appendTurn(session, message, aiResponse);
+
+    res.json(buildResponse(aiResponse));
+
+  } catch (error) {
+
+    console.error('Chat Error:', error);
+    sendError(res, error, 'Chat response failed');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const jobManager = require('../services/jobs');
+const { TERMINAL_STATES } = require('../services/jobs');
+const { checkInput, guardMode, PromptGuardError } = require('../services/promptGuard');
+const { checkWebhookUrl } = require('../services/webhooks');
+const { validate, normalizeCase } = require('../utils/schema');
+const { sendError } = require('../utils/routeErrors');
+const { validateBody } = require('../middleware/validateRequest');
+const { enforceQuota } = require('../middleware/quota');
+const { sendJobAccepted, rejectWebhookUrl } = require('../middleware/jobs');
+const schemas = require('../schemas/requests');
+const router = express.Router();
+
+// Load the job named in the URL or answer 404. Jobs submitted by an
+// authenticated user are only visible to that user.
+const loadJob = async (req, res, next) => {
+  try {
+    const job = await jobManager.get(req.params.jobId);
+    if (!job || (job.user && job.user.id !== req.user?.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        details: 'The job does not exist or has expired'
+      });
+    }
+    req.job = job;
+    next();
+  } catch (error) {
+    console.error('Job Lookup Error:', error);
+    sendError(res, error, 'Failed to load job');
+  }
+};
+
+// Submit a job: { type: 'explain-grammar', input: { grammar: 'ても' }, webhookUrl }
+router.post('/', enforceQuota(), validateBody(schemas.createJob), async (req, res) => {
+  try {
+    const { type, webhookUrl } = req.body;
+    const { schema, guardFields } = jobManager.getType(type);
+    const input = normalizeCase(schema, req.body.input);
+
+    // Check the input the way the route itself would
+    const errors = validate(schema, input, 'input');
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        errors: errors
+      });
+    }
+
+    try {
+      checkInput(input, guardFields);
+    } catch (error) {
+      if (!(error instanceof PromptGuardError)) throw error;
+      if (error.reason !== 'PROMPT_INJECTION' || guardMode() !== 'log') {
+        return res.status(400).json({
+          success: false,
+          error: 'Input rejected',
+          reason: error.reason,
+          field: `input.${error.field}`,
+          details: error.message
+        });
+      }
+    }
+
+    const problem = webhookUrl ? await checkWebhookUrl(webhookUrl) : null;
+    if (problem) {
+      return rejectWebhookUrl(res, problem);
+    }
+
+    const job = await jobManager.create(type, input, { user: req.user, webhookUrl });
+    sendJobAccepted(res, job);
+
+  } catch (error) {
+    console.error('Job Submission Error:', error);
+    sendError(res, error, 'Failed to queue job');
+  }
+});
+
+// List the caller's jobs, newest first (?limit=20)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await jobManager.list(req.user ? req.user.id : null, { limit });
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => jobManager.toJSON(job)),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Job List Error:', error);
+    sendError(res, error, 'Failed to list jobs');
+  }
+});
+
+// Poll a job's status, progress and (once finished) result
+router.get('/:jobId', loadJob, (req, res) => {
+  res.json({
+    success: true,
+    job: jobManager.toJSON(req.job),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Cancel a job. Queued jobs stop at once; running jobs stop at their next
+// checkpoint (batch items not yet started are skipped).
+router.delete('/:jobId', loadJob, async (req, res) => {
+  try {
+    if (TERMINAL_STATES.includes(req.job.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${req.job.status}`,
+        job: jobManager.toJSON(req.job)
+      });
+    }
+
+    const job = await jobManager.cancel(req.job);
+
+    res.status(202).json({
+      success: true,
+      job: jobManager.toJSON(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Job Cancel Error:', error);
+    sendError(res, error, 'Failed to cancel job');
+  }
+});
+
+module.exports = router;
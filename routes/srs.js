@@ -0,0 +1,164 @@
+const express = require('express');
+const srsDeck = require('../services/srs');
+const { DuplicateCardError, DeckFullError } = require('../services/srs');
+const { summarize } = require('../services/usage');
+const { sendError } = require('../utils/routeErrors');
+const { optionalVertexAIModel } = require('../middleware/vertexaiMiddleware');
+const { guardInput } = require('../middleware/promptGuard');
+const { validateBody } = require('../middleware/validateRequest');
+const { enforceQuota } = require('../middleware/quota');
+const { trackUsage } = require('../middleware/usage');
+const schemas = require('../schemas/requests');
+const router = express.Router();
+
+// Cards are reviewed without the AI; the model, quota and usage tracking
+// only apply to cards created with enrichment
+const forEnrichment = [optionalVertexAIModel, enforceQuota(), trackUsage()];
+
+const whenEnriching = (req, res, next) => {
+  if (!req.body.enrich) return next();
+
+  const run = ([middleware, ...rest]) => (middleware
+    ? middleware(req, res, error => (error ? next(error) : run(rest)))
+    : next());
+  run(forEnrichment);
+};
+
+// Decks belong to the authenticated user; anonymous callers (AUTH_MODE off)
+// get one deck per IP, as AUTH_MODE=optional does for them
+router.use((req, res, next) => {
+  req.deckOwner = req.user || { id: `ip:${req.ip}` };
+  next();
+});
+
+// Load the caller's card named in the URL or answer 404
+const loadCard = async (req, res, next) => {
+  try {
+    const card = await srsDeck.get(req.deckOwner, req.params.cardId);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Card not found'
+      });
+    }
+    req.card = card;
+    next();
+  } catch (error) {
+    console.error('Card Lookup Error:', error);
+    sendError(res, error, 'Failed to load card');
+  }
+};
+
+// Add a card: { type: 'word', term: '勉強', reading: 'べんきょう', meaning: 'belajar', enrich: true }
+router.post('/cards', validateBody(schemas.createSrsCard), guardInput(['term', 'reading', 'meaning']), whenEnriching, async (req, res) => {
+  try {
+    const card = await srsDeck.add(req.deckOwner, req.body);
+    const kinds = srsDeck.enrichmentKinds(card, req.body.enrich);
+    const enrichment = kinds.length > 0 ? await srsDeck.enrich(req.deckOwner, req.vertexAIModel, card, kinds) : null;
+
+    res.status(201).json({
+      success: true,
+      card: card,
+      enrichment: enrichment,
+      usage: req.modelUsage ? summarize(req.modelUsage) : null,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof DuplicateCardError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        card: error.card
+      });
+    }
+    if (error instanceof DeckFullError) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        maxCards: error.maxCards
+      });
+    }
+
+    console.error('Card Creation Error:', error);
+    sendError(res, error, 'Failed to add card');
+  }
+});
+
+// All cards of the caller's deck, oldest first (?type=kanji)
+router.get('/cards', async (req, res) => {
+  try {
+    const cards = (await srsDeck.list(req.deckOwner))
+      .filter(card => !req.query.type || card.type === req.query.type)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    res.json({
+      success: true,
+      cards: cards,
+      count: cards.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Card List Error:', error);
+    sendError(res, error, 'Failed to list cards');
+  }
+});
+
+router.get('/cards/:cardId', loadCard, (req, res) => {
+  res.json({
+    success: true,
+    card: req.card,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.delete('/cards/:cardId', loadCard, async (req, res) => {
+  try {
+    await srsDeck.delete(req.deckOwner, req.card.id);
+
+    res.json({
+      success: true,
+      deleted: req.card.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Card Deletion Error:', error);
+    sendError(res, error, 'Failed to delete card');
+  }
+});
+
+// Record a review: { grade: 0-5 }. Answers with the rescheduled card.
+router.post('/cards/:cardId/reviews', validateBody(schemas.reviewSrsCard), loadCard, async (req, res) => {
+  try {
+    const card = await srsDeck.review(req.deckOwner, req.card, req.body.grade);
+
+    res.json({
+      success: true,
+      card: card,
+      nextReviewAt: card.srs.dueAt,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Card Review Error:', error);
+    sendError(res, error, 'Failed to record review');
+  }
+});
+
+// Review queue: overdue cards first, then new ones (?limit=20&type=kanji)
+router.get('/due', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const queue = await srsDeck.due(req.deckOwner, { limit, type: req.query.type });
+
+    res.json({
+      success: true,
+      ...queue,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Due Queue Error:', error);
+    sendError(res, error, 'Failed to load due cards');
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,226 @@
 const express = require('express');
 const vertexAIConfig = require('../config/vertexai');
-const { ensureVertexAI, addVertexAIModel } = require('../middleware/vertexaiMiddleware');
+const { ensureVertexAI, addVertexAIModel, optionalVertexAIModel } = require('../middleware/vertexaiMiddleware');
+const { cacheResponse } = require('../middleware/cacheMiddleware');
+const { guardInput } = require('../middleware/promptGuard');
+const { moderate, moderateFormFields } = require('../middleware/moderation');
+const { validateBody } = require('../middleware/validateRequest');
+const { validate } = require('../utils/schema');
+const { enforceQuota } = require('../middleware/quota');
+const { trackUsage } = require('../middleware/usage');
+const { runAsJob } = require('../middleware/jobs');
+const { acceptImage, acceptAudio } = require('../middleware/upload');
+const { wantsStream, streamGeneration } = require('../utils/streaming');
+const { sendError } = require('../utils/routeErrors');
+const schemas = require('../schemas/requests');
+const prompts = require('../services/promptRegistry');
+const tasks = require('../services/tasks');
+const quotaManager = require('../services/quota');
+const { summarize } = require('../services/usage');
+const { cacheInput } = require('../services/translation');
+const { isLargeBatch, translateBatch, generateExamplesBatch } = require('../services/batch');
+const { generateQuiz } = require('../services/quiz');
+const { recognizeImage } = require('../services/ocr');
+const { checkPronunciation } = require('../services/pronunciation');
+const { analyzeLevel } = require('../services/jlpt');
+const readings = require('../services/readings');
+const { AnalyzerUnavailableError } = require('../services/readings');
+const dictionary = require('../services/dictionary');
+const { MAX_RESULTS } = require('../services/dictionary');
+const scenarios = require('../services/scenarios');
+const chatSessionRoutes = require('./chatSessions');
+const jobRoutes = require('./jobs');
+const srsRoutes = require('./srs');
 const router = express.Router();
 
+// Content moderation of every request and response. Job results are checked
+// when the job finishes, so polling does not check them again.
+router.use(moderate({ outputExclude: ['jobs'] }));
+
+// Quota endpoint - usage and remaining allowance of the current caller.
+// Registered before the model middleware so it works while the AI is down.
+router.get('/quota', async (req, res) => {
+  if (!req.user) {
+    return res.status(404).json({
+      success: false,
+      error: 'Quotas are disabled',
+      details: 'Set AUTH_MODE or configure API_KEYS / JWT_SECRET to enable per-user quotas'
+    });
+  }
+
+  try {
+    const usage = await quotaManager.usage(req.user);
+
+    res.json({
+      success: true,
+      user: { id: req.user.id, authType: req.user.authType },
+      ...usage,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Quota lookup error:', error);
+    sendError(res, error, 'Quota lookup failed');
+  }
+});
+
+// Background jobs (polling needs neither the model nor quota)
+router.use('/jobs', jobRoutes);
+
+// Spaced-repetition decks (reviews work while the AI is down; enrichment
+// on card creation uses the model when it is available)
+router.use('/srs', srsRoutes);
+
+// Furigana, kana readings and romaji. Text is analyzed locally and the model
+// only settles ambiguous readings, so this keeps working while the AI is down.
+router.post('/furigana', optionalVertexAIModel, enforceQuota(), trackUsage(), validateBody(schemas.furigana), guardInput(['text']), async (req, res) => {
+  try {
+    const annotation = await readings.annotate(req.vertexAIModel, req.body);
+
+    res.json({
+      success: true,
+      ...annotation,
+      usage: summarize(req.modelUsage),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof AnalyzerUnavailableError) {
+      return res.status(503).json({
+        success: false,
+        error: 'Reading analysis unavailable',
+        details: error.message
+      });
+    }
+
+    console.error('Furigana Error:', error);
+    sendError(res, error, 'Reading annotation failed');
+  }
+});
+
+// JLPT level of a text. Grading runs offline on the analyzer and the
+// imported dictionary; only the optional rewrite needs the model.
+router.post('/analyze-level', optionalVertexAIModel, enforceQuota(), trackUsage(), validateBody(schemas.analyzeLevel), guardInput(['text']), async (req, res) => {
+  if (req.body.rewrite && !req.vertexAIModel) {
+    return res.status(503).json({
+      success: false,
+      error: 'Rewrite unavailable',
+      details: 'The AI model is not available; send the request without rewrite'
+    });
+  }
+
+  try {
+    const analysis = await analyzeLevel(req.vertexAIModel, req.body);
+
+    res.json({
+      success: true,
+      ...analysis,
+      usage: summarize(req.modelUsage),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof AnalyzerUnavailableError) {
+      return res.status(503).json({
+        success: false,
+        error: 'Reading analysis unavailable',
+        details: error.message
+      });
+    }
+
+    console.error('Level Analysis Error:', error);
+    sendError(res, error, 'Level analysis failed');
+  }
+});
+
+// Offline dictionary (JMdict / KANJIDIC2). Answers from the imported
+// database only, so it needs neither the model nor quota.
+const dictionaryUnavailable = (res) => res.status(503).json({
+  success: false,
+  error: 'Dictionary unavailable',
+  details: 'Import JMdict and KANJIDIC2 with: node scripts/import-dictionary.js --jmdict <file> --kanjidic <file>'
+});
+
+// Look up a word: ?q=食べました&by=auto|kanji|kana|romaji|gloss&limit=10
+router.get('/dictionary', (req, res) => {
+  const errors = validate(schemas.dictionaryLookup, req.query);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      errors: errors
+    });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_RESULTS);
+    const lookup = dictionary.lookup(req.query.q, { by: req.query.by, limit });
+    if (!lookup) return dictionaryUnavailable(res);
+
+    res.json({
+      success: true,
+      ...lookup,
+      count: lookup.results.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Dictionary Lookup Error:', error);
+    sendError(res, error, 'Dictionary lookup failed');
+  }
+});
+
+router.get('/dictionary/kanji/:literal', (req, res) => {
+  try {
+    if (!dictionary.isAvailable()) return dictionaryUnavailable(res);
+
+    const kanji = dictionary.kanji(req.params.literal.normalize('NFKC'));
+    if (!kanji) {
+      return res.status(404).json({
+        success: false,
+        error: 'Kanji not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      kanji: kanji,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Kanji Lookup Error:', error);
+    sendError(res, error, 'Kanji lookup failed');
+  }
+});
+
+// Role-play scenarios for /chat and chat sessions (plain data, no model)
+router.get('/scenarios', (req, res) => {
+  res.json({
+    success: true,
+    scenarios: scenarios.list(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/scenarios/:scenarioId', (req, res) => {
+  const scenario = scenarios.get(req.params.scenarioId);
+  if (!scenario) {
+    return res.status(404).json({
+      success: false,
+      error: 'Scenario not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    scenario: scenarios.toJSON(scenario),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Apply middleware to all routes
 router.use(ensureVertexAI);
 router.use(addVertexAIModel);
+router.use(enforceQuota({ exclude: ['/status'] }));
+router.use(trackUsage({ exclude: ['/status'] }));
 
 // Status endpoint - shows configuration and health
 router.get('/status', async (req, res) => {
@@ -22,262 +237,288 @@ router.get('/status', async (req, res) => {
     });
   } catch (error) {
     console.error('Status check error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Status check failed',
-      details: error.message
-    });
+    sendError(res, error, 'Status check failed');
   }
 });
 
 // Test endpoint
 router.get('/test', async (req, res) => {
   try {
-    const prompt = 'Say "Hello from Vertex AI Gemini!" in Japanese and Indonesian.';
+    const { request, prompt } = prompts.request('test');
     
-    const result = await req.vertexAIModel.generateContent(prompt);
+    const result = await req.vertexAIModel.generateContent(request);
     const response = await result.response;
     
     res.json({
       success: true,
       message: 'Vertex AI connection successful',
       response: response.text(),
+      usage: summarize(req.modelUsage),
+      prompt: prompt,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('Vertex AI Test Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to connect to Vertex AI',
-      details: error.message
-    });
+    sendError(res, error, 'Failed to connect to Vertex AI');
   }
 });
 
-// Translate text to Indonesian
-router.post('/translate', async (req, res) => {
+// Translate between Indonesian, Japanese and English
+router.post('/translate', validateBody(schemas.translate), guardInput(['text', 'targetLanguage', 'glossary']), runAsJob('translate'), cacheResponse('translate', { keyInput: cacheInput }), async (req, res) => {
   try {
-    const { text, targetLanguage = 'Indonesian' } = req.body;
-    
-    if (!text) {
-      return res.status(400).json({
-        success: false,
-        error: 'Text is required for translation'
-      });
-    }
+    const translation = await tasks.translate(req.vertexAIModel, req.body);
 
-    const prompt = `Translate the following text to ${targetLanguage}. Only provide the translation, no additional explanation:
+    res.json({
+      success: true,
+      ...translation,
+      usage: summarize(req.modelUsage),
+      timestamp: new Date().toISOString()
+    });
 
-Text to translate: "${text}"
+  } catch (error) {
 
-Translation:`;
+    console.error('Translation Error:', error);
+    sendError(res, error, 'Translation failed');
+  }
+});
 
-    const result = await req.vertexAIModel.generateContent(prompt);
-    const response = await result.response;
-    const translation = response.text().trim();
+// Translate many texts; large batches run as a background job
+router.post('/translate/batch', validateBody(schemas.translateBatch), runAsJob('translate-batch', { when: isLargeBatch }), async (req, res) => {
+  try {
+    req.modelUsage.route = 'translate-batch';
+    const batch = await translateBatch(req.vertexAIModel, req.body, { userId: req.user?.id });
 
     res.json({
       success: true,
-      originalText: text,
-      translation: translation,
-      targetLanguage: targetLanguage,
-      confidence: 0.9,
+      ...batch,
+      usage: summarize(req.modelUsage),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Translation Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Translation failed',
-      details: error.message
-    });
+    console.error('Batch Translation Error:', error);
+    sendError(res, error, 'Batch translation failed');
   }
 });
 
 // Explain kanji
-router.post('/explain-kanji', async (req, res) => {
+router.post('/explain-kanji', validateBody(schemas.explainKanji), guardInput(['kanji', 'context']), runAsJob('explain-kanji'), cacheResponse('explain-kanji'), async (req, res) => {
   try {
-    const { kanji, context } = req.body;
-    
-    if (!kanji) {
-      return res.status(400).json({
-        success: false,
-        error: 'Kanji character is required'
+    if (req.body.structured) {
+      const explanation = await tasks.explainKanji(req.vertexAIModel, req.body);
+
+      return res.json({
+        success: true,
+        ...explanation,
+        usage: summarize(req.modelUsage),
+        timestamp: new Date().toISOString()
       });
     }
 
-    const prompt = `Explain the kanji "${kanji}" in Indonesian language. Include the following information:
+    const { request, build } = tasks.textRequests['explain-kanji'](req.body);
+
+    const buildResponse = (explanation) => ({
+      success: true,
+      ...build(explanation),
+      usage: summarize(req.modelUsage),
+      timestamp: new Date().toISOString()
+    });
 
-1. Arti dan makna kanji
-2. Cara baca (onyomi dan kunyomi) 
-3. Penggunaan dalam kehidupan sehari-hari
-4. Contoh kata yang menggunakan kanji ini
-5. Sejarah atau asal-usul kanji (jika relevan)
+    if (wantsStream(req)) {
+      return streamGeneration(req, res, req.vertexAIModel.generateContentStream(request), {
+        buildFinal: buildResponse,
+        errorMessage: 'Kanji explanation failed'
+      });
+    }
 
-${context ? `Additional context: ${context}` : ''}
+    res.json(await tasks.generateText(req.vertexAIModel, { request, build: buildResponse }));
 
-Please provide a comprehensive but concise explanation in Indonesian:`;
+  } catch (error) {
 
-    const result = await req.vertexAIModel.generateContent(prompt);
-    const response = await result.response;
-    const explanation = response.text().trim();
+    console.error('Kanji Explanation Error:', error);
+    sendError(res, error, 'Kanji explanation failed');
+  }
+});
 
-    res.json({
+// Explain grammar
+router.post('/explain-grammar', validateBody(schemas.explainGrammar), guardInput(['grammar', 'examples', 'context']), runAsJob('explain-grammar'), cacheResponse('explain-grammar'), async (req, res) => {
+  try {
+    const { request, build } = tasks.textRequests['explain-grammar'](req.body);
+
+    const buildResponse = (explanation) => ({
       success: true,
-      kanji: kanji,
-      explanation: explanation,
-      confidence: 0.9,
+      ...build(explanation),
+      usage: summarize(req.modelUsage),
       timestamp: new Date().toISOString()
     });
 
+    if (wantsStream(req)) {
+      return streamGeneration(req, res, req.vertexAIModel.generateContentStream(request), {
+        buildFinal: buildResponse,
+        errorMessage: 'Grammar explanation failed'
+      });
+    }
+
+    res.json(await tasks.generateText(req.vertexAIModel, { request, build: buildResponse }));
+
   } catch (error) {
-    console.error('Kanji Explanation Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Kanji explanation failed',
-      details: error.message
-    });
+    console.error('Grammar Explanation Error:', error);
+    sendError(res, error, 'Grammar explanation failed');
   }
 });
 
-// Explain grammar
-router.post('/explain-grammar', async (req, res) => {
+// General AI chat/conversation
+router.post('/chat', validateBody(schemas.chat), guardInput(['message', 'context']), runAsJob('chat'), async (req, res) => {
   try {
-    const { grammar, examples, context } = req.body;
-    
-    if (!grammar) {
-      return res.status(400).json({
-        success: false,
-        error: 'Grammar pattern is required'
+    // Role-play turns come back as one JSON response, never streamed
+    if (req.body.scenario) {
+      const turn = await tasks.chat(req.vertexAIModel, req.body);
+
+      return res.json({
+        success: true,
+        ...turn,
+        usage: summarize(req.modelUsage),
+        timestamp: new Date().toISOString()
       });
     }
 
-    const examplesText = examples && examples.length > 0 
-      ? `\n\nContoh kalimat:\n${examples.map((ex, i) => `${i + 1}. ${ex}`).join('\n')}`
-      : '';
+    const { request, build } = tasks.textRequests['chat'](req.body);
+
+    const buildResponse = (aiResponse) => ({
+      success: true,
+      ...build(aiResponse),
+      usage: summarize(req.modelUsage),
+      timestamp: new Date().toISOString()
+    });
 
-    const prompt = `Jelaskan pola tata bahasa Jepang "${grammar}" dalam bahasa Indonesia. Sertakan informasi berikut:
+    if (wantsStream(req)) {
+      return streamGeneration(req, res, req.vertexAIModel.generateContentStream(request), {
+        buildFinal: buildResponse,
+        errorMessage: 'Chat response failed'
+      });
+    }
 
-1. Struktur dan rumus tata bahasa
-2. Kapan dan bagaimana menggunakannya
-3. Nuansa makna yang terkandung
-4. Perbedaan dengan pola tata bahasa serupa (jika ada)
-5. Tips untuk mengingat dan menggunakan pola ini
+    res.json(await tasks.generateText(req.vertexAIModel, { request, build: buildResponse }));
 
-${examplesText}
+  } catch (error) {
 
-${context ? `Konteks tambahan: ${context}` : ''}
+    console.error('Chat Error:', error);
+    sendError(res, error, 'Chat response failed');
+  }
+});
 
-Berikan penjelasan yang komprehensif namun mudah dipahami dalam bahasa Indonesia:`;
+// Multi-turn chat sessions
+router.use('/chat/sessions', chatSessionRoutes);
 
-    const result = await req.vertexAIModel.generateContent(prompt);
-    const response = await result.response;
-    const explanation = response.text().trim();
+// Generate vocabulary examples
+router.post('/generate-examples', validateBody(schemas.generateExamples), guardInput(['word', 'reading', 'meaning']), runAsJob('generate-examples'), cacheResponse('generate-examples'), async (req, res) => {
+  try {
+    const examples = await tasks.generateExamples(req.vertexAIModel, req.body);
 
     res.json({
       success: true,
-      grammar: grammar,
-      explanation: explanation,
-      examples: examples || [],
-      confidence: 0.9,
+      ...examples,
+      usage: summarize(req.modelUsage),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Grammar Explanation Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Grammar explanation failed',
-      details: error.message
-    });
+    console.error('Example Generation Error:', error);
+    sendError(res, error, 'Example generation failed');
   }
 });
 
-// General AI chat/conversation
-router.post('/chat', async (req, res) => {
+// Generate examples for many words; large batches run as a background job
+router.post('/generate-examples/batch', validateBody(schemas.generateExamplesBatch), runAsJob('generate-examples-batch', { when: isLargeBatch }), async (req, res) => {
   try {
-    const { message, context } = req.body;
-    
-    if (!message) {
-      return res.status(400).json({
-        success: false,
-        error: 'Message is required'
-      });
-    }
-
-    const prompt = `You are a helpful Japanese language learning assistant. Respond in Indonesian language.
-
-${context ? `Context: ${context}` : ''}
+    req.modelUsage.route = 'generate-examples-batch';
+    const batch = await generateExamplesBatch(req.vertexAIModel, req.body, { userId: req.user?.id });
 
-User question: ${message}
+    res.json({
+      success: true,
+      ...batch,
+      usage: summarize(req.modelUsage),
+      timestamp: new Date().toISOString()
+    });
 
-Please provide a helpful and educational response:`;
+  } catch (error) {
+    console.error('Batch Example Generation Error:', error);
+    sendError(res, error, 'Batch example generation failed');
+  }
+});
 
-    const result = await req.vertexAIModel.generateContent(prompt);
-    const response = await result.response;
-    const aiResponse = response.text().trim();
+// Correct a learner's sentence; errors carry offsets for inline underlining
+router.post('/correct-sentence', validateBody(schemas.correctSentence), guardInput(['sentence', 'intendedMeaning']), runAsJob('correct-sentence'), cacheResponse('correct-sentence'), async (req, res) => {
+  try {
+    const correction = await tasks.correctSentence(req.vertexAIModel, req.body);
 
     res.json({
       success: true,
-      userMessage: message,
-      aiResponse: aiResponse,
-      confidence: 0.9,
+      ...correction,
+      usage: summarize(req.modelUsage),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Chat Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Chat response failed',
-      details: error.message
-    });
+    console.error('Sentence Correction Error:', error);
+    sendError(res, error, 'Sentence correction failed');
   }
 });
 
-// Generate vocabulary examples
-router.post('/generate-examples', async (req, res) => {
+// Generate quiz exercises for words, kanji or grammar patterns. Not cached:
+// every request should get fresh exercises.
+router.post('/generate-quiz', validateBody(schemas.generateQuiz), guardInput(['topics', 'seen']), runAsJob('generate-quiz'), async (req, res) => {
   try {
-    const { word, reading, meaning } = req.body;
-    
-    if (!word) {
-      return res.status(400).json({
-        success: false,
-        error: 'Word is required'
-      });
-    }
+    const quiz = await generateQuiz(req.vertexAIModel, req.body);
 
-    const prompt = `Generate 3 example sentences using the Japanese word "${word}" (reading: ${reading || 'unknown'}, meaning: ${meaning || 'unknown'}).
+    res.json({
+      success: true,
+      ...quiz,
+      usage: summarize(req.modelUsage),
+      timestamp: new Date().toISOString()
+    });
 
-For each example, provide:
-1. Japanese sentence
-2. Romaji reading
-3. Indonesian translation
+  } catch (error) {
+    console.error('Quiz Generation Error:', error);
+    sendError(res, error, 'Quiz generation failed');
+  }
+});
 
-Format the response as JSON array with objects containing: sentence, reading, meaning
+// Recognize Japanese text or a handwritten kanji in a photo or canvas drawing,
+// optionally followed by a kanji explanation or translation
+router.post('/recognize-image', acceptImage({ schema: schemas.recognizeImage }), validateBody(schemas.recognizeImage), moderateFormFields, guardInput(['context']), async (req, res) => {
+  try {
+    const recognition = await recognizeImage(req.vertexAIModel, req.image, req.body);
 
-Examples:`;
+    res.json({
+      success: true,
+      ...recognition,
+      usage: summarize(req.modelUsage),
+      timestamp: new Date().toISOString()
+    });
 
-    const result = await req.vertexAIModel.generateContent(prompt);
-    const response = await result.response;
-    const examples = response.text().trim();
+  } catch (error) {
+    console.error('Image Recognition Error:', error);
+    sendError(res, error, 'Image recognition failed');
+  }
+});
+
+// Pronunciation practice - a short recording of the learner reading a
+// sentence, matched against it mora by mora
+router.post('/check-pronunciation', acceptAudio({ schema: schemas.checkPronunciation }), validateBody(schemas.checkPronunciation), moderateFormFields, guardInput(['sentence']), async (req, res) => {
+  try {
+    const result = await checkPronunciation(req.vertexAIModel, req.audio, req.body);
 
     res.json({
       success: true,
-      word: word,
-      examples: examples,
-      confidence: 0.9,
+      ...result,
+      usage: summarize(req.modelUsage),
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Example Generation Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Example generation failed',
-      details: error.message
-    });
+    console.error('Pronunciation Check Error:', error);
+    sendError(res, error, 'Pronunciation check failed');
   }
 });
 
@@ -0,0 +1,31 @@
+// Seeing a doctor at a clinic. The doctor asks about symptoms step by step,
+// so the learner practises describing pain, duration and allergies.
+module.exports = {
+  title: 'Periksa ke dokter',
+  description: 'Menjelaskan gejala sakit kepada dokter di klinik: keluhan, sejak kapan, alergi dan obat.',
+  level: 'N4',
+  politeness: 'polite',
+  setting: 'An internal medicine clinic in a residential area, on a weekday morning.',
+  persona: {
+    name: '中村',
+    role: 'doctor at a small clinic',
+    description: 'A kind, unhurried doctor. Asks short questions about symptoms, explains the diagnosis in simple words and checks that the patient understood.'
+  },
+  learnerRole: 'a patient who has had a fever and a sore throat since yesterday',
+  goals: [
+    'Menjelaskan gejala (demam, sakit tenggorokan)',
+    'Menjelaskan sejak kapan merasa sakit',
+    'Menjawab pertanyaan tentang alergi obat',
+    'Menanyakan cara minum obat'
+  ],
+  vocabulary: [
+    { word: '熱', reading: 'ねつ', meaning: 'demam' },
+    { word: '喉', reading: 'のど', meaning: 'tenggorokan' },
+    { word: '痛い', reading: 'いたい', meaning: 'sakit' },
+    { word: '咳', reading: 'せき', meaning: 'batuk' },
+    { word: 'アレルギー', reading: 'あれるぎー', meaning: 'alergi' },
+    { word: '薬', reading: 'くすり', meaning: 'obat' },
+    { word: '食後', reading: 'しょくご', meaning: 'sesudah makan' }
+  ],
+  opening: 'こんにちは。今日はどうされましたか？'
+};
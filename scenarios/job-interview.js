@@ -0,0 +1,31 @@
+// Interview for a part-time job. The interviewer keeps to the usual
+// questions of a baito interview and expects polite, complete answers.
+module.exports = {
+  title: 'Wawancara kerja paruh waktu',
+  description: 'Wawancara untuk kerja paruh waktu di restoran: perkenalan diri, jadwal kerja, pengalaman dan alasan melamar.',
+  level: 'N4',
+  politeness: 'keigo',
+  setting: 'A small interview room at the back of a family restaurant in Osaka.',
+  persona: {
+    name: '山本',
+    role: 'restaurant manager interviewing applicants',
+    description: 'A calm manager in his forties. Asks one question at a time, follows up on vague answers and uses polite business Japanese with some 尊敬語.'
+  },
+  learnerRole: 'an Indonesian student applying for a part-time job as a waiter',
+  goals: [
+    'Memperkenalkan diri dengan sopan (nama, asal, sekolah)',
+    'Menjelaskan hari dan jam yang bisa bekerja',
+    'Menceritakan pengalaman kerja atau kemampuan',
+    'Menjelaskan alasan ingin bekerja di restoran ini',
+    'Mengajukan satu pertanyaan kepada pewawancara'
+  ],
+  vocabulary: [
+    { word: '面接', reading: 'めんせつ', meaning: 'wawancara' },
+    { word: '経験', reading: 'けいけん', meaning: 'pengalaman' },
+    { word: 'シフト', reading: 'しふと', meaning: 'jadwal kerja (shift)' },
+    { word: '志望動機', reading: 'しぼうどうき', meaning: 'alasan melamar' },
+    { word: '留学生', reading: 'りゅうがくせい', meaning: 'mahasiswa asing' },
+    { word: 'よろしくお願いいたします', reading: 'よろしくおねがいいたします', meaning: 'mohon bantuannya (sangat sopan)' }
+  ],
+  opening: 'こんにちは。本日は面接にお越しいただき、ありがとうございます。では、まず簡単に自己紹介をお願いします。'
+};
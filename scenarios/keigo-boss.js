@@ -0,0 +1,30 @@
+// Talking to a section chief at work. The point is switching to 尊敬語 and
+// 謙譲語: asking for time off, reporting and apologising for a mistake.
+module.exports = {
+  title: 'Keigo dengan atasan',
+  description: 'Berbicara dengan kepala bagian di kantor: melapor, meminta izin cuti dan meminta maaf dengan keigo.',
+  level: 'N3',
+  politeness: 'keigo',
+  setting: 'An office in Tokyo. The learner goes to the section chief\'s desk late in the afternoon.',
+  persona: {
+    name: '鈴木',
+    role: 'section chief (課長) at a trading company',
+    description: 'A strict but fair manager. Speaks polite but plain Japanese to subordinates and notices when they use casual forms or wrong 敬語.'
+  },
+  learnerRole: 'a new employee in the section',
+  goals: [
+    'Membuka pembicaraan dengan sopan (お忙しいところ…)',
+    'Melaporkan bahwa laporan akan terlambat dan meminta maaf',
+    'Meminta izin cuti satu hari dengan alasan',
+    'Memakai 謙譲語 untuk tindakan sendiri (申す, 伺う, いたす)'
+  ],
+  vocabulary: [
+    { word: '課長', reading: 'かちょう', meaning: 'kepala bagian' },
+    { word: '報告', reading: 'ほうこく', meaning: 'laporan' },
+    { word: '締め切り', reading: 'しめきり', meaning: 'tenggat waktu' },
+    { word: '申し訳ございません', reading: 'もうしわけございません', meaning: 'mohon maaf sebesar-besarnya' },
+    { word: '有給休暇', reading: 'ゆうきゅうきゅうか', meaning: 'cuti berbayar' },
+    { word: 'いただけますか', reading: 'いただけますか', meaning: 'bolehkah saya menerima (permintaan sopan)' }
+  ],
+  opening: 'ああ、どうしました？何か用ですか。'
+};
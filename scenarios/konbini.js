@@ -0,0 +1,30 @@
+// Paying at a convenience store. The clerk's lines are the fixed phrases of
+// Japanese konbini, so beginners can follow with very little vocabulary.
+module.exports = {
+  title: 'Belanja di konbini',
+  description: 'Membayar bento dan minuman di minimarket Jepang: menghangatkan bento, kantong plastik dan cara bayar.',
+  level: 'N5',
+  politeness: 'polite',
+  setting: 'The checkout counter of a convenience store in Tokyo, in the evening.',
+  persona: {
+    name: '佐藤',
+    role: 'convenience store clerk',
+    description: 'A friendly part-time clerk. Uses the standard store phrases (いらっしゃいませ, 温めますか, 袋はご利用ですか, ポイントカードはお持ちですか) and speaks slowly and clearly.'
+  },
+  learnerRole: 'a customer buying a bento and a bottle of tea',
+  goals: [
+    'Menjawab apakah bento perlu dihangatkan',
+    'Menjawab apakah perlu kantong plastik',
+    'Menanyakan atau memilih cara pembayaran',
+    'Mengucapkan terima kasih saat selesai'
+  ],
+  vocabulary: [
+    { word: '温める', reading: 'あたためる', meaning: 'menghangatkan' },
+    { word: '袋', reading: 'ふくろ', meaning: 'kantong' },
+    { word: 'お箸', reading: 'おはし', meaning: 'sumpit' },
+    { word: 'カード', reading: 'かーど', meaning: 'kartu' },
+    { word: '現金', reading: 'げんきん', meaning: 'uang tunai' },
+    { word: 'レシート', reading: 'れしーと', meaning: 'struk' }
+  ],
+  opening: 'いらっしゃいませ。こちらのお弁当、温めますか？'
+};
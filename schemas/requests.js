@@ -0,0 +1,362 @@
+// Request body schemas for /api/vertexai routes. Enforced by validateBody()
+// and published at GET /api/schemas for the frontend team.
+
+const { JLPT_LEVELS, POLITENESS_LEVELS, EXERCISE_TYPES } = require('./responses');
+
+const TARGET_LANGUAGES = ['Indonesian', 'English', 'Japanese'];
+const QUIZ_TOPIC_TYPES = ['vocabulary', 'kanji', 'grammar'];
+const SRS_CARD_TYPES = ['word', 'kanji', 'grammar'];
+const MAX_BATCH_ITEMS = 500;
+
+// Delivery options accepted by several routes
+const streamOption = { type: 'boolean', description: 'Stream the answer (SSE / NDJSON)' };
+const cacheOptions = {
+  noCache: { type: 'boolean', description: 'Bypass the response cache' },
+  refresh: { type: 'boolean', description: 'Alias of noCache' }
+};
+
+// Run the request as a background job (202 + job ID) instead of inline
+const jobOptions = {
+  async: { type: 'boolean', description: 'Run as a background job and answer 202 with a job ID' },
+  webhookUrl: { type: 'string', maxLength: 2000, description: 'URL that receives a POST when the job finishes' }
+};
+
+const context = { type: 'string', maxLength: 500, description: 'Optional extra context' };
+
+const scenario = {
+  type: 'string',
+  pattern: '^[a-z0-9-]{1,50}$',
+  patternMessage: 'must be a scenario ID from GET /api/vertexai/scenarios',
+  description: 'Role-play scenario: the model answers in character with a hint and a correction'
+};
+
+// Items of a batch are checked one by one against the single-item schema,
+// so one bad item fails alone instead of rejecting the whole batch
+const batchItems = (description) => ({
+  type: 'array',
+  minItems: 1,
+  maxItems: MAX_BATCH_ITEMS,
+  items: { type: 'object' },
+  description
+});
+
+const translate = {
+  type: 'object',
+  description: 'POST /api/vertexai/translate',
+  properties: {
+    text: { type: 'string', minLength: 1, maxLength: 2000, description: 'Text to translate' },
+    targetLanguage: { type: 'string', enum: [...TARGET_LANGUAGES, 'auto'], caseInsensitive: true, description: 'Defaults to Indonesian; auto picks Japanese for Indonesian text, otherwise Indonesian' },
+    sourceLanguage: { type: 'string', enum: ['auto', ...TARGET_LANGUAGES], caseInsensitive: true, description: 'Language of the text; auto detects it' },
+    register: { type: 'string', enum: POLITENESS_LEVELS, description: 'Register of the translation' },
+    alternatives: { type: 'integer', minimum: 0, maximum: 5, description: 'Alternative translations with nuance notes' },
+    alignment: { type: 'boolean', description: 'Pair source and target words' },
+    glossary: {
+      type: 'array',
+      maxItems: 30,
+      items: {
+        type: 'object',
+        properties: {
+          term: { type: 'string', minLength: 1, maxLength: 100 },
+          translation: { type: 'string', minLength: 1, maxLength: 100 }
+        },
+        required: ['term', 'translation'],
+        additionalProperties: false
+      },
+      description: 'Terms that must be translated as given'
+    },
+    ...cacheOptions,
+    ...jobOptions
+  },
+  required: ['text']
+};
+
+const explainKanji = {
+  type: 'object',
+  description: 'POST /api/vertexai/explain-kanji',
+  properties: {
+    kanji: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 10,
+      pattern: '^\\p{Script=Han}+$',
+      patternMessage: 'must contain only kanji characters (CJK ideographs)',
+      description: 'One kanji, or several to explain each'
+    },
+    context,
+    structured: { type: 'boolean', description: 'Return a structured breakdown instead of prose' },
+    stream: streamOption,
+    ...cacheOptions,
+    ...jobOptions
+  },
+  required: ['kanji']
+};
+
+const explainGrammar = {
+  type: 'object',
+  description: 'POST /api/vertexai/explain-grammar',
+  properties: {
+    grammar: { type: 'string', minLength: 1, maxLength: 100, description: 'Grammar pattern, e.g. です/である' },
+    examples: {
+      type: 'array',
+      maxItems: 10,
+      items: { type: 'string', minLength: 1, maxLength: 200 },
+      description: 'Example sentences to discuss'
+    },
+    context,
+    stream: streamOption,
+    ...cacheOptions,
+    ...jobOptions
+  },
+  required: ['grammar']
+};
+
+const chat = {
+  type: 'object',
+  description: 'POST /api/vertexai/chat',
+  properties: {
+    message: { type: 'string', minLength: 1, maxLength: 2000, description: 'Learner question' },
+    context,
+    scenario,
+    stream: streamOption,
+    ...jobOptions
+  },
+  required: ['message']
+};
+
+const generateExamples = {
+  type: 'object',
+  description: 'POST /api/vertexai/generate-examples',
+  properties: {
+    word: { type: 'string', minLength: 1, maxLength: 50, description: 'Japanese word' },
+    reading: { type: 'string', maxLength: 100, description: 'Reading of the word' },
+    meaning: { type: 'string', maxLength: 200, description: 'Meaning of the word' },
+    count: { type: 'integer', minimum: 1, maximum: 10, description: 'Number of examples, default 3' },
+    jlptLevel: { type: 'string', enum: JLPT_LEVELS, description: 'Limit vocabulary and grammar to this level' },
+    furigana: { type: 'boolean', description: 'Add ruby markup for kanji' },
+    ...cacheOptions,
+    ...jobOptions
+  },
+  required: ['word']
+};
+
+const correctSentence = {
+  type: 'object',
+  description: 'POST /api/vertexai/correct-sentence',
+  properties: {
+    sentence: { type: 'string', minLength: 1, maxLength: 500, description: 'Japanese sentence written by the learner' },
+    intendedMeaning: { type: 'string', maxLength: 500, description: 'What the learner meant, in Indonesian' },
+    jlptLevel: { type: 'string', enum: JLPT_LEVELS, description: 'Keep corrections within this level' },
+    ...cacheOptions,
+    ...jobOptions
+  },
+  required: ['sentence']
+};
+
+const generateQuiz = {
+  type: 'object',
+  description: 'POST /api/vertexai/generate-quiz',
+  properties: {
+    topicType: { type: 'string', enum: QUIZ_TOPIC_TYPES, description: 'What the topics are' },
+    topics: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: { type: 'string', minLength: 1, maxLength: 100 },
+      description: 'Words, kanji or grammar patterns to practise'
+    },
+    jlptLevel: { type: 'string', enum: JLPT_LEVELS, description: 'Level of sentences and distractors' },
+    count: { type: 'integer', minimum: 1, maximum: 20, description: 'Number of exercises, default 5' },
+    exerciseTypes: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: EXERCISE_TYPES },
+      description: 'Defaults depend on topicType'
+    },
+    seen: {
+      type: 'array',
+      maxItems: 200,
+      items: { type: 'string', minLength: 1, maxLength: 300 },
+      description: 'Exercise IDs or questions from earlier quizzes not to repeat'
+    },
+    ...jobOptions
+  },
+  required: ['topicType', 'topics', 'jlptLevel']
+};
+
+// The image itself is uploaded as multipart `image`, as a raw image/* body
+// or as base64 in JSON; options go in form fields or the query string for
+// the first two
+const recognizeImage = {
+  type: 'object',
+  description: 'POST /api/vertexai/recognize-image',
+  properties: {
+    image: { type: 'string', description: 'Base64 image or data URL (JSON uploads only)' },
+    mode: { type: 'string', enum: ['text', 'kanji'], description: 'Photo of text (default) or one handwritten kanji' },
+    then: { type: 'string', enum: ['explain-kanji', 'translate'], description: 'Explain or translate what was recognized' },
+    targetLanguage: { type: 'string', enum: TARGET_LANGUAGES, caseInsensitive: true, description: 'For then=translate, defaults to Indonesian' },
+    context
+  }
+};
+
+// Recording as multipart (field "audio"), a raw audio/* body or base64 in
+// JSON, like /recognize-image
+const checkPronunciation = {
+  type: 'object',
+  description: 'POST /api/vertexai/check-pronunciation',
+  properties: {
+    audio: { type: 'string', description: 'Base64 audio or data URL (JSON uploads only)' },
+    sentence: { type: 'string', minLength: 1, maxLength: 200, description: 'Japanese sentence the learner tried to say' }
+  },
+  required: ['sentence']
+};
+
+const furigana = {
+  type: 'object',
+  description: 'POST /api/vertexai/furigana',
+  properties: {
+    text: { type: 'string', minLength: 1, maxLength: 2000, description: 'Japanese text to annotate' },
+    useModel: { type: 'boolean', description: 'Ask the AI model about unknown or context-dependent readings, default true' }
+  },
+  required: ['text']
+};
+
+const analyzeLevel = {
+  type: 'object',
+  description: 'POST /api/vertexai/analyze-level',
+  properties: {
+    text: { type: 'string', minLength: 1, maxLength: 5000, description: 'Japanese text to grade' },
+    level: { type: 'string', enum: JLPT_LEVELS, description: 'Target level: list what is above it' },
+    rewrite: { type: 'boolean', description: 'Ask the AI model to rewrite the text down to the target level' }
+  },
+  required: ['text']
+};
+
+const translateBatch = {
+  type: 'object',
+  description: 'POST /api/vertexai/translate/batch',
+  properties: {
+    items: batchItems('Items shaped like the /translate body: { text, targetLanguage }'),
+    targetLanguage: { type: 'string', enum: [...TARGET_LANGUAGES, 'auto'], caseInsensitive: true, description: 'Default for items without one' },
+    ...jobOptions,
+    noCache: cacheOptions.noCache
+  },
+  required: ['items']
+};
+
+const generateExamplesBatch = {
+  type: 'object',
+  description: 'POST /api/vertexai/generate-examples/batch',
+  properties: {
+    items: batchItems('Items shaped like the /generate-examples body'),
+    ...jobOptions,
+    noCache: cacheOptions.noCache
+  },
+  required: ['items']
+};
+
+const JOB_TYPES = [
+  'translate', 'explain-kanji', 'explain-grammar', 'chat', 'generate-examples', 'correct-sentence', 'generate-quiz',
+  'translate-batch', 'generate-examples-batch'
+];
+
+// The input is validated against the schema of the route the job type runs
+const createJob = {
+  type: 'object',
+  description: 'POST /api/vertexai/jobs',
+  properties: {
+    type: { type: 'string', enum: JOB_TYPES, description: 'Route to run' },
+    input: { type: 'object', description: 'Body the route would receive' },
+    webhookUrl: jobOptions.webhookUrl
+  },
+  required: ['type', 'input']
+};
+
+const createChatSession = {
+  type: 'object',
+  description: 'POST /api/vertexai/chat/sessions',
+  properties: {
+    context,
+    scenario,
+    metadata: { type: 'object', description: 'Free-form client metadata stored with the session' }
+  }
+};
+
+const chatSessionMessage = {
+  type: 'object',
+  description: 'POST /api/vertexai/chat/sessions/:sessionId/messages',
+  properties: {
+    message: { type: 'string', minLength: 1, maxLength: 2000, description: 'Learner message' },
+    stream: streamOption
+  },
+  required: ['message']
+};
+
+const createSrsCard = {
+  type: 'object',
+  description: 'POST /api/vertexai/srs/cards',
+  properties: {
+    type: { type: 'string', enum: SRS_CARD_TYPES, description: 'What the card teaches' },
+    term: { type: 'string', minLength: 1, maxLength: 100, description: 'Word, kanji or grammar pattern' },
+    reading: { type: 'string', maxLength: 100, description: 'Reading in kana' },
+    meaning: { type: 'string', maxLength: 500, description: 'Meaning in Indonesian' },
+    notes: { type: 'string', maxLength: 2000, description: 'Learner notes, not sent to the model' },
+    tags: { type: 'array', maxItems: 20, items: { type: 'string', minLength: 1, maxLength: 50 } },
+    enrich: {
+      type: ['boolean', 'array'],
+      items: { type: 'string', enum: ['examples', 'kanji'] },
+      description: 'Add example sentences and/or a kanji breakdown; true picks by card type'
+    }
+  },
+  required: ['type', 'term']
+};
+
+const reviewSrsCard = {
+  type: 'object',
+  description: 'POST /api/vertexai/srs/cards/:cardId/reviews',
+  properties: {
+    grade: { type: 'integer', minimum: 0, maximum: 5, description: 'SM-2 recall quality: 0 forgot ... 3 hard ... 5 easy' }
+  },
+  required: ['grade']
+};
+
+const DICTIONARY_LOOKUP_MODES = ['auto', 'kanji', 'kana', 'romaji', 'gloss'];
+
+// Query parameters, so every value arrives as a string
+const dictionaryLookup = {
+  type: 'object',
+  description: 'GET /api/vertexai/dictionary',
+  properties: {
+    q: { type: 'string', minLength: 1, maxLength: 100, description: 'Kanji, kana, romaji or an Indonesian/English word' },
+    by: { type: 'string', enum: DICTIONARY_LOOKUP_MODES, description: 'What q is; auto detects it' },
+    limit: { type: 'string', pattern: '^\\d{1,2}$', patternMessage: 'must be a number', description: 'Results to return, at most 50' }
+  },
+  required: ['q']
+};
+
+module.exports = {
+  TARGET_LANGUAGES,
+  QUIZ_TOPIC_TYPES,
+  SRS_CARD_TYPES,
+  DICTIONARY_LOOKUP_MODES,
+  MAX_BATCH_ITEMS,
+  JOB_TYPES,
+  translate,
+  explainKanji,
+  explainGrammar,
+  chat,
+  generateExamples,
+  correctSentence,
+  generateQuiz,
+  recognizeImage,
+  checkPronunciation,
+  furigana,
+  analyzeLevel,
+  translateBatch,
+  generateExamplesBatch,
+  createJob,
+  createChatSession,
+  chatSessionMessage,
+  createSrsCard,
+  reviewSrsCard,
+  dictionaryLookup
+};
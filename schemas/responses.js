@@ -0,0 +1,342 @@
+// JSON schemas for structured model output, validated before a route returns it
+
+const JLPT_LEVELS = ['N5', 'N4', 'N3', 'N2', 'N1'];
+const POLITENESS_LEVELS = ['casual', 'polite', 'keigo'];
+const EXERCISE_TYPES = ['multiple-choice', 'particle-fill', 'kanji-reading', 'sentence-order'];
+const CORRECTION_CATEGORIES = ['particle', 'conjugation', 'kanji-choice', 'politeness', 'vocabulary', 'word-order', 'spelling', 'other'];
+const PRONUNCIATION_CATEGORIES = ['pitch-accent', 'long-vowel', 'double-consonant', 'moraic-n', 'consonant', 'vowel', 'rhythm', 'intonation', 'fluency', 'other'];
+
+// Array of example sentences for /generate-examples
+const exampleSentences = ({ count = 3, furigana = false } = {}) => {
+  const properties = {
+    sentence: { type: 'string', minLength: 1, description: 'Japanese sentence' },
+    reading: { type: 'string', minLength: 1, description: 'Hepburn romaji reading of the sentence' },
+    meaning: { type: 'string', minLength: 1, description: 'Indonesian translation' }
+  };
+  const required = ['sentence', 'reading', 'meaning'];
+
+  if (furigana) {
+    properties.furigana = {
+      type: 'string',
+      minLength: 1,
+      description: 'Sentence with HTML ruby markup for every kanji, e.g. <ruby>学校<rt>がっこう</rt></ruby>'
+    };
+    required.push('furigana');
+  }
+
+  return {
+    type: 'array',
+    minItems: count,
+    maxItems: count,
+    items: { type: 'object', properties, required }
+  };
+};
+
+// Structured breakdown of a single kanji for /explain-kanji
+const kanjiBreakdown = {
+  type: 'object',
+  properties: {
+    meanings: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', minLength: 1 },
+      description: 'Meanings in Indonesian'
+    },
+    onyomi: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      description: 'On readings in katakana'
+    },
+    kunyomi: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      description: 'Kun readings in hiragana, okurigana separated with a dot'
+    },
+    strokeCount: { type: 'integer', minimum: 1, maximum: 84 },
+    radicals: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          radical: { type: 'string', minLength: 1 },
+          meaning: { type: 'string', minLength: 1, description: 'Meaning in Indonesian' }
+        },
+        required: ['radical', 'meaning']
+      }
+    },
+    jlptLevel: { type: 'string', enum: JLPT_LEVELS, nullable: true },
+    exampleWords: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 8,
+      items: {
+        type: 'object',
+        properties: {
+          word: { type: 'string', minLength: 1 },
+          reading: { type: 'string', minLength: 1, description: 'Reading in hiragana' },
+          meaning: { type: 'string', minLength: 1, description: 'Meaning in Indonesian' }
+        },
+        required: ['word', 'reading', 'meaning']
+      }
+    },
+    usage: { type: 'string', description: 'Everyday usage notes in Indonesian' },
+    etymology: { type: 'string', nullable: true, description: 'Origin of the character in Indonesian' }
+  },
+  required: ['meanings', 'onyomi', 'kunyomi', 'strokeCount', 'radicals', 'jlptLevel', 'exampleWords']
+};
+
+// Translations of several packed texts, in input order, for batch translation
+const translationBatch = (count) => ({
+  type: 'object',
+  properties: {
+    translations: {
+      type: 'array',
+      minItems: count,
+      maxItems: count,
+      items: { type: 'string', minLength: 1 },
+      description: 'One translation per input text, same order'
+    }
+  },
+  required: ['translations']
+});
+
+// /translate with detail options; alternatives and alignment are only asked
+// for when requested
+const translationDetails = ({ alternatives = 0, alignment = false } = {}) => ({
+  type: 'object',
+  properties: {
+    translation: { type: 'string', minLength: 1, description: 'The most natural translation' },
+    ...(alternatives > 0 && {
+      alternatives: {
+        type: 'array',
+        minItems: alternatives,
+        maxItems: alternatives,
+        items: {
+          type: 'object',
+          properties: {
+            translation: { type: 'string', minLength: 1 },
+            nuance: { type: 'string', minLength: 1, description: 'How it differs from the main translation, in Indonesian' }
+          },
+          required: ['translation', 'nuance']
+        }
+      }
+    }),
+    ...(alignment && {
+      alignment: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string', minLength: 1, description: 'Word or phrase copied from the source text' },
+            target: { type: 'string', minLength: 1, description: 'Its counterpart copied from the translation' }
+          },
+          required: ['source', 'target']
+        }
+      }
+    })
+  },
+  required: ['translation', ...(alternatives > 0 ? ['alternatives'] : []), ...(alignment ? ['alignment'] : [])]
+});
+
+// Corrections of a learner sentence for /correct-sentence
+const sentenceCorrection = {
+  type: 'object',
+  properties: {
+    correctedSentence: { type: 'string', minLength: 1 },
+    errors: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string', minLength: 1, description: 'Wrong part, copied exactly from the sentence' },
+          correction: { type: 'string', description: 'Replacement for the wrong part' },
+          category: { type: 'string', enum: CORRECTION_CATEGORIES },
+          explanation: { type: 'string', minLength: 1, description: 'Why it is wrong, in Indonesian' }
+        },
+        required: ['original', 'correction', 'category', 'explanation']
+      }
+    },
+    feedback: { type: 'string', minLength: 1, description: 'Overall feedback in Indonesian' }
+  },
+  required: ['correctedSentence', 'errors', 'feedback']
+};
+
+// Exercises for /generate-quiz. Answers and parts are checked per type
+// by services/quiz.js; exercises that fail are dropped and replaced.
+const quizExercises = (count) => ({
+  type: 'object',
+  properties: {
+    exercises: {
+      type: 'array',
+      minItems: count,
+      maxItems: count,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: EXERCISE_TYPES },
+          target: { type: 'string', minLength: 1, description: 'Word, kanji or grammar pattern being tested' },
+          question: { type: 'string', minLength: 1, description: 'Instruction or question in Indonesian' },
+          sentence: { type: 'string', nullable: true, description: 'Japanese sentence; particle-fill marks the blank with ＿＿' },
+          choices: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Options including the answer; empty for sentence-order' },
+          answer: { type: 'string', minLength: 1, description: 'Correct choice; for sentence-order the whole sentence' },
+          parts: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'sentence-order only: fragments in the correct order' },
+          explanation: { type: 'string', minLength: 1, description: 'Why the answer is correct, in Indonesian' }
+        },
+        required: ['type', 'target', 'question', 'choices', 'answer', 'parts', 'explanation']
+      }
+    }
+  },
+  required: ['exercises']
+});
+
+// Text or a handwritten kanji recognized in an image for /recognize-image
+const imageRecognition = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', description: 'Recognized text; the best kanji in kanji mode' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    candidates: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          kanji: { type: 'string', minLength: 1, description: 'A single kanji' },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        },
+        required: ['kanji', 'confidence']
+      },
+      description: 'Candidate kanji, most likely first'
+    },
+    notes: { type: 'string', nullable: true, description: 'Legibility or stroke remarks in Indonesian' }
+  },
+  required: ['text', 'confidence', 'candidates']
+};
+
+// What the model heard in a pronunciation recording for /check-pronunciation.
+// The match against the target is computed by services/pronunciation.js.
+const pronunciationCheck = {
+  type: 'object',
+  properties: {
+    transcription: { type: 'string', description: 'What the learner actually said, in Japanese script' },
+    heardReading: { type: 'string', description: 'What was heard in hiragana, as pronounced, without ー' },
+    expectedReading: { type: 'string', minLength: 1, description: 'The target sentence in hiragana, as pronounced' },
+    remarks: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          word: { type: 'string', description: 'Word of the target sentence the remark is about' },
+          category: { type: 'string', enum: PRONUNCIATION_CATEGORIES },
+          comment: { type: 'string', minLength: 1, description: 'The problem and how to fix it, in Indonesian' }
+        },
+        required: ['word', 'category', 'comment']
+      }
+    },
+    feedback: { type: 'string', minLength: 1, description: 'Overall feedback in Indonesian' }
+  },
+  required: ['transcription', 'heardReading', 'expectedReading', 'remarks', 'feedback']
+};
+
+// Readings of words the morphological analyzer could not settle, in input order
+const wordReadings = (count) => ({
+  type: 'object',
+  properties: {
+    readings: {
+      type: 'array',
+      minItems: count,
+      maxItems: count,
+      items: { type: 'string', minLength: 1 },
+      description: 'Reading of each word in hiragana, as used in the sentence'
+    }
+  },
+  required: ['readings']
+});
+
+// Segmentation of a whole text when no morphological analyzer is installed
+const textSegmentation = {
+  type: 'object',
+  properties: {
+    tokens: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          surface: { type: 'string', minLength: 1, description: 'Token exactly as written in the text' },
+          reading: { type: 'string', description: 'Reading in hiragana, empty for punctuation and Latin text' },
+          partOfSpeech: { type: 'string', minLength: 1, description: 'English part of speech, e.g. noun, verb, particle' }
+        },
+        required: ['surface', 'reading', 'partOfSpeech']
+      },
+      description: 'Tokens in order; their surfaces joined must give the text'
+    }
+  },
+  required: ['tokens']
+};
+
+// Text rewritten for a lower JLPT level by /analyze-level
+const simplifiedText = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', minLength: 1, description: 'The rewritten Japanese text' },
+    notes: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', minLength: 1 },
+      description: 'Main changes made, in Indonesian'
+    }
+  },
+  required: ['text', 'notes']
+};
+
+// One role-play turn: the persona's line plus the Indonesian hint and
+// correction channels shown beside the conversation
+const roleplayTurn = (goalCount) => ({
+  type: 'object',
+  properties: {
+    reply: { type: 'string', minLength: 1, description: 'Your next line, in character, in Japanese only' },
+    hint: { type: 'string', minLength: 1, description: 'In Indonesian: what your line means and an idea for what the learner could answer' },
+    correction: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        original: { type: 'string', description: 'The wrong or unnatural part of the learner\'s last message' },
+        corrected: { type: 'string', minLength: 1, description: 'How to say it correctly at the required politeness level' },
+        explanation: { type: 'string', minLength: 1, description: 'Why, in Indonesian' }
+      },
+      required: ['original', 'corrected', 'explanation'],
+      description: 'Null when the learner\'s last message was correct and natural'
+    },
+    goalsMet: {
+      type: 'array',
+      maxItems: goalCount,
+      items: { type: 'integer', minimum: 1, maximum: goalCount },
+      description: 'Numbers of the scenario goals the learner achieved with their last message'
+    }
+  },
+  required: ['reply', 'hint', 'correction', 'goalsMet']
+});
+
+module.exports = {
+  JLPT_LEVELS,
+  POLITENESS_LEVELS,
+  EXERCISE_TYPES,
+  CORRECTION_CATEGORIES,
+  PRONUNCIATION_CATEGORIES,
+  exampleSentences,
+  kanjiBreakdown,
+  sentenceCorrection,
+  quizExercises,
+  imageRecognition,
+  pronunciationCheck,
+  translationBatch,
+  translationDetails,
+  wordReadings,
+  textSegmentation,
+  simplifiedText,
+  roleplayTurn
+};
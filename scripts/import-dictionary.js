@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * KotobaID Dictionary Import
+ * Loads JMdict and/or KANJIDIC2 XML (plain or .gz) and JLPT level lists (CSV)
+ * into the offline dictionary database (DICTIONARY_DB_PATH,
+ * data/dictionary.db by default).
+ *
+ *   node scripts/import-dictionary.js --jmdict JMdict_e.gz --kanjidic kanjidic2.xml.gz
+ *   node scripts/import-dictionary.js --jlpt-vocab jlpt-vocab.csv --jlpt-kanji jlpt-kanji.csv
+ *
+ * Options: --jmdict <file>, --kanjidic <file>, --jlpt-vocab <file>,
+ * --jlpt-kanji <file>, --db <file>, --languages ind,eng (JMdict gloss
+ * languages to keep)
+ */
+
+require('dotenv').config();
+const { importDictionary, DEFAULT_LANGUAGES } = require('../services/dictionaryImport');
+const dictionary = require('../services/dictionary');
+
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(jmdict|kanjidic|jlpt-vocab|jlpt-kanji|db|languages)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return options;
+};
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.jmdict && !options.kanjidic && !options['jlpt-vocab'] && !options['jlpt-kanji']) {
+    console.log('Usage: node scripts/import-dictionary.js [--jmdict <JMdict file>] [--kanjidic <KANJIDIC2 file>] [--jlpt-vocab <csv>] [--jlpt-kanji <csv>] [--db <file>] [--languages ind,eng]');
+    process.exit(1);
+  }
+
+  const filename = options.db || dictionary.filename;
+  const languages = options.languages ? options.languages.split(',').map(language => language.trim()) : DEFAULT_LANGUAGES;
+  console.log(`📖 Importing into ${filename} (gloss languages: ${languages.join(', ')})`);
+
+  const started = Date.now();
+  const summary = await importDictionary({
+    jmdict: options.jmdict,
+    kanjidic: options.kanjidic,
+    jlptVocabulary: options['jlpt-vocab'],
+    jlptKanji: options['jlpt-kanji'],
+    filename,
+    languages,
+    onProgress: (source, count) => console.log(`   ${source}: ${count}`)
+  });
+
+  if (summary.jmdict) {
+    console.log(`✅ JMdict: ${summary.jmdict.entries} entries`);
+  }
+  if (summary.kanjidic) {
+    console.log(`✅ KANJIDIC2: ${summary.kanjidic.characters} characters${summary.kanjidic.version ? ` (${summary.kanjidic.version})` : ''}`);
+  }
+  if (summary.jlptVocabulary) {
+    console.log(`✅ JLPT vocabulary: ${summary.jlptVocabulary.items} words`);
+  }
+  if (summary.jlptKanji) {
+    console.log(`✅ JLPT kanji: ${summary.jlptKanji.items} kanji`);
+  }
+  console.log(`⏱️  Done in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+}
+
+main().catch((error) => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
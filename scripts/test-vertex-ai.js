@@ -26,6 +26,12 @@ function colorLog(color, message) {
 async function testConfiguration() {
   colorLog('blue', '🔧 Testing Configuration...');
   
+  const provider = (process.env.LLM_PROVIDER || 'vertexai').toLowerCase();
+  if (provider !== 'vertexai') {
+    colorLog('green', `✅ Using ${provider} provider, Google Cloud credentials not required`);
+    return true;
+  }
+  
   const requiredEnvVars = [
     'GOOGLE_CLOUD_PROJECT_ID',
     'GOOGLE_CLOUD_LOCATION',
@@ -156,10 +162,13 @@ async function testAPIEndpoints() {
   
   const axios = require('axios').default;
   const baseURL = `http://localhost:${process.env.PORT || 3001}`;
+  // Use the first configured API key when authentication is enabled
+  const apiKey = process.env.TEST_API_KEY || (process.env.API_KEYS || '').split(',')[0].split(':')[0];
+  const config = apiKey ? { headers: { 'X-API-Key': apiKey } } : {};
   
   try {
     // Test status endpoint
-    const statusResponse = await axios.get(`${baseURL}/api/vertexai/status`);
+    const statusResponse = await axios.get(`${baseURL}/api/vertexai/status`, config);
     if (statusResponse.data.success) {
       colorLog('green', '✅ Status endpoint working');
     } else {
@@ -171,7 +180,7 @@ async function testAPIEndpoints() {
     const translationResponse = await axios.post(`${baseURL}/api/vertexai/translate`, {
       text: 'Hello',
       targetLanguage: 'Indonesian'
-    });
+    }, config);
     
     if (translationResponse.data.success) {
       colorLog('green', '✅ Translation endpoint working');
@@ -2,11 +2,19 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
+const expressRateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const vertexAIConfig = require('./config/vertexai');
 const vertexAIRoutes = require('./routes/vertexai');
+const adminRoutes = require('./routes/admin');
+const requestSchemas = require('./schemas/requests');
+const { authenticate } = require('./middleware/auth');
+const { authMode } = require('./services/auth');
+const jobManager = require('./services/jobs');
+const readings = require('./services/readings');
+const srsDeck = require('./services/srs');
+const dictionary = require('./services/dictionary');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 
 const app = express();
@@ -23,12 +31,20 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-// Rate limiting
+// Authentication (API key or JWT); runs before the rate limiter so
+// authenticated users are limited per user instead of per shared IP
+app.use('/api/vertexai', authenticate);
+
+// Rate limiting. express-rate-limit v8 groups IPv6 clients by subnet with
+// ipKeyGenerator; older versions key by the plain address.
+const rateLimit = expressRateLimit.rateLimit || expressRateLimit;
+const ipKeyGenerator = expressRateLimit.ipKeyGenerator || ((ip) => ip);
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each user (or IP) to 100 requests per windowMs
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : ipKeyGenerator(req.ip)),
   message: {
-    error: 'Too many requests from this IP, please try again later.'
+    error: 'Too many requests, please try again later.'
   },
   standardHeaders: true,
   legacyHeaders: false,
@@ -45,12 +61,19 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Health check endpoint
 app.get('/health', (req, res) => {
   const vertexAIStatus = vertexAIConfig.getStatus();
+  const circuitState = vertexAIStatus.circuitBreaker.state;
   
+  // Stays 200 while the breaker is open so the container is not restarted
   res.status(200).json({
-    status: 'OK',
+    status: circuitState === 'closed' ? 'OK' : 'DEGRADED',
     services: {
       server: 'running',
-      vertexAI: vertexAIStatus.initialized ? 'ready' : 'not initialized'
+      vertexAI: vertexAIStatus.initialized ? 'ready' : 'not initialized',
+      circuitBreaker: circuitState,
+      jobs: jobManager.getStatus(),
+      readings: readings.getStatus(),
+      srs: srsDeck.getStatus(),
+      dictionary: dictionary.getStatus()
     },
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
@@ -59,8 +82,22 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Request schemas, published as documentation for the frontend
+app.get('/api/schemas', (req, res) => {
+  const { TARGET_LANGUAGES, QUIZ_TOPIC_TYPES, SRS_CARD_TYPES, DICTIONARY_LOOKUP_MODES, MAX_BATCH_ITEMS, JOB_TYPES, ...schemas } = requestSchemas;
+
+  res.status(200).json({
+    success: true,
+    schemas,
+    enums: { targetLanguages: TARGET_LANGUAGES, quizTopicTypes: QUIZ_TOPIC_TYPES, srsCardTypes: SRS_CARD_TYPES, dictionaryLookupModes: DICTIONARY_LOOKUP_MODES, jobTypes: JOB_TYPES },
+    limits: { maxBatchItems: MAX_BATCH_ITEMS },
+    timestamp: new Date().toISOString()
+  });
+});
+
 // API routes
 app.use('/api/vertexai', vertexAIRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -71,7 +108,21 @@ app.listen(PORT, async () => {
   console.log(`🚀 KotobaID Backend Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:5173'}`);
+  if (authMode() === 'off') {
+    console.warn('⚠️  Authentication is off: set API_KEYS or JWT_SECRET to protect the AI endpoints');
+  } else {
+    console.log(`🔐 Authentication mode: ${authMode()}`);
+  }
   
+  // Pick up jobs left behind by a previous run
+  jobManager.start();
+  console.log(`⚙️  Job workers: ${jobManager.concurrency} (store: ${jobManager.storeType})`);
+
+  // The kuromoji dictionary otherwise loads on the first /furigana request
+  if (process.env.FURIGANA_PRELOAD === 'true') {
+    readings.loadTokenizer();
+  }
+
   // Initialize Vertex AI
   try {
     await vertexAIConfig.initialize();
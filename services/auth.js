@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { DEFAULT_PLAN } = require('../config/plans');
+
+class AuthError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.reason = reason;
+  }
+}
+
+// AUTH_MODE: off (no auth), optional (anonymous allowed) or required.
+// Defaults to required once API keys or a JWT key are configured.
+const authMode = () => {
+  if (process.env.AUTH_MODE) return process.env.AUTH_MODE.toLowerCase();
+  const configured = process.env.API_KEYS || process.env.JWT_SECRET || process.env.JWT_PUBLIC_KEY;
+  return configured ? 'required' : 'off';
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// API_KEYS="key:userId:plan,key2:userId2:plan2" (plan optional)
+const loadApiKeys = () => {
+  const keys = new Map();
+  (process.env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [key, userId, plan] = entry.split(':');
+    if (key && userId) {
+      keys.set(sha256(key), { id: userId, plan: plan || DEFAULT_PLAN });
+    }
+  });
+  return keys;
+};
+
+const apiKeys = loadApiKeys();
+
+const verifyApiKey = (key) => {
+  const entry = apiKeys.get(sha256(key));
+  if (!entry) {
+    throw new AuthError('INVALID_API_KEY', 'API key is not valid');
+  }
+  return { ...entry, authType: 'api-key' };
+};
+
+const base64UrlDecode = (value) => Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const SIGNATURE_CHECKS = {
+  HS256: (data, signature, secret) => {
+    const expected = crypto.createHmac('sha256', secret).update(data).digest();
+    return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  },
+  RS256: (data, signature, publicKey) => crypto.verify('RSA-SHA256', Buffer.from(data), publicKey, signature),
+  ES256: (data, signature, publicKey) => crypto.verify(
+    'SHA256', Buffer.from(data), { key: publicKey, dsaEncoding: 'ieee-p1363' }, signature
+  )
+};
+
+// Verify a compact JWS issued by the frontend's auth (HS256 with JWT_SECRET,
+// RS256/ES256 with JWT_PUBLIC_KEY) and check exp (required), nbf, iss and aud.
+const verifyJwt = (token) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('INVALID_TOKEN', 'Malformed token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+    payload = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+  } catch (error) {
+    throw new AuthError('INVALID_TOKEN', 'Malformed token');
+  }
+
+  const check = SIGNATURE_CHECKS[header.alg];
+  const key = header.alg === 'HS256' ? process.env.JWT_SECRET : process.env.JWT_PUBLIC_KEY?.replace(/\\n/g, '\n');
+  if (!check || !key) {
+    throw new AuthError('INVALID_TOKEN', `Unsupported token algorithm: ${header.alg}`);
+  }
+
+  let valid = false;
+  try {
+    valid = check(`${parts[0]}.${parts[1]}`, base64UrlDecode(parts[2]), key);
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    throw new AuthError('INVALID_TOKEN', 'Token signature is not valid');
+  }
+
+  if (!Number.isFinite(payload.exp)) {
+    throw new AuthError('INVALID_TOKEN', 'Token has no valid expiry');
+  }
+  if (payload.nbf !== undefined && !Number.isFinite(payload.nbf)) {
+    throw new AuthError('INVALID_TOKEN', 'Token has an invalid nbf claim');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const leeway = 30;
+  if (now > payload.exp + leeway) {
+    throw new AuthError('TOKEN_EXPIRED', 'Token has expired');
+  }
+  if (payload.nbf !== undefined && now + leeway < payload.nbf) {
+    throw new AuthError('INVALID_TOKEN', 'Token is not valid yet');
+  }
+  if (process.env.JWT_ISSUER && payload.iss !== process.env.JWT_ISSUER) {
+    throw new AuthError('INVALID_TOKEN', 'Token issuer is not accepted');
+  }
+  if (process.env.JWT_AUDIENCE) {
+    const audiences = [].concat(payload.aud || []);
+    if (!audiences.includes(process.env.JWT_AUDIENCE)) {
+      throw new AuthError('INVALID_TOKEN', 'Token audience is not accepted');
+    }
+  }
+  if (!payload.sub) {
+    throw new AuthError('INVALID_TOKEN', 'Token has no subject');
+  }
+
+  const planClaim = process.env.JWT_PLAN_CLAIM || 'plan';
+  return {
+    id: String(payload.sub),
+    plan: payload[planClaim] || DEFAULT_PLAN,
+    authType: 'jwt'
+  };
+};
+
+// Sign an HS256 token; used by scripts and local testing
+const signJwt = (payload, secret = process.env.JWT_SECRET) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  const signature = crypto.createHmac('sha256', secret).update(data).digest('base64url');
+  return `${data}.${signature}`;
+};
+
+// Resolve the caller from `X-API-Key` or `Authorization: Bearer <api key or JWT>`.
+// Returns null when no credentials were sent.
+const identify = (req) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) return verifyApiKey(apiKey);
+
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!bearer) return null;
+
+  const credential = bearer[1].trim();
+  return credential.split('.').length === 3 ? verifyJwt(credential) : verifyApiKey(credential);
+};
+
+module.exports = {
+  AuthError,
+  authMode,
+  identify,
+  verifyApiKey,
+  verifyJwt,
+  signJwt
+};
@@ -0,0 +1,262 @@
+const tasks = require('./tasks');
+const prompts = require('./promptRegistry');
+const responseCache = require('./responseCache');
+const jobManager = require('./jobs');
+const moderation = require('./moderation');
+const { checkInput, checkTranslationOutput, guardMode, PromptGuardError } = require('./promptGuard');
+const { resolveLanguages, cacheInput, wantsDetails } = require('./translation');
+const { validate, normalizeCase } = require('../utils/schema');
+const { generateStructured } = require('../utils/structuredOutput');
+const { describeError } = require('../utils/routeErrors');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { translationBatch } = require('../schemas/responses');
+const schemas = require('../schemas/requests');
+
+const CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+const SYNC_MAX_ITEMS = parseInt(process.env.BATCH_SYNC_MAX_ITEMS) || 20;
+
+// Short texts with the same target language are translated several per call
+const PACK_SIZE = parseInt(process.env.BATCH_PACK_SIZE) || 10;
+const PACK_MAX_TEXT_LENGTH = 300;
+const PACK_MAX_CHARACTERS = 2000;
+
+// Batches above BATCH_SYNC_MAX_ITEMS always run as jobs
+const isLargeBatch = (body) => body.items.length > SYNC_MAX_ITEMS;
+
+// Validate and guard one item the way its single-item route would.
+// Returns the item's error result, or null when it may be processed.
+const checkItem = (item, schema, fields) => {
+  const errors = validate(schema, item);
+  if (errors.length > 0) {
+    return { success: false, error: 'Validation failed', errors: errors };
+  }
+
+  try {
+    checkInput(item, fields);
+  } catch (error) {
+    if (!(error instanceof PromptGuardError)) throw error;
+    if (error.reason === 'PROMPT_INJECTION' && guardMode() === 'log') return null;
+    return { success: false, error: 'Input rejected', reason: error.reason, field: error.field, details: error.message };
+  }
+
+  return null;
+};
+
+const failure = (error, message) => {
+  const { status, body } = describeError(error, message);
+  return { ...body, status };
+};
+
+// Response fields of a cached single-item answer, if any
+const cachedFields = async (route, input) => {
+  const entry = await responseCache.get(responseCache.keyFor(route, input));
+  if (!entry) return null;
+  const { success, usage, timestamp, ...fields } = entry.body;
+  return fields;
+};
+
+// Store an item's answer under the same key its single-item route uses
+const cacheFields = (route, input, fields) => {
+  const body = { success: true, ...fields, timestamp: new Date().toISOString() };
+  return responseCache.set(responseCache.keyFor(route, input), body, responseCache.ttlFor(route));
+};
+
+// Shared driver: checks and cache lookups per item, then `process(pending,
+// attempt)` runs the rest; attempt(entry, fn, { cacheAs }) records fn's
+// fields or error and caches cacheAs(fields) when given. Items are cached
+// under keyInput(input), as the single-item route keys them.
+// Results keep the input order. Once `signal` aborts (a cancelled job) the
+// remaining items are marked cancelled without calling the model. `userId`
+// is recorded with moderation events.
+const runBatch = async (items, { route, schema, fields, keyInput = input => input, noCache, onProgress, signal, userId, process: processItems }) => {
+  const results = new Array(items.length);
+  let completed = 0;
+
+  const settle = (index, result) => {
+    results[index] = { index, ...result };
+    completed++;
+    if (onProgress) {
+      Promise.resolve(onProgress(completed, items.length)).catch(() => {});
+    }
+  };
+
+  const pending = [];
+  for (const [index, item] of items.entries()) {
+    const input = normalizeCase(schema, item);
+    const error = checkItem(input, schema, fields);
+    if (error) {
+      settle(index, error);
+      continue;
+    }
+
+    const cached = responseCache.enabled && !noCache ? await cachedFields(route, keyInput(input)) : null;
+    if (cached) {
+      settle(index, { success: true, ...cached, cached: true });
+      continue;
+    }
+
+    pending.push({ index, input });
+  }
+
+  await processItems(pending, async ({ index, input }, run, { cacheAs } = {}) => {
+    if (signal?.aborted) {
+      settle(index, { success: false, error: 'Cancelled', reason: 'JOB_CANCELLED' });
+      return;
+    }
+
+    try {
+      // A blocked item fails alone instead of the whole batch
+      const fields = await run();
+      moderation.check(fields, { route, stage: 'output', userId });
+      if (responseCache.enabled) {
+        await cacheFields(route, keyInput(input), cacheAs ? cacheAs(fields) : fields);
+      }
+      settle(index, { success: true, ...fields, cached: false });
+    } catch (error) {
+      settle(index, failure(error, 'Item failed'));
+    }
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+  return {
+    items: results,
+    summary: {
+      total: results.length,
+      succeeded: succeeded,
+      failed: results.length - succeeded,
+      cached: results.filter(result => result.cached).length
+    }
+  };
+};
+
+// Group pending translations into packs of short texts per target language
+const packTranslations = (pending) => {
+  const packs = [];
+  const open = new Map();
+
+  pending.forEach((entry) => {
+    const { text, targetLanguage = 'Indonesian' } = entry.input;
+    if (text.length > PACK_MAX_TEXT_LENGTH || wantsDetails(entry.input)) {
+      packs.push([entry]);
+      return;
+    }
+
+    let pack = open.get(targetLanguage);
+    const characters = pack ? pack.reduce((sum, item) => sum + item.input.text.length, 0) : 0;
+    if (!pack || pack.length >= PACK_SIZE || characters + text.length > PACK_MAX_CHARACTERS) {
+      pack = [];
+      open.set(targetLanguage, pack);
+      packs.push(pack);
+    }
+    pack.push(entry);
+  });
+
+  return packs;
+};
+
+// Translate a pack in one call; resolves to one translation per entry
+const translatePack = async (model, pack) => {
+  const targetLanguage = pack[0].input.targetLanguage || 'Indonesian';
+  const prompt = prompts.render('translate-batch', {
+    texts: pack.map(entry => entry.input.text),
+    targetLanguage
+  });
+
+  const { data } = await generateStructured(model, prompt.text, translationBatch(pack.length), prompt);
+  return { translations: data.translations, prompt: { name: prompt.name, version: prompt.version } };
+};
+
+// Name and active version of the /translate prompt
+const singlePrompt = () => ({ name: 'translate', version: prompts.activeVersion('translate') });
+
+// Target of an item (its own or the batch's, see resolveLanguages), resolved
+// before packing by language; invalid items are left to the schema check
+const itemTarget = (item, targetLanguage) => {
+  const target = item.targetLanguage || targetLanguage;
+  return typeof item.text === 'string' ? resolveLanguages({ ...item, targetLanguage: target }).targetLanguage : target;
+};
+
+// POST /translate/batch: { items: [{ text, targetLanguage }], targetLanguage, noCache }
+const translateBatch = (model, { items, targetLanguage, noCache }, { onProgress, signal, userId } = {}) => runBatch(
+  items.map(item => ({ ...item, targetLanguage: itemTarget(item, targetLanguage) })),
+  {
+    route: 'translate',
+    schema: schemas.translate,
+    fields: ['text', 'targetLanguage', 'glossary'],
+    keyInput: cacheInput,
+    noCache,
+    onProgress,
+    signal,
+    userId,
+    process: (pending, attempt) => mapWithConcurrency(packTranslations(pending), CONCURRENCY, async (pack) => {
+      const single = (entry) => attempt(entry, () => tasks.translate(model, entry.input));
+
+      if (pack.length === 1) {
+        return single(pack[0]);
+      }
+
+      let packed = null;
+      try {
+        packed = await translatePack(model, pack);
+      } catch (error) {
+        console.warn(`⚠️  Packed translation of ${pack.length} items failed, translating one by one: ${error.message}`);
+      }
+
+      // Items whose packed translation fails the output check are retried alone
+      for (const [i, entry] of pack.entries()) {
+        const { text, targetLanguage: language = 'Indonesian' } = entry.input;
+        const translation = packed?.translations[i]?.trim();
+        try {
+          checkTranslationOutput(text, translation || '', language);
+        } catch (error) {
+          await single(entry);
+          continue;
+        }
+        // Cached for /translate with the prompt that route would have used
+        await attempt(entry, async () => ({
+          originalText: text,
+          translation: translation,
+          targetLanguage: language,
+          prompt: packed.prompt
+        }), { cacheAs: fields => ({ ...fields, prompt: singlePrompt() }) });
+      }
+    })
+  }
+);
+
+// POST /generate-examples/batch: { items: [{ word, reading, meaning, count, jlptLevel, furigana }], noCache }
+const generateExamplesBatch = (model, { items, noCache }, { onProgress, signal, userId } = {}) => runBatch(items, {
+  route: 'generate-examples',
+  schema: schemas.generateExamples,
+  fields: ['word', 'reading', 'meaning'],
+  noCache,
+  onProgress,
+  signal,
+  userId,
+  process: (pending, attempt) => mapWithConcurrency(pending, CONCURRENCY, entry => (
+    attempt(entry, () => tasks.generateExamples(model, entry.input))
+  ))
+});
+
+// Items are checked one by one while the batch runs
+jobManager.register('translate-batch', {
+  route: 'translate',
+  schema: schemas.translateBatch,
+  run: (input, { model, progress, signal, job }) => translateBatch(model, input, { onProgress: progress, signal, userId: job.user?.id })
+});
+
+jobManager.register('generate-examples-batch', {
+  route: 'generate-examples',
+  schema: schemas.generateExamplesBatch,
+  run: (input, { model, progress, signal, job }) => generateExamplesBatch(model, input, {
+    onProgress: progress,
+    signal,
+    userId: job.user?.id
+  })
+});
+
+module.exports = {
+  isLargeBatch,
+  translateBatch,
+  generateExamplesBatch
+};
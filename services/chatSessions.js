@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { createStore } = require('../stores');
+const prompts = require('./promptRegistry');
+const scenarios = require('./scenarios');
+const { estimateTokens } = require('../config/providers/base');
+
+// Token count of one history entry
+const contentTokens = (content) => estimateTokens(
+  content.parts.map(part => part.text || '').join('')
+);
+
+class ChatSessionManager {
+  constructor() {
+    this.ttlMs = parseInt(process.env.CHAT_SESSION_TTL_MS) || 60 * 60 * 1000; // 1 hour
+    this.tokenBudget = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 4000;
+    this.maxTurns = parseInt(process.env.CHAT_SESSION_MAX_TURNS) || 100;
+    this.storeType = process.env.CHAT_SESSION_STORE || 'memory';
+    this.store = createStore(this.storeType, {
+      ttlMs: this.ttlMs,
+      table: 'chat_sessions',
+      namespace: 'kotobaid:'
+    });
+  }
+
+  // Swap the backing store; anything with async get/set/delete works
+  setStore(store) {
+    this.store = store;
+  }
+
+  key(sessionId) {
+    return `chat-session:${sessionId}`;
+  }
+
+  // A `scenario` (from services/scenarios) turns the session into a role-play.
+  // Sessions of an authenticated `user` are only visible to that user.
+  async create({ context, systemInstruction, metadata, scenario, user } = {}) {
+    const now = new Date().toISOString();
+    const prompt = scenario ? scenarios.render(scenario, { context }) : prompts.render('chat-session', { context });
+    const session = {
+      id: crypto.randomUUID(),
+      userId: user ? user.id : null,
+      systemInstruction: systemInstruction || prompt.text,
+      prompt: { name: prompt.name, version: prompt.version },
+      scenario: scenario ? { id: scenario.id, goalsMet: [] } : null,
+      history: [],
+      metadata: metadata || {},
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.save(session);
+    return session;
+  }
+
+  async get(sessionId) {
+    return this.store.get(this.key(sessionId));
+  }
+
+  async save(session) {
+    await this.store.set(this.key(session.id), session, this.ttlMs);
+  }
+
+  async delete(sessionId) {
+    return this.store.delete(this.key(sessionId));
+  }
+
+  // Most recent history that fits the token budget, always starting on a user turn
+  trimHistory(history) {
+    const trimmed = [];
+    let tokens = 0;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      tokens += contentTokens(history[i]);
+      if (tokens > this.tokenBudget) break;
+      trimmed.unshift(history[i]);
+    }
+
+    while (trimmed.length > 0 && trimmed[0].role !== 'user') {
+      trimmed.shift();
+    }
+
+    return trimmed;
+  }
+
+  // Start a model chat seeded with the session's trimmed, role-tagged history
+  startChat(model, session) {
+    return model.startChat({
+      history: this.trimHistory(session.history),
+      systemInstruction: session.systemInstruction
+    });
+  }
+
+  // `feedback` holds the hint and correction of a role-play turn
+  async appendTurn(session, userMessage, modelMessage, feedback) {
+    const now = new Date().toISOString();
+    session.history.push(
+      { role: 'user', parts: [{ text: userMessage }], timestamp: now },
+      { role: 'model', parts: [{ text: modelMessage }], timestamp: now, ...(feedback && { feedback }) }
+    );
+
+    if (session.history.length > this.maxTurns * 2) {
+      session.history = session.history.slice(-this.maxTurns * 2);
+    }
+
+    session.updatedAt = now;
+    await this.save(session);
+    return session;
+  }
+
+  // Role-play progress: the scenario's opening line and which goals are met
+  scenarioProgress(session) {
+    const { id, goalsMet } = session.scenario;
+    const scenario = scenarios.get(id);
+    if (!scenario) return { id, goalsMet };
+
+    return {
+      id,
+      title: scenario.title,
+      persona: { name: scenario.persona.name, role: scenario.persona.role },
+      opening: scenario.opening,
+      goals: scenario.goals.map((goal, i) => ({ goal, met: goalsMet.includes(i + 1) })),
+      completed: goalsMet.length === scenario.goals.length
+    };
+  }
+
+  // Public view of a session, without the internal system instruction
+  toJSON(session) {
+    return {
+      sessionId: session.id,
+      metadata: session.metadata,
+      prompt: session.prompt,
+      scenario: session.scenario ? this.scenarioProgress(session) : null,
+      history: session.history.map(content => ({
+        role: content.role,
+        text: content.parts.map(part => part.text || '').join(''),
+        ...content.feedback,
+        timestamp: content.timestamp
+      })),
+      turns: session.history.length / 2,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      expiresInMs: this.ttlMs
+    };
+  }
+}
+
+// Create singleton instance
+const chatSessions = new ChatSessionManager();
+
+module.exports = chatSessions;
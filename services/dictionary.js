@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const { deinflect, matchesType } = require('../utils/deinflect');
+const { toHiragana, toRomaji, fromRomaji } = require('../utils/kana');
+
+// Offline Japanese dictionary: JMdict words and KANJIDIC2 kanji imported into
+// a local SQLite file by scripts/import-dictionary.js. Lookups need neither
+// the AI model nor the network, and the explain-kanji and generate-examples
+// prompts are grounded in the same facts. Uses the `better-sqlite3` package.
+
+const DEFAULT_PATH = path.join('data', 'dictionary.db');
+
+const MAX_RESULTS = 50;
+
+// Upper bound for a prefix range scan: sorts after any character
+const PREFIX_END = '\u{10FFFF}';
+
+const JAPANESE_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}々〆ー]/u;
+const ROMAJI_PATTERN = /^[a-zāīūēōâîûêô' -]+$/i;
+
+// Spelling-insensitive romaji: no macrons, apostrophes or spaces, long vowels
+// collapsed, so tōkyō, toukyou and tokyo share the key `tokyo`
+const romajiKey = (romaji) => romaji
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f'\s-]/g, '')
+  .replace(/ou/g, 'o')
+  .replace(/([aiueo])\1+/g, '$1');
+
+class Dictionary {
+  constructor() {
+    this.filename = process.env.DICTIONARY_DB_PATH || DEFAULT_PATH;
+    this.db = null;
+    this.statements = null;
+    this.meta = {};
+    this.failure = null;
+  }
+
+  // Open the imported database read-only on first use. Returns false while
+  // nothing has been imported, so the dictionary can be added to a running
+  // server by running the import.
+  open() {
+    if (this.statements) return true;
+    if (!fs.existsSync(this.filename)) return false;
+
+    const Database = require('better-sqlite3');
+    const db = new Database(this.filename, { readonly: true, fileMustExist: true });
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE name IN ('meta', 'entries', 'kanji')").all();
+    if (tables.length < 3) {
+      db.close();
+      return false;
+    }
+
+    this.db = db;
+    this.statements = {
+      meta: db.prepare('SELECT key, value FROM meta'),
+      byForm: db.prepare(`SELECT DISTINCT e.id, e.data, e.rank FROM forms f JOIN entries e ON e.id = f.entry_id
+        WHERE f.key = @key AND (@kind IS NULL OR f.kind = @kind) ORDER BY e.rank LIMIT @limit`),
+      byPrefix: db.prepare(`SELECT DISTINCT e.id, e.data, e.rank FROM forms f JOIN entries e ON e.id = f.entry_id
+        WHERE f.key >= @from AND f.key < @to AND (@kind IS NULL OR f.kind = @kind) ORDER BY e.rank, length(f.key) LIMIT @limit`),
+      byRomaji: db.prepare(`SELECT DISTINCT e.id, e.data, e.rank FROM romaji r JOIN entries e ON e.id = r.entry_id
+        WHERE r.key = @key ORDER BY e.rank LIMIT @limit`),
+      byGloss: db.prepare(`SELECT e.id, e.data, e.rank,
+          MIN(CASE WHEN lower(g.text) IN (@exact, 'to ' || @exact) THEN 0 ELSE 1 END) AS closeness
+        FROM glosses g JOIN entries e ON e.id = g.entry_id
+        WHERE glosses MATCH @match GROUP BY e.id ORDER BY closeness, e.rank LIMIT @limit`),
+      kanji: db.prepare('SELECT data FROM kanji WHERE literal = @literal')
+    };
+    // JLPT lists arrived after the first dictionary imports
+    if (db.prepare("SELECT name FROM sqlite_master WHERE name = 'jlpt'").get()) {
+      this.statements.jlpt = db.prepare('SELECT reading, level FROM jlpt WHERE kind = @kind AND key = @key');
+    }
+    this.readMeta();
+    console.log(`📖 Dictionary loaded from ${this.filename}`);
+    return true;
+  }
+
+  // Import summaries and JMdict's code descriptions, reread so a running
+  // server reports a new import
+  readMeta() {
+    this.meta = Object.fromEntries(this.statements.meta.all().map(row => [row.key, JSON.parse(row.value)]));
+    return this.meta;
+  }
+
+  isAvailable() {
+    if (this.failure) return false;
+    try {
+      return this.open();
+    } catch (error) {
+      this.failure = error.message;
+      console.warn(`⚠️  Dictionary unavailable: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Close the handle so the next lookup reopens the file (after an import)
+  close() {
+    if (this.db) this.db.close();
+    this.db = null;
+    this.statements = null;
+    this.meta = {};
+    this.failure = null;
+  }
+
+  rows(statement, params) {
+    return statement.all(params).map(row => JSON.parse(row.data));
+  }
+
+  // Which lookup `auto` runs for a query
+  detectMode(query) {
+    if (JAPANESE_PATTERN.test(query)) return /\p{Script=Han}/u.test(query) ? 'kanji' : 'kana';
+    return ROMAJI_PATTERN.test(query) ? 'romaji' : 'gloss';
+  }
+
+  // Entries for Japanese text: exact forms first, then dictionary forms of
+  // conjugated verbs and adjectives whose part of speech fits the
+  // conjugation, then (when nothing matched) words starting with the query
+  japaneseMatches(query, kind, limit) {
+    const key = toHiragana(query);
+    const matches = this.rows(this.statements.byForm, { key, kind, limit })
+      .map(entry => ({ entry, match: 'exact', deinflection: null }));
+
+    deinflect(key).slice(1).forEach((candidate) => {
+      this.rows(this.statements.byForm, { key: candidate.word, kind, limit })
+        .filter(entry => entry.senses.some(sense => sense.pos.some(pos => matchesType(candidate.type, pos))))
+        .forEach(entry => matches.push({
+          entry,
+          match: 'deinflected',
+          deinflection: { from: query, to: candidate.word, reasons: candidate.reasons }
+        }));
+    });
+
+    if (matches.length === 0) {
+      this.rows(this.statements.byPrefix, { from: key, to: key + PREFIX_END, kind, limit })
+        .forEach(entry => matches.push({ entry, match: 'prefix', deinflection: null }));
+    }
+    return matches;
+  }
+
+  // Romaji goes through the romaji index and, converted to kana, through
+  // deinflection (tabemashita → たべました → たべる)
+  romajiMatches(query, limit) {
+    const matches = this.rows(this.statements.byRomaji, { key: romajiKey(query), limit })
+      .map(entry => ({ entry, match: 'exact', deinflection: null }));
+
+    const kana = fromRomaji(query.replace(/\s+/g, ''));
+    if (/^[ぁ-ゖー]+$/.test(kana)) {
+      matches.push(...this.japaneseMatches(kana, 'reading', limit).filter(match => match.match === 'deinflected'));
+    }
+    return matches;
+  }
+
+  // Full-text search over the imported glosses; whole-gloss matches
+  // ("eat", "to eat") rank before glosses that merely contain the words
+  glossMatches(query, limit) {
+    const words = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length === 0) return [];
+
+    const match = words.map(word => `"${word}"`).join(' ');
+    return this.rows(this.statements.byGloss, { match, exact: words.join(' '), limit })
+      .map(entry => ({ entry, match: 'gloss', deinflection: null }));
+  }
+
+  // Look a query up by kanji, kana, romaji or gloss (`by`, default `auto`).
+  // Entries appear once, at their best match; within a match kind common
+  // words come first.
+  lookup(query, { by = 'auto', limit = 10 } = {}) {
+    if (!this.isAvailable()) return null;
+
+    const text = query.normalize('NFKC').trim();
+    const mode = by === 'auto' ? this.detectMode(text) : by;
+    const size = Math.min(limit, MAX_RESULTS);
+    let matches;
+
+    if (mode === 'kanji' || mode === 'kana') {
+      matches = this.japaneseMatches(text, by === 'auto' ? null : mode === 'kanji' ? 'kanji' : 'reading', size);
+    } else if (mode === 'romaji') {
+      matches = this.romajiMatches(text, size);
+      // Latin text that is not romaji of a word is an English/Indonesian gloss
+      if (by === 'auto' && matches.length < size) {
+        matches.push(...this.glossMatches(text, size));
+      }
+    } else {
+      matches = this.glossMatches(text, size);
+    }
+
+    const seen = new Set();
+    const results = matches
+      .filter(({ entry }) => !seen.has(entry.id) && seen.add(entry.id))
+      .slice(0, size)
+      .map(({ entry, match, deinflection }) => ({ ...entry, match, deinflection }));
+
+    return {
+      query: query,
+      mode: mode,
+      results: results,
+      partsOfSpeech: this.describeCodes(results)
+    };
+  }
+
+  // JMdict's descriptions of the part-of-speech and usage codes in results
+  describeCodes(entries) {
+    const descriptions = this.meta.entities || {};
+    const codes = new Set(entries.flatMap(entry => entry.senses.flatMap(sense => [...sense.pos, ...sense.misc])));
+    return Object.fromEntries([...codes].filter(code => descriptions[code]).map(code => [code, descriptions[code]]));
+  }
+
+  kanji(literal) {
+    if (!this.isAvailable()) return null;
+    const row = this.statements.kanji.get({ literal });
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Glosses in every imported language, the languages in `order` first
+  glossList(glosses, order) {
+    const codes = Object.keys(glosses);
+    const ordered = [...order.filter(code => codes.includes(code)), ...codes.filter(code => !order.includes(code))];
+    return [...new Set(ordered.flatMap(code => glosses[code]))];
+  }
+
+  // KANJIDIC2 facts for prompt grounding: the entries found and one line per
+  // kanji. Null when the dictionary is not imported or knows none of them.
+  kanjiFacts(characters) {
+    if (!this.isAvailable()) return null;
+
+    const entries = characters.map(character => this.kanji(character)).filter(Boolean);
+    if (entries.length === 0) return null;
+
+    const text = entries.map(entry => [
+      `${entry.literal}:`,
+      entry.onyomi.length > 0 ? `on ${entry.onyomi.join(', ')};` : '',
+      entry.kunyomi.length > 0 ? `kun ${entry.kunyomi.join(', ')};` : '',
+      `meanings ${this.glossList(entry.meanings, ['id', 'en']).join(', ') || '-'};`,
+      entry.strokeCount ? `${entry.strokeCount} strokes` : ''
+    ].filter(Boolean).join(' ')).join('\n');
+
+    return { source: 'KANJIDIC2', entries, text };
+  }
+
+  // JLPT level of a word or kanji from the imported lists (`kind` vocabulary
+  // or kanji), preferring the row with the given reading; null when unlisted
+  jlptLevel(kind, key, reading) {
+    if (!this.isAvailable() || !this.statements.jlpt) return null;
+
+    const rows = this.statements.jlpt.all({ kind, key: key.normalize('NFKC') });
+    const kana = reading && toHiragana(reading);
+    const row = rows.find(candidate => kana && candidate.reading === kana) || rows[0];
+    return row ? row.level : null;
+  }
+
+  // Best JMdict entry for a word, preferring the one with the given reading
+  findEntry(word, reading) {
+    if (!this.isAvailable()) return null;
+
+    const text = word.normalize('NFKC').trim();
+    const candidates = this.rows(this.statements.byForm, { key: toHiragana(text), kind: null, limit: 5 });
+    const kana = reading && toHiragana(reading.normalize('NFKC').trim());
+    return candidates.find(candidate => kana && candidate.readings.some(form => toHiragana(form.text) === kana))
+      || candidates[0]
+      || null;
+  }
+
+  // Glosses of a word's first senses, Indonesian first
+  wordGlosses(word, reading, senses = 2) {
+    const entry = this.findEntry(word, reading);
+    if (!entry) return null;
+    return [...new Set(entry.senses.slice(0, senses).flatMap(sense => this.glossList(sense.glosses, ['ind', 'eng'])))];
+  }
+
+  // JMdict facts for a word, preferring the entry with the given reading
+  wordFacts(word, reading) {
+    const entry = this.findEntry(word, reading);
+    if (!entry) return null;
+
+    const senses = entry.senses
+      .map(sense => ({ pos: sense.pos, glosses: this.glossList(sense.glosses, ['ind', 'eng']) }))
+      .filter(sense => sense.glosses.length > 0)
+      .slice(0, 5);
+    const lines = [
+      `${entry.kanji.map(form => form.text).join(', ') || entry.readings[0].text}`
+        + ` (${entry.readings.map(form => `${form.text}, ${toRomaji(form.text)}`).join('; ')})`,
+      ...senses.map((sense, i) => `${i + 1}. [${sense.pos.join(', ')}] ${sense.glosses.join('; ')}`)
+    ];
+
+    return { source: 'JMdict', entry, text: lines.join('\n') };
+  }
+
+  getStatus() {
+    if (!this.isAvailable()) {
+      return { state: this.failure ? 'unavailable' : 'not imported', path: this.filename, error: this.failure || undefined };
+    }
+    const meta = this.readMeta();
+    return {
+      state: 'ready',
+      path: this.filename,
+      jmdict: meta.jmdict || null,
+      kanjidic: meta.kanjidic || null,
+      jlpt: meta.jlpt || null
+    };
+  }
+}
+
+// Create singleton instance
+const dictionary = new Dictionary();
+
+module.exports = dictionary;
+module.exports.Dictionary = Dictionary;
+module.exports.DEFAULT_PATH = DEFAULT_PATH;
+module.exports.MAX_RESULTS = MAX_RESULTS;
+module.exports.romajiKey = romajiKey;
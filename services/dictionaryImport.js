@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const dictionary = require('./dictionary');
+const { romajiKey } = require('./dictionary');
+const { toHiragana, toRomaji } = require('../utils/kana');
+
+// Imports the EDRDG dictionary files (and optional JLPT level lists) into the
+// SQLite database read by services/dictionary.js. The XML is streamed (JMdict is over 100 MB), so
+// memory stays flat; each file replaces its previous import in a single
+// transaction, and a running server keeps answering from the old data until
+// the commit. Needs the `sax` and `better-sqlite3` packages.
+//
+//   JMdict:    https://www.edrdg.org/wiki/index.php/JMdict-EDICT_Dictionary_Project
+//   KANJIDIC2: https://www.edrdg.org/wiki/index.php/KANJIDIC_Project
+
+// Gloss languages kept (DICTIONARY_LANGUAGES): JMdict's three-letter codes,
+// in order of preference. The public JMdict has no Indonesian glosses; `ind`
+// glosses from another build are used when present.
+const DEFAULT_LANGUAGES = (process.env.DICTIONARY_LANGUAGES || 'ind,eng')
+  .split(',')
+  .map(language => language.trim())
+  .filter(Boolean);
+
+// KANJIDIC2 tags meanings with two-letter codes (no tag is English)
+const KANJIDIC_LANGUAGES = { eng: 'en', ind: 'id', fre: 'fr', spa: 'es', por: 'pt', ger: 'de', dut: 'nl', rus: 'ru' };
+
+// Priority tags that mark a word as common (the same rule as JMdict's P marker)
+const COMMON_PRIORITIES = new Set(['news1', 'ichi1', 'spec1', 'spec2', 'gai1']);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS entries (id INTEGER PRIMARY KEY, data TEXT NOT NULL, rank INTEGER NOT NULL);
+  CREATE TABLE IF NOT EXISTS forms (key TEXT NOT NULL, entry_id INTEGER NOT NULL, kind TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS forms_key ON forms (key, kind);
+  CREATE TABLE IF NOT EXISTS romaji (key TEXT NOT NULL, entry_id INTEGER NOT NULL);
+  CREATE INDEX IF NOT EXISTS romaji_key ON romaji (key);
+  CREATE VIRTUAL TABLE IF NOT EXISTS glosses USING fts5 (text, entry_id UNINDEXED, lang UNINDEXED, tokenize = 'unicode61 remove_diacritics 2');
+  CREATE TABLE IF NOT EXISTS kanji (literal TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS jlpt (kind TEXT NOT NULL, key TEXT NOT NULL, reading TEXT, level TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS jlpt_key ON jlpt (kind, key);
+`;
+
+const openDatabase = (filename) => {
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  const db = new Database(filename);
+  db.exec(SCHEMA);
+  return db;
+};
+
+// Stream an XML file (optionally gzipped) and hand every `record` element to
+// onRecord as a small tree: { name, attributes, children, text }. Entities
+// declared in the DTD (JMdict's part-of-speech codes) are kept as their
+// names, e.g. &v5k; → "v5k", and passed to onEntities with their meaning.
+const readRecords = async (file, records, { onRecord, onEntities }) => {
+  const sax = require('sax');
+  const parser = sax.parser(true, { trim: false });
+  const stack = [];
+  let failure = null;
+
+  parser.ondoctype = (doctype) => {
+    const entities = {};
+    for (const [, name, description] of doctype.matchAll(/<!ENTITY\s+([\w.-]+)\s+"([^"]*)"\s*>/g)) {
+      parser.ENTITIES[name] = name;
+      entities[name] = description;
+    }
+    if (onEntities) onEntities(entities);
+  };
+  parser.onopentag = ({ name, attributes }) => {
+    if (stack.length > 0 || records.includes(name)) {
+      stack.push({ name, attributes, children: [], text: '' });
+    }
+  };
+  parser.ontext = (text) => {
+    if (stack.length > 0) stack[stack.length - 1].text += text;
+  };
+  parser.oncdata = parser.ontext;
+  parser.onclosetag = () => {
+    if (stack.length === 0) return;
+    const node = stack.pop();
+    node.text = node.text.trim();
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push(node);
+    } else {
+      onRecord(node);
+    }
+  };
+  parser.onerror = (error) => {
+    failure = error;
+  };
+
+  let input = fs.createReadStream(file);
+  if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+  input.setEncoding('utf8');
+
+  for await (const chunk of input) {
+    parser.write(chunk);
+    if (failure) {
+      input.destroy();
+      throw new Error(`${path.basename(file)}: ${failure.message.split('\n')[0]}`);
+    }
+  }
+  parser.close();
+};
+
+const childrenOf = (node, name) => node.children.filter(child => child.name === name);
+const textsOf = (node, name) => childrenOf(node, name).map(child => child.text);
+const textOf = (node, name) => textsOf(node, name)[0];
+
+// Lower ranks sort first: the nfXX frequency band (1-48) for words that have
+// one, then other common words, other words with a priority tag and the rest
+const rankOf = (priorities) => {
+  const bands = priorities.filter(tag => /^nf\d+$/.test(tag)).map(tag => parseInt(tag.slice(2)));
+  if (bands.length > 0) return Math.min(...bands);
+  if (priorities.some(tag => COMMON_PRIORITIES.has(tag))) return 49;
+  return priorities.length > 0 ? 60 : 100;
+};
+
+// One JMdict <entry> as stored. A sense without <pos> has the parts of
+// speech of the sense before it. Senses without a gloss in the imported
+// languages are dropped, and so are entries left with none.
+const jmdictEntry = (node, languages) => {
+  const kanji = childrenOf(node, 'k_ele').map(element => ({
+    text: textOf(element, 'keb'),
+    common: textsOf(element, 'ke_pri').some(tag => COMMON_PRIORITIES.has(tag)),
+    info: textsOf(element, 'ke_inf')
+  }));
+  const readings = childrenOf(node, 'r_ele').map(element => ({
+    text: textOf(element, 'reb'),
+    common: textsOf(element, 're_pri').some(tag => COMMON_PRIORITIES.has(tag)),
+    info: textsOf(element, 're_inf'),
+    appliesToKanji: childrenOf(element, 're_nokanji').length > 0 ? [] : textsOf(element, 're_restr')
+  }));
+
+  let pos = [];
+  const senses = childrenOf(node, 'sense').map((element) => {
+    if (childrenOf(element, 'pos').length > 0) pos = textsOf(element, 'pos');
+
+    const glosses = {};
+    childrenOf(element, 'gloss').forEach((gloss) => {
+      const language = gloss.attributes['xml:lang'] || 'eng';
+      if (languages.includes(language) && gloss.text) {
+        (glosses[language] = glosses[language] || []).push(gloss.text);
+      }
+    });
+
+    return {
+      pos: pos,
+      glosses: glosses,
+      misc: textsOf(element, 'misc'),
+      field: textsOf(element, 'field'),
+      dialect: textsOf(element, 'dial'),
+      info: textsOf(element, 's_inf'),
+      appliesToKanji: textsOf(element, 'stagk'),
+      appliesToReading: textsOf(element, 'stagr'),
+      seeAlso: textsOf(element, 'xref')
+    };
+  }).filter(sense => Object.keys(sense.glosses).length > 0);
+
+  if (senses.length === 0 || readings.length === 0) return null;
+
+  const priorities = [
+    ...childrenOf(node, 'k_ele').flatMap(element => textsOf(element, 'ke_pri')),
+    ...childrenOf(node, 'r_ele').flatMap(element => textsOf(element, 're_pri'))
+  ];
+
+  return {
+    id: parseInt(textOf(node, 'ent_seq')),
+    kanji: kanji,
+    readings: readings,
+    senses: senses,
+    common: [...kanji, ...readings].some(form => form.common),
+    rank: rankOf(priorities)
+  };
+};
+
+// One KANJIDIC2 <character> as stored
+const kanjidicEntry = (node, languages) => {
+  const misc = childrenOf(node, 'misc')[0] || { children: [] };
+  const groups = childrenOf(node, 'reading_meaning').flatMap(element => childrenOf(element, 'rmgroup'));
+  const readingsOf = (type) => groups.flatMap(group => childrenOf(group, 'reading')
+    .filter(reading => reading.attributes.r_type === type)
+    .map(reading => reading.text));
+  const number = (text) => (text ? parseInt(text) : null);
+
+  const meanings = {};
+  groups.flatMap(group => childrenOf(group, 'meaning')).forEach((meaning) => {
+    const language = meaning.attributes.m_lang || 'en';
+    if (languages.includes(language)) {
+      (meanings[language] = meanings[language] || []).push(meaning.text);
+    }
+  });
+
+  const radical = childrenOf(node, 'radical')
+    .flatMap(element => childrenOf(element, 'rad_value'))
+    .find(value => value.attributes.rad_type === 'classical');
+
+  return {
+    literal: textOf(node, 'literal'),
+    strokeCount: number(textOf(misc, 'stroke_count')),
+    grade: number(textOf(misc, 'grade')),
+    frequency: number(textOf(misc, 'freq')),
+    // KANJIDIC2 still uses the four levels of the pre-2010 JLPT (4 easiest)
+    jlptOld: number(textOf(misc, 'jlpt')),
+    radical: radical ? parseInt(radical.text) : null,
+    onyomi: readingsOf('ja_on'),
+    kunyomi: readingsOf('ja_kun'),
+    nanori: childrenOf(node, 'reading_meaning').flatMap(element => textsOf(element, 'nanori')),
+    meanings: meanings
+  };
+};
+
+const setMeta = (db, key, value) => {
+  db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+    .run(key, JSON.stringify(value));
+};
+
+// Run `work` inside one transaction; the statements it runs across awaits
+// all belong to it
+const inTransaction = async (db, work) => {
+  db.exec('BEGIN');
+  try {
+    const result = await work();
+    db.exec('COMMIT');
+    return result;
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+};
+
+const importJmdict = (db, file, { languages, onProgress }) => inTransaction(db, async () => {
+  ['entries', 'forms', 'romaji', 'glosses'].forEach(table => db.exec(`DELETE FROM ${table}`));
+
+  const insert = {
+    entry: db.prepare('INSERT INTO entries (id, data, rank) VALUES (?, ?, ?)'),
+    form: db.prepare('INSERT INTO forms (key, entry_id, kind) VALUES (?, ?, ?)'),
+    romaji: db.prepare('INSERT INTO romaji (key, entry_id) VALUES (?, ?)'),
+    gloss: db.prepare('INSERT INTO glosses (text, entry_id, lang) VALUES (?, ?, ?)')
+  };
+  let count = 0;
+
+  await readRecords(file, ['entry'], {
+    onEntities: entities => setMeta(db, 'entities', entities),
+    onRecord: (node) => {
+      const entry = jmdictEntry(node, languages);
+      if (!entry) return;
+
+      const { rank, ...data } = entry;
+      insert.entry.run(entry.id, JSON.stringify(data), rank);
+      entry.kanji.forEach(form => insert.form.run(toHiragana(form.text), entry.id, 'kanji'));
+      new Set(entry.readings.map(form => toHiragana(form.text))).forEach(key => insert.form.run(key, entry.id, 'reading'));
+      new Set(entry.readings.map(form => romajiKey(toRomaji(form.text)))).forEach(key => insert.romaji.run(key, entry.id));
+      entry.senses.forEach(sense => Object.entries(sense.glosses).forEach(([language, glosses]) => (
+        glosses.forEach(gloss => insert.gloss.run(gloss, entry.id, language))
+      )));
+
+      count += 1;
+      if (onProgress && count % 10000 === 0) onProgress('jmdict', count);
+    }
+  });
+
+  const summary = { file: path.basename(file), entries: count, languages, importedAt: new Date().toISOString() };
+  setMeta(db, 'jmdict', summary);
+  return summary;
+});
+
+const importKanjidic = (db, file, { languages, onProgress }) => inTransaction(db, async () => {
+  db.exec('DELETE FROM kanji');
+
+  const insert = db.prepare('INSERT OR REPLACE INTO kanji (literal, data) VALUES (?, ?)');
+  const codes = languages.map(language => KANJIDIC_LANGUAGES[language]).filter(Boolean);
+  const header = {};
+  let count = 0;
+
+  await readRecords(file, ['header', 'character'], {
+    onRecord: (node) => {
+      if (node.name === 'header') {
+        node.children.forEach((child) => {
+          header[child.name] = child.text;
+        });
+        return;
+      }
+
+      const entry = kanjidicEntry(node, codes);
+      insert.run(entry.literal, JSON.stringify(entry));
+      count += 1;
+      if (onProgress && count % 2000 === 0) onProgress('kanjidic', count);
+    }
+  });
+
+  const summary = {
+    file: path.basename(file),
+    characters: count,
+    version: header.database_version || null,
+    createdOn: header.date_of_creation || null,
+    importedAt: new Date().toISOString()
+  };
+  setMeta(db, 'kanjidic', summary);
+  return summary;
+});
+
+// JLPT level lists as CSV (or tab-separated), one item per line:
+//   vocabulary: expression,reading,level   e.g. 食べる,たべる,N5
+//   kanji:      kanji,level                e.g. 食,N5
+// Levels may be written N5 or 5; a header line and extra columns are
+// ignored. There has been no official list since the 2010 revision of the
+// test, so these are community lists.
+const parseLevel = (value) => {
+  const match = (value || '').trim().match(/^N?([1-5])$/i);
+  return match ? `N${match[1]}` : null;
+};
+
+const importJlptList = (db, file, kind) => inTransaction(db, async () => {
+  db.prepare('DELETE FROM jlpt WHERE kind = ?').run(kind);
+
+  const insert = db.prepare('INSERT INTO jlpt (kind, key, reading, level) VALUES (?, ?, ?, ?)');
+  let count = 0;
+
+  fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line) => {
+    const columns = line.split(/[,\t]/).map(column => column.trim().replace(/^"|"$/g, ''));
+    const [key, reading, level] = kind === 'kanji' ? [columns[0], null, columns[1]] : columns;
+    const parsed = parseLevel(level);
+    if (!key || !parsed) return;
+
+    insert.run(kind, key.normalize('NFKC'), reading ? toHiragana(reading.normalize('NFKC')) : null, parsed);
+    count += 1;
+  });
+
+  if (count === 0) {
+    throw new Error(`${path.basename(file)}: no lines in the form ${kind === 'kanji' ? 'kanji,level' : 'expression,reading,level'}`);
+  }
+  return { file: path.basename(file), items: count, importedAt: new Date().toISOString() };
+});
+
+// Import any of the files into DICTIONARY_DB_PATH (or `filename`).
+// Resolves to a summary per imported file.
+const importDictionary = async ({ jmdict, kanjidic, jlptVocabulary, jlptKanji, filename = dictionary.filename, languages = DEFAULT_LANGUAGES, onProgress } = {}) => {
+  if (!jmdict && !kanjidic && !jlptVocabulary && !jlptKanji) {
+    throw new Error('Nothing to import: pass a JMdict, KANJIDIC2 or JLPT list file');
+  }
+
+  const db = openDatabase(filename);
+  try {
+    const summary = {};
+    if (jmdict) summary.jmdict = await importJmdict(db, jmdict, { languages, onProgress });
+    if (kanjidic) summary.kanjidic = await importKanjidic(db, kanjidic, { languages, onProgress });
+    if (jlptVocabulary) summary.jlptVocabulary = await importJlptList(db, jlptVocabulary, 'vocabulary');
+    if (jlptKanji) summary.jlptKanji = await importJlptList(db, jlptKanji, 'kanji');
+    if (jlptVocabulary || jlptKanji) {
+      const lists = db.prepare('SELECT kind, COUNT(*) AS items FROM jlpt GROUP BY kind').all();
+      setMeta(db, 'jlpt', { ...Object.fromEntries(lists.map(row => [row.kind, row.items])), importedAt: new Date().toISOString() });
+    }
+    db.exec('VACUUM');
+    return summary;
+  } finally {
+    db.close();
+  }
+};
+
+module.exports = {
+  DEFAULT_LANGUAGES,
+  importDictionary
+};
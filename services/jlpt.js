@@ -0,0 +1,242 @@
+const prompts = require('./promptRegistry');
+const readings = require('./readings');
+const dictionary = require('./dictionary');
+const grammarPatterns = require('../jlpt/grammar');
+const { generateStructured } = require('../utils/structuredOutput');
+const { BadRequestError } = require('../utils/httpErrors');
+const { JLPT_LEVELS, simplifiedText } = require('../schemas/responses');
+
+// A text is at the easiest level that covers this share of its vocabulary,
+// kanji or grammar occurrences
+const COVERAGE = 0.95;
+
+// Items listed per category in `aboveLevel`
+const MAX_LISTED = 50;
+
+// Old level 2 of KANJIDIC2 was split into N3 and N2; its more frequent kanji
+// (newspaper frequency rank up to this) are taken as N3
+const N3_FREQUENCY = 1000;
+
+// Parts of speech counted as vocabulary. Particles, auxiliaries, numbers,
+// names and punctuation are left out.
+const CONTENT_WORDS = new Set([
+  'noun', 'pronoun', 'na-adjective', 'verb', 'i-adjective', 'adverb', 'adnominal', 'conjunction', 'interjection'
+]);
+
+const KANJI_PATTERN = /\p{Script=Han}/gu;
+
+const rank = (level) => JLPT_LEVELS.indexOf(level);
+const hardest = (levels) => levels.filter(Boolean).sort((a, b) => rank(b) - rank(a))[0] || null;
+
+// KANJIDIC2 only knows the four pre-2010 levels: old 4 and 3 are N5 and N4,
+// old 2 is N3 or N2 by frequency and old 1 is N1. Kanji outside the old
+// lists count as N1.
+const kanjidicLevel = (entry) => {
+  switch (entry.jlptOld) {
+    case 4: return 'N5';
+    case 3: return 'N4';
+    case 2: return entry.frequency && entry.frequency <= N3_FREQUENCY ? 'N3' : 'N2';
+    default: return 'N1';
+  }
+};
+
+// Level of a kanji from the imported JLPT list, else estimated from
+// KANJIDIC2; null when neither knows it
+const kanjiLevel = (literal) => {
+  const entry = dictionary.kanji(literal);
+  const meanings = entry ? dictionary.glossList(entry.meanings, ['id', 'en']) : [];
+
+  const listed = dictionary.jlptLevel('kanji', literal);
+  if (listed) return { level: listed, source: 'list', meanings };
+  if (entry) return { level: kanjidicLevel(entry), source: 'kanjidic', meanings };
+  return { level: null, source: null, meanings };
+};
+
+// Level of a word from the imported vocabulary list, else the level of its
+// hardest kanji. Kana-only words missing from the list stay unclassified.
+const wordLevel = (word, reading, kanjiLevels) => {
+  const listed = dictionary.jlptLevel('vocabulary', word, reading);
+  if (listed) return { level: listed, source: 'list' };
+
+  const levels = (word.match(KANJI_PATTERN) || []).map(literal => (kanjiLevels.get(literal) || kanjiLevel(literal)).level);
+  if (levels.length > 0 && levels.every(Boolean)) {
+    return { level: hardest(levels), source: 'kanji' };
+  }
+  return { level: null, source: null };
+};
+
+const isContentWord = (token) => CONTENT_WORDS.has(token.partOfSpeech)
+  && !/非自立|接尾/.test(token.posTag || '')
+  && /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(token.surface);
+
+const matches = (expected, value) => (expected instanceof RegExp ? expected.test(value || '') : expected === value);
+
+const matchesToken = (condition, token) => Object.entries(condition).every(([field, expected]) => (
+  matches(expected, field === 'pos' ? token.partOfSpeech : token[field])
+));
+
+// Occurrences of each grammar pattern. Token patterns need the analyzer's
+// part-of-speech tags and are skipped for model segmentations.
+const findGrammar = (text, tokens) => grammarPatterns
+  .map((pattern) => {
+    const count = pattern.regex
+      ? [...text.matchAll(new RegExp(pattern.regex.source, 'gu'))].length
+      : tokens.filter(token => token.posTag && matchesToken(pattern.token, token)).length;
+    return { pattern: pattern.pattern, level: pattern.level, meaning: pattern.meaning, count };
+  })
+  .filter(pattern => pattern.count > 0);
+
+// Occurrences per level, their shares among the classified ones and the
+// level that covers COVERAGE of them
+const distribution = (items) => {
+  const levels = Object.fromEntries(JLPT_LEVELS.map(level => [level, 0]));
+  let unclassified = 0;
+  items.forEach((item) => {
+    if (item.level) levels[item.level] += item.count;
+    else unclassified += item.count;
+  });
+
+  const classified = JLPT_LEVELS.reduce((sum, level) => sum + levels[level], 0);
+  const shares = Object.fromEntries(JLPT_LEVELS.map(level => [
+    level,
+    classified > 0 ? Math.round((levels[level] / classified) * 1000) / 1000 : 0
+  ]));
+
+  let covered = 0;
+  const level = classified > 0
+    ? JLPT_LEVELS.find(candidate => (covered += levels[candidate]) / classified >= COVERAGE)
+    : null;
+
+  return { total: classified + unclassified, distinct: items.length, levels, shares, unclassified, level };
+};
+
+const byDifficulty = (a, b) => rank(b.level) - rank(a.level) || b.count - a.count;
+
+const above = (items, level) => items
+  .filter(item => item.level && rank(item.level) > rank(level))
+  .sort(byDifficulty)
+  .slice(0, MAX_LISTED);
+
+// Segment the text and classify its words, kanji and grammar by JLPT level
+const profile = async (model, text) => {
+  const analyzer = await readings.loadTokenizer();
+  // The model is only needed to segment the text when kuromoji is missing
+  const annotation = await readings.annotate(model, { text, useModel: !analyzer });
+
+  const kanjiLevels = new Map();
+  (text.match(KANJI_PATTERN) || []).forEach((literal) => {
+    if (!kanjiLevels.has(literal)) kanjiLevels.set(literal, { kanji: literal, ...kanjiLevel(literal), count: 0 });
+    kanjiLevels.get(literal).count++;
+  });
+
+  const words = new Map();
+  annotation.tokens.filter(isContentWord).forEach((token) => {
+    const word = token.baseForm;
+    // The token's reading is of the inflected form, so it only helps to
+    // pick the list row when the word appears uninflected
+    const reading = token.surface === word ? token.reading : null;
+    if (!words.has(word)) words.set(word, { word, reading, ...wordLevel(word, reading, kanjiLevels), count: 0 });
+    words.get(word).count++;
+  });
+
+  const grammar = findGrammar(text, annotation.tokens);
+  const vocabulary = [...words.values()];
+  const kanji = [...kanjiLevels.values()];
+
+  const categories = {
+    vocabulary: distribution(vocabulary),
+    kanji: distribution(kanji),
+    grammar: distribution(grammar)
+  };
+  const difficulty = {
+    level: hardest(Object.values(categories).map(category => category.level)),
+    vocabulary: categories.vocabulary.level,
+    kanji: categories.kanji.level,
+    grammar: categories.grammar.level,
+    coverage: COVERAGE
+  };
+
+  return { analyzer: annotation.analyzer, vocabulary, kanji, grammar, categories, difficulty };
+};
+
+// Words, kanji and grammar harder than `level`, hardest and most frequent
+// first; words get their JMdict glosses
+const aboveLevel = (result, level) => ({
+  vocabulary: above(result.vocabulary, level).map(item => ({
+    word: item.word,
+    reading: item.reading || dictionary.findEntry(item.word)?.readings[0]?.text || null,
+    level: item.level,
+    source: item.source,
+    count: item.count,
+    glosses: dictionary.wordGlosses(item.word, item.reading) || []
+  })),
+  kanji: above(result.kanji, level),
+  grammar: above(result.grammar, level)
+});
+
+const fits = (difficulty, level) => Boolean(difficulty.level) && rank(difficulty.level) <= rank(level);
+
+// Ask the model to rewrite the text at `level`, naming what is too hard,
+// then analyze the rewrite the same way
+const rewriteText = async (model, { text, level, hard }) => {
+  const prompt = prompts.render('simplify-text', {
+    text,
+    level,
+    words: hard.vocabulary.map(item => item.word),
+    grammar: hard.grammar.map(item => item.pattern)
+  });
+  const { data, attempts } = await generateStructured(model, prompt.text, simplifiedText, prompt);
+
+  const result = await profile(model, data.text);
+  return {
+    text: data.text,
+    notes: data.notes,
+    difficulty: result.difficulty,
+    fitsLevel: fits(result.difficulty, level),
+    remaining: {
+      vocabulary: above(result.vocabulary, level).length,
+      kanji: above(result.kanji, level).length,
+      grammar: above(result.grammar, level).length
+    },
+    attempts: attempts,
+    prompt: { name: prompt.name, version: prompt.version }
+  };
+};
+
+// POST /analyze-level: { text, level, rewrite }. `model` may be null unless
+// a rewrite is asked for or kuromoji is missing.
+const analyzeLevel = async (model, { text, level, rewrite = false }) => {
+  if (rewrite && !level) {
+    throw new BadRequestError('rewrite needs a target level');
+  }
+
+  const result = await profile(model, text);
+  const status = dictionary.getStatus();
+  const analysis = {
+    text: text,
+    level: level || null,
+    difficulty: result.difficulty,
+    fitsLevel: level ? fits(result.difficulty, level) : null,
+    vocabulary: result.categories.vocabulary,
+    kanji: result.categories.kanji,
+    grammar: { ...result.categories.grammar, patterns: [...result.grammar].sort(byDifficulty) },
+    aboveLevel: level ? aboveLevel(result, level) : null,
+    sources: {
+      analyzer: result.analyzer,
+      jlptLists: status.jlpt ? { vocabulary: status.jlpt.vocabulary, kanji: status.jlpt.kanji } : null,
+      kanjidic: Boolean(status.kanjidic),
+      jmdict: Boolean(status.jmdict)
+    }
+  };
+
+  if (rewrite) {
+    analysis.rewrite = await rewriteText(model, { text, level, hard: analysis.aboveLevel });
+  }
+  return analysis;
+};
+
+module.exports = {
+  COVERAGE,
+  kanjiLevel,
+  analyzeLevel
+};
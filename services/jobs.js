@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { createStore } = require('../stores');
+const { createModel } = require('./models');
+const { isRetryable, CircuitOpenError } = require('./resilience');
+const usageTracker = require('./usage');
+const { summarize } = require('./usage');
+const quotaManager = require('./quota');
+const { deliverWebhook } = require('./webhooks');
+const moderation = require('./moderation');
+const { ModerationError } = require('./moderation');
+
+const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+class QueueFullError extends Error {
+  constructor(maxQueued) {
+    super(`Job queue is full (${maxQueued} jobs waiting)`);
+    this.name = 'QueueFullError';
+    this.retryAfterMs = 30 * 1000;
+  }
+}
+
+// Sum the usage of several attempts of a job
+const mergeUsage = (total, usage) => {
+  if (!total) return { ...usage };
+  ['calls', 'promptTokenCount', 'candidatesTokenCount', 'totalTokenCount', 'latencyMs', 'cost'].forEach((field) => {
+    total[field] += usage[field];
+  });
+  return total;
+};
+
+// Background jobs for work too long for one HTTP request. Job types are
+// registered with the route whose model settings they use, the schema and
+// guarded fields of their input, and run(input, context); the context
+// carries the model, usage, progress(completed, total) and an AbortSignal
+// that fires when the job is cancelled.
+//
+// Jobs are kept in a pluggable store and executed by an in-process worker
+// pool (JOB_CONCURRENCY). Transient model failures are retried up to
+// JOB_MAX_ATTEMPTS times, and jobs whose worker disappeared (restart,
+// crashed instance) are picked up again once they are JOB_STALE_MS old.
+class JobManager {
+  constructor() {
+    this.ttlMs = parseInt(process.env.JOB_TTL_MS) || 24 * 60 * 60 * 1000;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+    this.maxQueued = parseInt(process.env.JOB_MAX_QUEUED) || 1000;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.retryBaseMs = parseInt(process.env.JOB_RETRY_BASE_MS) || 5 * 1000;
+    this.staleMs = parseInt(process.env.JOB_STALE_MS) || 5 * 60 * 1000;
+    this.storeType = process.env.JOB_STORE || 'memory';
+    this.store = createStore(this.storeType, {
+      maxEntries: parseInt(process.env.JOB_MAX_ENTRIES) || 10000,
+      namespace: 'kotobaid:'
+    });
+    this.types = new Map();
+    this.queue = [];
+    this.active = new Map();
+    this.recoveryTimer = null;
+  }
+
+  // Swap the backing store; anything with async get/set/keys works
+  setStore(store) {
+    this.store = store;
+  }
+
+  // `check(input)` runs before a job is queued and throws for input the
+  // worker would reject anyway (e.g. an unknown scenario)
+  register(type, { route, schema, guardFields = [], check = () => {}, run }) {
+    this.types.set(type, { route, schema, guardFields, check, run });
+  }
+
+  getType(type) {
+    return this.types.get(type);
+  }
+
+  typeNames() {
+    return [...this.types.keys()];
+  }
+
+  key(id) {
+    return `job:${id}`;
+  }
+
+  async create(type, input, { user, webhookUrl } = {}) {
+    if (!this.types.has(type)) {
+      throw new Error(`Unknown job type "${type}"`);
+    }
+    this.types.get(type).check(input);
+    if (this.queue.length >= this.maxQueued) {
+      throw new QueueFullError(this.maxQueued);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      user: user ? { id: user.id, plan: user.plan } : null,
+      input,
+      progress: { completed: 0, total: null },
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      result: null,
+      error: null,
+      usage: null,
+      webhook: webhookUrl ? { url: webhookUrl, status: 'pending', attempts: 0, deliveredAt: null, lastError: null } : null,
+      cancelRequested: false,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      nextAttemptAt: null
+    };
+
+    await this.save(job);
+    this.enqueue(job.id);
+    return job;
+  }
+
+  async get(id) {
+    return this.store.get(this.key(id));
+  }
+
+  async save(job) {
+    job.updatedAt = new Date().toISOString();
+    await this.store.set(this.key(job.id), job, this.ttlMs);
+  }
+
+  // Jobs of one user (or all jobs for `null`), newest first
+  async list(userId, { limit = 50 } = {}) {
+    const keys = await this.store.keys('job:');
+    const jobs = (await Promise.all(keys.map(key => this.store.get(key)))).filter(Boolean);
+    return jobs
+      .filter(job => userId === null || job.user?.id === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  enqueue(id) {
+    if (!this.queue.includes(id) && !this.active.has(id)) {
+      this.queue.push(id);
+    }
+    setImmediate(() => this.drain());
+  }
+
+  drain() {
+    while (this.active.size < this.concurrency && this.queue.length > 0) {
+      const id = this.queue.shift();
+      const controller = new AbortController();
+      this.active.set(id, controller);
+
+      this.run(id, controller.signal)
+        .catch((error) => {
+          console.error(`❌ Job ${id} crashed:`, error);
+        })
+        .finally(() => {
+          this.active.delete(id);
+          this.drain();
+        });
+    }
+  }
+
+  async run(id, signal) {
+    const job = await this.get(id);
+    if (!job || job.status !== 'queued') return;
+
+    const type = this.types.get(job.type);
+    const { model, usage } = createModel(type.route, { userId: job.user?.id });
+    usage.route = job.type;
+
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.nextAttemptAt = null;
+    await this.save(job);
+    console.log(`⚙️  Job ${job.id} (${job.type}) started, attempt ${job.attempts}/${job.maxAttempts}`);
+
+    const progress = async (completed, total) => {
+      job.progress = { completed, total };
+      await this.heartbeat(job);
+    };
+
+    // Keep the job fresh for stale detection and notice cancellation from other instances
+    const heartbeat = setInterval(() => {
+      this.heartbeat(job).catch(() => {});
+    }, Math.max(1000, Math.floor(this.staleMs / 3)));
+    heartbeat.unref();
+
+    try {
+      const result = await type.run(job.input, { model, usage, progress, signal, job });
+      // Results are checked before they are stored, polled or delivered by webhook
+      moderation.check(result, { route: type.route, stage: 'output', userId: job.user?.id });
+      job.result = result;
+      job.error = null;
+      job.status = signal.aborted ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.error = { name: error.name, message: error.message };
+      if (error instanceof ModerationError) {
+        Object.assign(job.error, { blocked: true, stage: error.stage, categories: error.categories, moderationId: error.eventId });
+      }
+
+      if (signal.aborted) {
+        job.status = 'cancelled';
+      } else if (job.attempts < job.maxAttempts && (isRetryable(error) || error instanceof CircuitOpenError)) {
+        return this.retry(job, usage, error);
+      } else {
+        job.status = 'failed';
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    job.usage = mergeUsage(job.usage, usage);
+    await this.save(job);
+    console.log(`${job.status === 'completed' ? '✅' : '❌'} Job ${job.id} (${job.type}) ${job.status}`);
+
+    await this.recordUsage(job, usage);
+    this.notify(job);
+  }
+
+  async retry(job, usage, error) {
+    const delay = error.retryAfterMs || this.retryBaseMs * 2 ** (job.attempts - 1);
+    job.status = 'queued';
+    job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    job.usage = mergeUsage(job.usage, usage);
+    await this.save(job);
+    await this.recordUsage(job, usage);
+
+    console.warn(`⚠️  Job ${job.id} (${job.type}) failed (${error.message}), retry in ${delay}ms`);
+    setTimeout(() => this.enqueue(job.id), delay).unref();
+  }
+
+  async heartbeat(job) {
+    const stored = await this.get(job.id);
+    if (stored?.cancelRequested) {
+      job.cancelRequested = true;
+      this.active.get(job.id)?.abort();
+    }
+    await this.save(job);
+  }
+
+  // Cancel a queued job at once; a running job stops at its next checkpoint
+  async cancel(job) {
+    if (TERMINAL_STATES.includes(job.status)) {
+      return job;
+    }
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(id => id !== job.id);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      await this.save(job);
+      this.notify(job);
+      return job;
+    }
+
+    job.cancelRequested = true;
+    await this.save(job);
+    this.active.get(job.id)?.abort();
+    return job;
+  }
+
+  // Jobs finish after their HTTP request, so they report usage themselves
+  async recordUsage(job, usage) {
+    try {
+      await usageTracker.record(usage, { userId: job.user?.id });
+      if (job.user) {
+        await quotaManager.recordTokens(job.user, usage.totalTokenCount);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to record usage of job ${job.id}:`, error.message);
+    }
+  }
+
+  // Send the webhook of a finished job in the background
+  notify(job) {
+    if (!job.webhook) return;
+
+    const payload = {
+      event: `job.${job.status}`,
+      job: this.toJSON(job),
+      timestamp: new Date().toISOString()
+    };
+
+    deliverWebhook(job.webhook.url, payload)
+      .then((attempts) => {
+        job.webhook = { ...job.webhook, status: 'delivered', attempts, deliveredAt: new Date().toISOString(), lastError: null };
+      })
+      .catch((error) => {
+        console.error(`❌ Webhook for job ${job.id} failed:`, error.message);
+        job.webhook = { ...job.webhook, status: 'failed', attempts: error.attempts || 0, lastError: error.message };
+      })
+      .then(() => this.save(job))
+      .catch(() => {});
+  }
+
+  // Re-queue jobs whose worker is gone: still queued or running but not
+  // touched for JOB_STALE_MS and not known to this process
+  async recover() {
+    const keys = await this.store.keys('job:');
+    const now = Date.now();
+
+    for (const key of keys) {
+      const job = await this.store.get(key);
+      if (!job || !['queued', 'running'].includes(job.status)) continue;
+      if (this.active.has(job.id) || this.queue.includes(job.id)) continue;
+      if (job.nextAttemptAt && Date.parse(job.nextAttemptAt) > now) continue;
+      if (now - Date.parse(job.updatedAt) < this.staleMs) continue;
+
+      console.warn(`♻️  Recovering stale job ${job.id} (${job.type}, ${job.status})`);
+      job.status = 'queued';
+      await this.save(job);
+      this.enqueue(job.id);
+    }
+  }
+
+  // Start stale-job recovery; call once when the server starts
+  start() {
+    if (this.recoveryTimer) return;
+
+    const recover = () => this.recover().catch((error) => {
+      console.error('❌ Job recovery failed:', error.message);
+    });
+    recover();
+    this.recoveryTimer = setInterval(recover, this.staleMs);
+    this.recoveryTimer.unref();
+  }
+
+  getStatus() {
+    return {
+      store: this.storeType,
+      concurrency: this.concurrency,
+      running: this.active.size,
+      queued: this.queue.length,
+      maxQueued: this.maxQueued,
+      types: this.typeNames()
+    };
+  }
+
+  // Public view of a job, without its input and owner
+  toJSON(job) {
+    const { input, user, usage, cancelRequested, ...rest } = job;
+    return {
+      ...rest,
+      usage: usage ? summarize(usage) : null
+    };
+  }
+}
+
+// Create singleton instance
+const jobManager = new JobManager();
+
+module.exports = jobManager;
+module.exports.JobManager = JobManager;
+module.exports.QueueFullError = QueueFullError;
+module.exports.TERMINAL_STATES = TERMINAL_STATES;
@@ -0,0 +1,24 @@
+const vertexAIConfig = require('../config/vertexai');
+const { withResilience, timeoutFor } = require('./resilience');
+const { createUsage, addCall } = require('./usage');
+const moderation = require('./moderation');
+
+// Build the model for one request or job: the route's deadline, retries and
+// the shared circuit breaker, and the route's moderation threshold as
+// safetySettings. Returns { model, usage }, with every call's tokens, latency
+// and cost summed into `usage`; responses the safety filters flag throw
+// ModerationError.
+const createModel = (route, { userId } = {}) => {
+  const usage = createUsage({ route, model: vertexAIConfig.model, provider: vertexAIConfig.providerName });
+  const model = withResilience(vertexAIConfig.getModel({ safetySettings: moderation.safetySettingsFor(route) }), {
+    route,
+    timeoutMs: timeoutFor(route),
+    onResponse: (response, { latencyMs }) => addCall(usage, response, { latencyMs }),
+    inspect: response => moderation.checkResponse(response, { route, userId })
+  });
+  return { model, usage };
+};
+
+module.exports = {
+  createModel
+};
@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createStore } = require('../stores');
+const { validate } = require('../utils/schema');
+const DEFAULT_BLOCKLIST = require('../moderation/blocklist');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A route's threshold is the lowest severity (blocklist) or probability
+// (safety ratings) that gets blocked; `none` blocks nothing
+const THRESHOLDS = ['low', 'medium', 'high', 'none'];
+const THRESHOLD_RANKS = { low: 1, medium: 2, high: 3, none: Infinity };
+const PROBABILITY_RANKS = { NEGLIGIBLE: 0, LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+// Default threshold per route; override with MODERATION_THRESHOLD_<ROUTE>.
+// Free conversation is the strictest; kanji and grammar explanations and
+// learners' reading material legitimately contain words like 殺す or 死ぬ.
+const DEFAULT_THRESHOLDS = {
+  'chat': 'low',
+  'translate': 'medium',
+  'generate-examples': 'medium',
+  'correct-sentence': 'medium',
+  'generate-quiz': 'medium',
+  'recognize-image': 'medium',
+  'check-pronunciation': 'medium',
+  'explain-kanji': 'high',
+  'explain-grammar': 'high',
+  'furigana': 'high',
+  'analyze-level': 'high',
+  'dictionary': 'high'
+};
+
+// Gemini's own filters, set per request to the route's threshold
+const SAFETY_THRESHOLDS = {
+  low: 'BLOCK_LOW_AND_ABOVE',
+  medium: 'BLOCK_MEDIUM_AND_ABOVE',
+  high: 'BLOCK_ONLY_HIGH',
+  none: 'BLOCK_NONE'
+};
+const HARM_CATEGORIES = {
+  HARM_CATEGORY_HARASSMENT: 'harassment',
+  HARM_CATEGORY_HATE_SPEECH: 'hate',
+  HARM_CATEGORY_SEXUALLY_EXPLICIT: 'sexual',
+  HARM_CATEGORY_DANGEROUS_CONTENT: 'dangerous'
+};
+
+// Finish reasons of candidates stopped by the model's filters
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+const EXCERPT_LENGTH = 200;
+
+// Shape of a blocklist file
+const blocklistDefinition = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      category: { type: 'string', pattern: '^[a-z][a-z0-9-]{0,30}$' },
+      severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+      terms: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1, maxLength: 100 } },
+      notFollowedBy: { type: 'string', minLength: 1, maxLength: 50 }
+    },
+    required: ['category', 'severity', 'terms'],
+    additionalProperties: false
+  }
+};
+
+class ModerationError extends Error {
+  constructor({ stage, source, categories, eventId }) {
+    super(`${stage === 'input' ? 'Request' : 'Response'} blocked by content moderation (${categories.join(', ')})`);
+    this.name = 'ModerationError';
+    this.stage = stage;
+    this.source = source;
+    this.categories = categories;
+    this.eventId = eventId;
+  }
+}
+
+const JAPANESE_PATTERN = /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u;
+
+const normalize = (text) => text.normalize('NFKC').toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Latin terms match whole words, Japanese terms anywhere; neither matches
+// when followed by one of the entry's `notFollowedBy` characters
+const compileTerm = (term, notFollowedBy) => {
+  const source = escapeRegExp(normalize(term)).replace(/\s+/g, '\\s+');
+  const excluded = notFollowedBy ? `(?![${normalize(notFollowedBy).replace(/[\]\\^-]/g, '\\$&')}])` : '';
+  return JAPANESE_PATTERN.test(term)
+    ? new RegExp(`${source}${excluded}`, 'gu')
+    : new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])${excluded}`, 'gu');
+};
+
+// Normalized length of a term; whitespace matches any run of it
+const termLength = (term) => normalize(term).replace(/\s+/g, ' ').length;
+
+// Start of the shortest tail of `text` whose normalized form has at least
+// `length` characters, not splitting a surrogate pair
+const tailStart = (text, length) => {
+  let start = text.length;
+  while (start > 0 && termLength(text.slice(start)) < length) start--;
+  if (start > 0 && /[\uDC00-\uDFFF]/.test(text[start])) start--;
+  return start;
+};
+
+// Every string in a request or response body with its path, e.g.
+// ['examples[0].japanese', '...']
+const collectStrings = (value, prefix = '') => {
+  if (typeof value === 'string') return [[prefix || '(root)', value]];
+  if (Array.isArray(value)) return value.flatMap((item, i) => collectStrings(item, `${prefix}[${i}]`));
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, child]) => collectStrings(child, prefix ? `${prefix}.${key}` : key));
+  }
+  return [];
+};
+
+const excerptAround = (text, index) => {
+  const start = Math.max(0, index - EXCERPT_LENGTH / 2);
+  return text.slice(start, start + EXCERPT_LENGTH);
+};
+
+// Content moderation for learner input and model output: blocklists, the
+// model's safety ratings and safetySettings, per-route thresholds and a log
+// of moderation events for review. With MODERATION_MODE=log events are
+// recorded but nothing is blocked, e.g. to tune thresholds.
+class ContentModerator {
+  constructor() {
+    this.enabled = process.env.MODERATION_ENABLED !== 'false';
+    this.mode = (process.env.MODERATION_MODE || 'block').toLowerCase();
+    this.blocklistPath = process.env.MODERATION_BLOCKLIST_PATH || null;
+    this.retentionDays = parseInt(process.env.MODERATION_RETENTION_DAYS) || 30;
+    this.storeType = process.env.MODERATION_STORE || 'memory';
+    this.store = createStore(this.storeType, {
+      maxEntries: parseInt(process.env.MODERATION_MAX_EVENTS) || 10000,
+      namespace: 'kotobaid:'
+    });
+    this.entries = [];
+    this.load();
+  }
+
+  // Swap the backing store; anything with async get/set/keys works
+  setStore(store) {
+    this.store = store;
+  }
+
+  // The default blocklist plus MODERATION_BLOCKLIST_PATH (.js or .json in
+  // the same shape). An invalid file fails the load and keeps the old lists.
+  load() {
+    const lists = [['moderation/blocklist.js', DEFAULT_BLOCKLIST]];
+    if (this.blocklistPath) {
+      const fullPath = path.resolve(this.blocklistPath);
+      delete require.cache[require.resolve(fullPath)];
+      lists.push([this.blocklistPath, require(fullPath)]);
+    }
+
+    const entries = lists.flatMap(([file, list]) => {
+      const errors = validate(blocklistDefinition, list);
+      if (errors.length > 0) {
+        throw new Error(`Invalid blocklist ${file}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+      }
+      return list.flatMap(({ category, severity, terms, notFollowedBy }) => terms.map(term => ({
+        category,
+        severity,
+        term,
+        pattern: compileTerm(term, notFollowedBy)
+      })));
+    });
+
+    this.entries = entries;
+    this.longestTerm = Math.max(0, ...entries.map(entry => termLength(entry.term)));
+    console.log(`🚫 Loaded ${entries.length} moderation blocklist terms`);
+  }
+
+  reload() {
+    this.load();
+    return this.getStatus();
+  }
+
+  thresholdFor(route) {
+    const envKey = `MODERATION_THRESHOLD_${String(route).replace(/-/g, '_').toUpperCase()}`;
+    return [process.env[envKey], DEFAULT_THRESHOLDS[route], process.env.MODERATION_THRESHOLD, 'medium']
+      .find(threshold => THRESHOLDS.includes(threshold));
+  }
+
+  // safetySettings for a route's model requests
+  safetySettingsFor(route) {
+    if (!this.enabled) return undefined;
+    const threshold = SAFETY_THRESHOLDS[this.thresholdFor(route)];
+    return Object.keys(HARM_CATEGORIES).map(category => ({ category, threshold }));
+  }
+
+  // Blocklist entries in `text` at or above `threshold`. With `pending`, more
+  // text may follow, so matches reaching its end are left for later (e.g.
+  // "meth" may still become "method").
+  match(text, threshold, { pending = false } = {}) {
+    const normalized = normalize(text);
+    const complete = (found) => !pending || found.index + found[0].length < normalized.length;
+    return this.entries
+      .filter(entry => THRESHOLD_RANKS[entry.severity] >= THRESHOLD_RANKS[threshold])
+      .map(entry => ({ entry, found: [...normalized.matchAll(entry.pattern)].find(complete) }))
+      .filter(({ found }) => found)
+      .map(({ entry, found }) => ({ ...entry, index: found.index }));
+  }
+
+  // Check every string of a request body (stage 'input') or a result
+  // (stage 'output') against the blocklist; throws ModerationError, or in
+  // log mode returns the recorded event
+  check(value, { route, stage, userId, pending = false }) {
+    if (!this.enabled) return;
+    const threshold = this.thresholdFor(route);
+
+    for (const [field, text] of collectStrings(value)) {
+      const matches = this.match(text, threshold, { pending });
+      if (matches.length > 0) {
+        return this.flag({
+          route,
+          stage,
+          source: 'blocklist',
+          threshold,
+          categories: [...new Set(matches.map(match => match.category))],
+          terms: matches.map(match => match.term),
+          field,
+          excerpt: excerptAround(normalize(text), matches[0].index),
+          userId
+        });
+      }
+    }
+  }
+
+  // Check a model response for prompts the model refused, candidates its
+  // filters stopped and safety ratings at or above the route's threshold
+  checkResponse(response, { route, userId }) {
+    if (!this.enabled || !response) return;
+    const threshold = this.thresholdFor(route);
+    const categoriesOf = (ratings = []) => [...new Set(ratings
+      .filter(rating => rating.blocked || PROBABILITY_RANKS[rating.probability] >= THRESHOLD_RANKS[threshold])
+      .map(rating => HARM_CATEGORIES[rating.category] || String(rating.category).toLowerCase()))];
+
+    const blockReason = response.promptFeedback?.blockReason;
+    if (blockReason) {
+      const categories = categoriesOf(response.promptFeedback.safetyRatings);
+      return this.flag({
+        route,
+        stage: 'input',
+        source: 'safety',
+        threshold,
+        categories: categories.length > 0 ? categories : [blockReason.toLowerCase()],
+        userId
+      });
+    }
+
+    const candidate = response.candidates?.[0];
+    if (!candidate) return;
+
+    const categories = categoriesOf(candidate.safetyRatings);
+    if (categories.length > 0 || BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) {
+      let excerpt = '';
+      try {
+        excerpt = (response.text?.() || '').slice(0, EXCERPT_LENGTH);
+      } catch (error) {
+        // Blocked candidates may have no text
+      }
+      return this.flag({
+        route,
+        stage: 'output',
+        source: 'safety',
+        threshold,
+        categories: categories.length > 0 ? categories : [candidate.finishReason.toLowerCase()],
+        excerpt,
+        userId
+      });
+    }
+  }
+
+  // Moderate output that arrives in pieces (a streamed model answer) before
+  // any of it is sent. push(delta) returns the text that is safe to send:
+  // all but a tail long enough to hold the start of a term that the next
+  // pieces could complete. end() checks the complete text and returns the
+  // rest. Both throw ModerationError.
+  streamChecker({ route, userId }) {
+    let text = '';
+    let sent = 0;
+    let logged = false;
+    const take = (end) => {
+      const safe = text.slice(sent, Math.max(sent, end));
+      sent = Math.max(sent, end);
+      return safe;
+    };
+
+    return {
+      push: (delta) => {
+        text += delta;
+        if (!this.enabled || logged) return take(text.length);
+        logged = Boolean(this.check(text, { route, stage: 'output', userId, pending: true }));
+        return take(logged ? text.length : tailStart(text, this.longestTerm + 1));
+      },
+      end: () => {
+        if (this.enabled && !logged) {
+          this.check(text, { route, stage: 'output', userId });
+        }
+        return take(text.length);
+      }
+    };
+  }
+
+  // Record a moderation event and, unless in log mode, throw
+  flag({ route, stage, source, threshold, categories, terms = [], field = null, excerpt = '', userId }) {
+    const event = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      route,
+      stage,
+      source,
+      threshold,
+      categories,
+      terms,
+      field,
+      excerpt,
+      userId: userId || 'anonymous',
+      action: this.mode === 'log' ? 'logged' : 'blocked'
+    };
+
+    console.warn(`🚫 Moderation ${event.action} ${stage} on /${route}: ${source} (${categories.join(', ')})`);
+    this.store.set(`moderation:${event.timestamp}:${event.id}`, event, this.retentionDays * DAY_MS).catch((error) => {
+      console.error('❌ Failed to record moderation event:', error.message);
+    });
+
+    if (this.mode !== 'log') {
+      throw new ModerationError({ stage, source, categories, eventId: event.id });
+    }
+    return event;
+  }
+
+  // Recorded events, newest first, with counts by route and category
+  async events({ route, stage, userId, limit = 100 } = {}) {
+    const keys = (await this.store.keys('moderation:')).sort().reverse();
+    const events = (await Promise.all(keys.map(key => this.store.get(key))))
+      .filter(Boolean)
+      .filter(event => (!route || event.route === route)
+        && (!stage || event.stage === stage)
+        && (!userId || event.userId === userId));
+
+    const count = (field) => events.reduce((counts, event) => {
+      [].concat(event[field]).forEach((value) => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+      return counts;
+    }, {});
+
+    return {
+      total: events.length,
+      byRoute: count('route'),
+      byCategory: count('categories'),
+      events: events.slice(0, limit)
+    };
+  }
+
+  getStatus() {
+    const routes = [...new Set([...Object.keys(DEFAULT_THRESHOLDS), 'default'])];
+    return {
+      enabled: this.enabled,
+      mode: this.mode,
+      blocklist: {
+        path: this.blocklistPath,
+        terms: this.entries.length,
+        categories: [...new Set(this.entries.map(entry => entry.category))]
+      },
+      thresholds: Object.fromEntries(routes.map(route => [route, this.thresholdFor(route)])),
+      store: this.storeType,
+      retentionDays: this.retentionDays
+    };
+  }
+}
+
+// Create singleton instance
+const moderation = new ContentModerator();
+
+module.exports = moderation;
+module.exports.ContentModerator = ContentModerator;
+module.exports.ModerationError = ModerationError;
+module.exports.THRESHOLDS = THRESHOLDS;
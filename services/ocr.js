@@ -0,0 +1,61 @@
+const prompts = require('./promptRegistry');
+const tasks = require('./tasks');
+const { generateStructured } = require('../utils/structuredOutput');
+const { describeError } = require('../utils/routeErrors');
+const { toInlinePart } = require('../utils/images');
+const { imageRecognition } = require('../schemas/responses');
+
+const KANJI_PATTERN = /\p{Script=Han}/gu;
+const SINGLE_KANJI_PATTERN = /^\p{Script=Han}$/u;
+
+// Run the flow the caller chained after recognition on what was read.
+// Its failure does not fail the recognition itself.
+const followUp = async (model, then, recognition, { targetLanguage, context }) => {
+  const text = recognition.text.trim();
+
+  try {
+    if (then === 'translate') {
+      if (!text) return { type: then, success: false, error: 'No text was recognized' };
+      return { type: then, success: true, ...await tasks.translate(model, { text, targetLanguage }) };
+    }
+
+    const kanji = [...new Set(text.match(KANJI_PATTERN) || [])].slice(0, tasks.MAX_KANJI_CHARACTERS).join('');
+    if (!kanji) return { type: then, success: false, error: 'No kanji was recognized' };
+    return { type: then, success: true, ...await tasks.explainKanji(model, { kanji, context, structured: true }) };
+  } catch (error) {
+    const { status, body } = describeError(error, `Recognized, but ${then} failed`);
+    return { type: then, ...body, status };
+  }
+};
+
+// POST /recognize-image: the image from acceptImage() and { mode, then, targetLanguage, context }
+const recognizeImage = async (model, image, { mode = 'text', then, targetLanguage, context } = {}) => {
+  const prompt = prompts.render('recognize-image', { mode, kanjiMode: mode === 'kanji', context });
+  const { data, attempts } = await generateStructured(model, prompt.text, imageRecognition, {
+    ...prompt,
+    parts: [toInlinePart(image)]
+  });
+
+  const recognition = {
+    mode: mode,
+    text: data.text,
+    confidence: data.confidence,
+    candidates: data.candidates
+      .filter(candidate => SINGLE_KANJI_PATTERN.test(candidate.kanji))
+      .sort((a, b) => b.confidence - a.confidence),
+    notes: data.notes || null,
+    image: { mimeType: image.mimeType, size: image.size },
+    attempts: attempts,
+    prompt: { name: prompt.name, version: prompt.version }
+  };
+
+  if (then) {
+    recognition.followUp = await followUp(model, then, recognition, { targetLanguage, context });
+  }
+
+  return recognition;
+};
+
+module.exports = {
+  recognizeImage
+};
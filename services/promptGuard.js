@@ -0,0 +1,164 @@
+// Defense against prompt injection through learner input: per-field
+// character-class limits, detection of common injection phrasing, and a
+// sanity check that /translate output is actually a translation.
+
+class PromptGuardError extends Error {
+  constructor(reason, message, { field = null, status = 400 } = {}) {
+    super(message);
+    this.name = 'PromptGuardError';
+    this.reason = reason;
+    this.field = field;
+    this.status = status;
+  }
+}
+
+// Characters that hide or reorder text: C0/C1 controls (except tab/newline),
+// zero-width characters and bidi overrides. The zero-width joiner is allowed
+// between emoji, where it builds sequences such as 👨‍👩‍👧 or 🏳️‍🌈.
+const HIDDEN_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u200B\u200C\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]|(?<![\p{Extended_Pictographic}\u{1F3FB}-\u{1F3FF}\uFE0F])\u200D|\u200D(?!\p{Extended_Pictographic})/u;
+
+const CHARACTER_CLASSES = {
+  // Japanese, Latin text, common punctuation and emoji (with their joiners)
+  text: /^[\p{L}\p{M}\p{N}\p{P}\p{S}\p{Zs}\u200D\r\n\t]*$/u,
+  // A Japanese word, optionally in romaji; digits for counters such as 1つ or ２０歳
+  word: /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Latin}\p{N}ー々〆・\s]*$/u,
+  // Grammar notation such as 〜ている, です/である, Vる + ことができる
+  grammar: /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Latin}\p{N}ー々〜~・/()（）+＋\-\s]*$/u,
+  kanji: /^\p{Script=Han}*$/u,
+  // Language names: "Indonesian", "Bahasa Indonesia", "日本語"
+  language: /^[\p{L}\s-]*$/u
+};
+
+// Character class per field; lengths and item counts are enforced by the
+// request schemas in schemas/requests.js before the guard runs
+const FIELD_POLICIES = {
+  text: { characters: 'text' },
+  message: { characters: 'text' },
+  context: { characters: 'text' },
+  kanji: { characters: 'kanji' },
+  grammar: { characters: 'grammar' },
+  examples: { characters: 'text' },
+  word: { characters: 'word' },
+  term: { characters: 'grammar' },
+  reading: { characters: 'word' },
+  meaning: { characters: 'text' },
+  sentence: { characters: 'text' },
+  intendedMeaning: { characters: 'text' },
+  topics: { characters: 'grammar' },
+  seen: { characters: 'text' },
+  targetLanguage: { characters: 'language' },
+  glossary: { characters: 'text' }
+};
+
+// Instruction-override phrasing (English, Indonesian, Japanese) and attempts
+// to break out of the <user_input> delimiters. Each pattern needs the whole
+// phrase ("ignore the previous instructions"), not just a verb and a noun, so
+// learner sentences like "Jangan lupakan aturan" pass.
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override|bypass)\s+(all\s+|any\s+|of\s+|the\s+|your\s+|my\s+)*(previous|prior|above|earlier|preceding|original|system)\s+(instructions?|prompts?|rules|directions?|guidelines)\b/i,
+  /\b(ignore|disregard|forget)\s+(all\s+|everything\s+)*(above|before\s+this|you\s+were\s+told)\b/i,
+  /\b(system\s+prompt|system\s+instructions?|developer\s+instructions?)\b/i,
+  /\b(reveal|print|repeat|output|show\s+me)\s+(your|the)\s+(hidden\s+|initial\s+|original\s+|secret\s+)?(instructions|prompt)\s+(above|you\s+were\s+given)\b|\b(reveal|print)\s+(your|the)\s+(hidden|initial|original|secret)\s+(instructions|prompt)\b/i,
+  /\byou\s+are\s+now\s+(an?\s+)?(unfiltered|unrestricted|jailbroken|uncensored|DAN)\b|\bfrom\s+now\s+on,?\s+you\s+(are\s+no\s+longer|will\s+ignore|must\s+ignore|have\s+no\s+(rules|restrictions))\b|\bact\s+as\s+(an?\s+)?(unfiltered|unrestricted|jailbroken|uncensored)/i,
+  /\b(jailbreak|DAN\s+mode|developer\s+mode)\b/i,
+  /\b(abaikan|lupakan|acuhkan)\s+(semua\s+|seluruh\s+)?(instruksi|perintah|aturan)\s+(sebelumnya|di\s+atas|sistem|awal)\b/i,
+  /(以前|前|上記|これまで)の(指示|命令|プロンプト)を(無視|忘れ)/,
+  /<\/?\s*(user_input|system|instructions?)\s*>/i,
+  /\[\/?(INST|SYS)\]|<<\/?SYS>>|<\|(im_start|im_end|system)\|>/i
+];
+
+const guardMode = () => (process.env.PROMPT_GUARD_MODE || 'block').toLowerCase();
+
+const checkString = (field, value, policy) => {
+  if (HIDDEN_CHARACTERS.test(value)) {
+    throw new PromptGuardError('HIDDEN_CHARACTERS', `${field} contains control or invisible characters`, { field });
+  }
+
+  const characterClass = CHARACTER_CLASSES[policy.characters];
+  if (characterClass && !characterClass.test(value)) {
+    throw new PromptGuardError('INVALID_CHARACTERS', `${field} contains characters that are not allowed`, { field });
+  }
+
+  if (INJECTION_PATTERNS.some(pattern => pattern.test(value))) {
+    throw new PromptGuardError('PROMPT_INJECTION', `${field} looks like an attempt to change the assistant's instructions`, { field });
+  }
+};
+
+// Check the given fields of a request body; throws PromptGuardError
+const checkInput = (body, fields) => {
+  fields.forEach((field) => {
+    const value = body?.[field];
+    const policy = FIELD_POLICIES[field];
+    if (value === undefined || value === null || !policy) return;
+
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => {
+        if (typeof item === 'string') {
+          checkString(`${field}[${i}]`, item, policy);
+        } else if (item && typeof item === 'object') {
+          // e.g. glossary entries: every string property is learner text
+          Object.entries(item)
+            .filter(([, child]) => typeof child === 'string')
+            .forEach(([key, child]) => checkString(`${field}[${i}].${key}`, child, policy));
+        }
+      });
+    } else if (typeof value === 'string') {
+      checkString(field, value, policy);
+    }
+  });
+};
+
+const JAPANESE_PATTERN = /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/gu;
+const LATIN_PATTERN = /\p{Script=Latin}/gu;
+
+const REFUSAL_PATTERNS = [
+  /\b(as an ai|i('| a)m (sorry|unable)|i cannot|i can't|my instructions|system prompt)\b/i,
+  /\b(sebagai (ai|model bahasa)|saya tidak dapat|maaf, saya)\b/i,
+  /<\/?user_input>/i
+];
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// Check that a /translate result plausibly is a translation of `source`
+const checkTranslationOutput = (source, output, targetLanguage = '') => {
+  const fail = (message) => {
+    throw new PromptGuardError('OUTPUT_NOT_TRANSLATION', message, { field: 'translation', status: 502 });
+  };
+
+  if (!output) {
+    fail('Model returned an empty translation');
+  }
+
+  const sourceLength = [...source].length;
+  const outputLength = [...output].length;
+  if (outputLength > sourceLength * 4 + 100) {
+    fail('Model output is far longer than the source text');
+  }
+
+  if (REFUSAL_PATTERNS.some(pattern => pattern.test(output)) && !REFUSAL_PATTERNS.some(pattern => pattern.test(source))) {
+    fail('Model output is commentary instead of a translation');
+  }
+
+  // Output script should match the target language
+  const letters = countMatches(output, JAPANESE_PATTERN) + countMatches(output, LATIN_PATTERN);
+  if (letters > 0) {
+    const japaneseShare = countMatches(output, JAPANESE_PATTERN) / letters;
+    const target = targetLanguage.toLowerCase();
+
+    if ((target.includes('japanese') || target.includes('jepang') || target.includes('日本')) && japaneseShare < 0.3) {
+      fail('Translation to Japanese contains almost no Japanese text');
+    }
+    if ((target.includes('indonesia') || target.includes('english') || target.includes('inggris')) && japaneseShare > 0.5) {
+      fail(`Translation to ${targetLanguage} is mostly Japanese text`);
+    }
+  }
+};
+
+module.exports = {
+  PromptGuardError,
+  FIELD_POLICIES,
+  INJECTION_PATTERNS,
+  guardMode,
+  checkInput,
+  checkTranslationOutput
+};
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+
+class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptError';
+  }
+}
+
+const isPresent = (value) => !(value === undefined || value === null || value === false || value === ''
+  || (Array.isArray(value) && value.length === 0));
+
+const stringify = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+// Wrap learner-supplied text in <user_input> delimiters. Delimiter look-alikes
+// inside the value are defused so the input cannot close the block itself.
+const delimit = (name, value) => {
+  const safe = String(value).replace(/<(\/?)\s*user_input/gi, '‹$1user_input');
+  return `<user_input name="${name}">\n${safe}\n</user_input>`;
+};
+
+// Tiny template language:
+//   {{name}}                           variable
+//   {{#if name}}...{{else}}...{{/if}}  conditional (may nest)
+//   {{#each name}}{{@number}}. {{this}}{{/each}}  list
+// Variables declared `untrusted: true` are rendered inside <user_input> tags.
+// Variables are substituted in one final pass, so user input that happens to
+// contain {{...}} is never expanded.
+const renderTemplate = (template, variables) => {
+  let output = template;
+
+  output = output.replace(/{{#each (\w+)}}([\s\S]*?){{\/each}}/g, (match, name, body) => (
+    (variables[name] || []).map((item, i) => body
+      .replace(/{{this}}/g, `{{${name}.${i}}}`)
+      .replace(/{{@number}}/g, String(i + 1))
+    ).join('')
+  ));
+
+  // Resolve innermost conditionals first so blocks can nest
+  const innermostIf = /{{#if (\w+)}}((?:(?!{{#if )[\s\S])*?){{\/if}}/;
+  let match;
+  while ((match = output.match(innermostIf))) {
+    const [whole, name, body] = match;
+    const [whenTrue, whenFalse = ''] = body.split('{{else}}');
+    output = output.replace(whole, () => (isPresent(variables[name]) ? whenTrue : whenFalse));
+  }
+
+  output = output.replace(/{{(\w+)(?:\.(\d+))?}}/g, (whole, name, index) => {
+    const value = index === undefined ? variables[name] : (variables[name] || [])[index];
+    return isPresent(value) ? stringify(value) : '';
+  });
+
+  return output.replace(/\n{3,}/g, '\n\n').trim();
+};
+
+// Versioned prompt templates loaded from prompts/<name>/v<version>.js.
+// The newest version is used unless PROMPT_VERSION_<NAME> pins another one.
+class PromptRegistry {
+  constructor(directory = PROMPTS_DIR) {
+    this.directory = directory;
+    this.templates = new Map();
+    this.load();
+  }
+
+  load() {
+    this.templates.clear();
+
+    fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach((entry) => {
+        const dir = path.join(this.directory, entry.name);
+        fs.readdirSync(dir)
+          .filter(file => /^v\d+\.js$/.test(file))
+          .forEach((file) => {
+            const fullPath = path.join(dir, file);
+            delete require.cache[require.resolve(fullPath)];
+            const template = require(fullPath);
+            const version = parseInt(file.slice(1));
+
+            if (!this.templates.has(entry.name)) {
+              this.templates.set(entry.name, new Map());
+            }
+            this.templates.get(entry.name).set(version, { ...template, name: entry.name, version });
+          });
+      });
+
+    console.log(`📝 Loaded ${this.templates.size} prompt templates from ${this.directory}`);
+  }
+
+  // Re-read templates from disk, e.g. after the content team edits them
+  reload() {
+    this.load();
+    return this.list();
+  }
+
+  activeVersion(name) {
+    const versions = this.templates.get(name);
+    if (!versions) return null;
+
+    const pinned = parseInt(process.env[`PROMPT_VERSION_${name.replace(/-/g, '_').toUpperCase()}`]);
+    if (pinned && versions.has(pinned)) return pinned;
+    return Math.max(...versions.keys());
+  }
+
+  get(name, version = this.activeVersion(name)) {
+    const template = this.templates.get(name)?.get(version);
+    if (!template) {
+      throw new PromptError(`Prompt template not found: ${name}${version ? ` v${version}` : ''}`);
+    }
+    return template;
+  }
+
+  // Render a template into the text, system instruction and generation overrides
+  render(name, variables = {}, { version } = {}) {
+    const template = this.get(name, version || this.activeVersion(name));
+    const spec = template.variables || {};
+
+    const values = { ...variables };
+    Object.entries(spec).forEach(([key, options]) => {
+      if (!isPresent(values[key]) && options.default !== undefined) {
+        values[key] = options.default;
+      }
+      if (options.required && !isPresent(values[key])) {
+        throw new PromptError(`Prompt template ${name} requires variable "${key}"`);
+      }
+      if (options.untrusted && isPresent(values[key])) {
+        values[key] = Array.isArray(values[key])
+          ? values[key].map((item, i) => delimit(`${key}[${i}]`, item))
+          : delimit(key, values[key]);
+      }
+    });
+
+    return {
+      name: template.name,
+      version: template.version,
+      text: renderTemplate(template.template, values),
+      systemInstruction: template.systemInstruction
+        ? renderTemplate(template.systemInstruction, values)
+        : undefined,
+      generationConfig: template.generationConfig || {}
+    };
+  }
+
+  // Render straight into a generateContent() request plus `{ name, version }`
+  request(name, variables, options) {
+    const rendered = this.render(name, variables, options);
+    return {
+      request: {
+        contents: [{ role: 'user', parts: [{ text: rendered.text }] }],
+        ...(rendered.systemInstruction && { systemInstruction: rendered.systemInstruction }),
+        generationConfig: rendered.generationConfig
+      },
+      prompt: { name: rendered.name, version: rendered.version }
+    };
+  }
+
+  // Active versions of the templates serving a route, for cache keys
+  versionsFor(route) {
+    return [...this.templates.keys()]
+      .filter(name => name === route || name.startsWith(`${route}-`))
+      .sort()
+      .map(name => `${name}@${this.activeVersion(name)}`);
+  }
+
+  list() {
+    return [...this.templates.entries()].map(([name, versions]) => ({
+      name,
+      activeVersion: this.activeVersion(name),
+      versions: [...versions.keys()].sort((a, b) => a - b),
+      description: versions.get(this.activeVersion(name)).description || null,
+      variables: Object.keys(versions.get(this.activeVersion(name)).variables || {})
+    }));
+  }
+}
+
+// Create singleton instance
+const promptRegistry = new PromptRegistry();
+
+module.exports = promptRegistry;
+module.exports.PromptRegistry = PromptRegistry;
+module.exports.PromptError = PromptError;
+module.exports.renderTemplate = renderTemplate;
+module.exports.delimit = delimit;
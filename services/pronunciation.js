@@ -0,0 +1,148 @@
+const prompts = require('./promptRegistry');
+const readings = require('./readings');
+const { generateStructured, StructuredOutputError } = require('../utils/structuredOutput');
+const { toRomaji, toMorae } = require('../utils/kana');
+const { toInlinePart } = require('../utils/audio');
+const { pronunciationCheck } = require('../schemas/responses');
+
+// The model only reports what it heard. The target's reading comes from the
+// morphological analyzer when it is installed (the model's otherwise), and
+// the per-mora match and the score are computed here, so the same hearing
+// always gets the same score.
+
+// Particles written with one kana and pronounced as another
+const PARTICLE_SOUNDS = { は: 'わ', へ: 'え', を: 'お' };
+
+const VOWEL_KANA = { a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お' };
+
+// What a mora is compared by, so different spellings of the same sound
+// match: ー and the vowel it lengthens, おう/おお and えい/ええ
+// (とうきょう, とおきょお and トーキョー all compare equal)
+const soundKeys = (morae) => morae.reduce((keys, mora) => {
+  const vowel = keys.length > 0 ? toRomaji(keys[keys.length - 1]).slice(-1) : '';
+  if (mora === 'ー' && VOWEL_KANA[vowel]) {
+    keys.push(VOWEL_KANA[vowel]);
+  } else if (mora === 'う' && vowel === 'o') {
+    keys.push('お');
+  } else if (mora === 'い' && vowel === 'e') {
+    keys.push('え');
+  } else {
+    keys.push(mora);
+  }
+  return keys;
+}, []);
+
+// Edit-distance alignment of the expected and heard morae. Each entry is
+// one position: correct, wrong (another mora was said), missing or extra.
+const alignMorae = (expected, heard) => {
+  const a = soundKeys(expected);
+  const b = soundKeys(heard);
+  const cost = Array.from({ length: a.length + 1 }, (_, i) => Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  const entries = [];
+  let i = a.length;
+  let j = b.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+      entries.push({ expected: expected[i - 1], heard: heard[j - 1], status: a[i - 1] === b[j - 1] ? 'correct' : 'wrong' });
+      i--;
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      entries.push({ expected: expected[i - 1], heard: null, status: 'missing' });
+      i--;
+    } else {
+      entries.push({ expected: null, heard: heard[j - 1], status: 'extra' });
+      j--;
+    }
+  }
+  return entries.reverse();
+};
+
+// Words of the target with their spoken reading, or null when the analyzer
+// is not installed or cannot read every word (unknown kanji, digits, latin)
+const expectedWords = async (sentence) => {
+  if (!await readings.loadTokenizer()) return null;
+
+  const { tokens } = await readings.annotate(null, { text: sentence, useModel: false });
+  const spoken = tokens.filter(token => token.reading || /[\p{L}\p{N}]/u.test(token.surface));
+  if (spoken.some(token => !token.reading)) return null;
+
+  return spoken.map(token => ({
+    word: token.surface,
+    reading: (token.partOfSpeech === 'particle' && PARTICLE_SOUNDS[token.reading]) || token.reading
+  }));
+};
+
+// Per-word result from the mora alignment. Extra morae count against the
+// word they follow (the first word when they come before everything).
+const matchWords = (words, alignment) => {
+  const owners = words.flatMap((word, index) => toMorae(word.reading).map(() => index));
+  const results = words.map(word => ({ word: word.word, reading: word.reading, heard: '', correct: true }));
+
+  let position = 0;
+  for (const entry of alignment) {
+    const owner = entry.expected !== null ? owners[position++] : owners[Math.max(position - 1, 0)];
+    const result = results[owner];
+    if (!result) continue;
+    result.heard += entry.heard || '';
+    result.correct = result.correct && entry.status === 'correct';
+  }
+  return results;
+};
+
+// POST /check-pronunciation: the recording from acceptAudio() and { sentence }
+const checkPronunciation = async (model, audio, { sentence }) => {
+  const words = await expectedWords(sentence);
+  const prompt = prompts.render('check-pronunciation', {
+    sentence,
+    reading: words ? words.map(word => word.reading).join('') : null
+  });
+  const { data, raw, attempts } = await generateStructured(model, prompt.text, pronunciationCheck, {
+    ...prompt,
+    parts: [toInlinePart(audio)]
+  });
+
+  const expected = toMorae(words ? words.map(word => word.reading).join('') : data.expectedReading);
+  if (expected.length === 0) {
+    throw new StructuredOutputError('Model gave no kana reading for the sentence', {
+      errors: [{ field: 'expectedReading', message: 'must be the sentence in hiragana' }],
+      raw,
+      attempts
+    });
+  }
+
+  const heard = toMorae(data.heardReading);
+  const alignment = alignMorae(expected, heard);
+  const correct = alignment.filter(entry => entry.status === 'correct').length;
+  const extra = alignment.filter(entry => entry.status === 'extra').length;
+
+  return {
+    sentence: sentence,
+    transcription: data.transcription,
+    reading: { expected: expected.join(''), heard: heard.join('') },
+    score: Math.round(100 * correct / (expected.length + extra)),
+    morae: alignment,
+    words: words ? matchWords(words, alignment) : null,
+    remarks: data.remarks,
+    feedback: data.feedback,
+    analyzer: words ? 'kuromoji' : 'model',
+    audio: { mimeType: audio.mimeType, size: audio.size, durationSeconds: audio.durationSeconds },
+    attempts: attempts,
+    prompt: { name: prompt.name, version: prompt.version }
+  };
+};
+
+module.exports = {
+  alignMorae,
+  checkPronunciation
+};
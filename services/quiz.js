@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const prompts = require('./promptRegistry');
+const jobManager = require('./jobs');
+const { generateStructured, StructuredOutputError } = require('../utils/structuredOutput');
+const { isKana } = require('../utils/kana');
+const { quizExercises } = require('../schemas/responses');
+const schemas = require('../schemas/requests');
+
+// Exercise types used when the caller does not pick any
+const DEFAULT_EXERCISE_TYPES = {
+  vocabulary: ['multiple-choice', 'kanji-reading', 'sentence-order'],
+  kanji: ['kanji-reading', 'multiple-choice'],
+  grammar: ['particle-fill', 'multiple-choice', 'sentence-order']
+};
+
+// Model calls per quiz: the first request plus top-ups for exercises that
+// were dropped as invalid or already seen
+const MAX_ROUNDS = 3;
+
+// Earlier questions quoted in the prompt
+const MAX_SEEN_IN_PROMPT = 50;
+
+const EXERCISE_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+const normalizeText = (text) => String(text).normalize('NFKC').replace(/\s+/g, '');
+
+// Stable ID of an exercise; callers send it back in `seen`
+const exerciseId = ({ type, question, sentence, answer }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([type, normalizeText(question), normalizeText(sentence || ''), normalizeText(answer)]))
+  .digest('hex')
+  .slice(0, 16);
+
+// What makes two exercises "the same" for repeat filtering: the sentence
+// (the answer for sentence-order), or the question for exercises without one
+const repeatText = (exercise) => (exercise.type === 'sentence-order'
+  ? exercise.answer
+  : exercise.sentence || exercise.question);
+
+// Shuffle derived from the exercise ID, so a cached or replayed quiz keeps
+// its order while answers do not always sit in the same position
+const seededShuffle = (items, seed) => items
+  .map((item, index) => ({
+    item,
+    index,
+    rank: crypto.createHash('sha256').update(`${seed}:${index}`).digest('hex')
+  }))
+  .sort((a, b) => a.rank.localeCompare(b.rank));
+
+// Reason a generated exercise is unusable, or null
+const checkExercise = (exercise, types) => {
+  if (!types.includes(exercise.type)) {
+    return `type ${exercise.type} was not requested`;
+  }
+
+  if (exercise.type === 'sentence-order') {
+    if (exercise.parts.length < 3 || exercise.parts.length > 8) return 'sentence-order needs 3 to 8 parts';
+    if (normalizeText(exercise.parts.join('')) !== normalizeText(exercise.answer)) return 'parts do not form the answer';
+    return null;
+  }
+
+  const choices = exercise.choices.map(choice => choice.trim());
+  if (choices.length < 3 || choices.length > 5) return 'needs 3 to 5 choices';
+  if (new Set(choices).size !== choices.length) return 'choices repeat';
+  if (!choices.includes(exercise.answer.trim())) return 'answer is not one of the choices';
+  if (exercise.type === 'particle-fill' && !/＿|__/.test(exercise.sentence || '')) return 'sentence has no blank';
+  if (exercise.type === 'kanji-reading' && !choices.every(isKana)) return 'readings must be kana';
+  return null;
+};
+
+const toExercise = (exercise) => {
+  const id = exerciseId(exercise);
+  const base = {
+    id,
+    type: exercise.type,
+    target: exercise.target,
+    question: exercise.question,
+    sentence: exercise.sentence ? exercise.sentence.replace(/＿+|_{2,}/g, '＿＿') : null
+  };
+
+  if (exercise.type === 'sentence-order') {
+    let shuffled = seededShuffle(exercise.parts, id);
+    // Never hand out the parts already in the right order
+    if (shuffled.every((entry, i) => entry.index === i)) {
+      shuffled = [...shuffled.slice(1), shuffled[0]];
+    }
+    return {
+      ...base,
+      parts: shuffled.map(entry => entry.item),
+      answer: exercise.answer,
+      answerOrder: exercise.parts.map((part, i) => shuffled.findIndex(entry => entry.index === i)),
+      explanation: exercise.explanation
+    };
+  }
+
+  const answer = exercise.answer.trim();
+  const choices = seededShuffle(exercise.choices.map(choice => choice.trim()), id).map(entry => entry.item);
+  return {
+    ...base,
+    choices,
+    answer,
+    answerIndex: choices.indexOf(answer),
+    distractors: choices.filter(choice => choice !== answer),
+    explanation: exercise.explanation
+  };
+};
+
+// POST /generate-quiz: { topicType, topics, jlptLevel, count, exerciseTypes, seen }
+const generateQuiz = async (model, { topicType, topics, jlptLevel, count = 5, exerciseTypes, seen = [] }) => {
+  const types = exerciseTypes ? [...new Set(exerciseTypes)] : DEFAULT_EXERCISE_TYPES[topicType];
+  const seenIds = new Set(seen.filter(entry => EXERCISE_ID_PATTERN.test(entry)));
+  const seenKeys = new Set(seen.filter(entry => !seenIds.has(entry)).map(normalizeText));
+  const seenQuestions = seen.filter(entry => !seenIds.has(entry));
+
+  const exercises = [];
+  const rejected = [];
+  let attempts = 0;
+  let prompt;
+
+  for (let round = 1; round <= MAX_ROUNDS && exercises.length < count; round++) {
+    const missing = count - exercises.length;
+    const avoid = [...seenQuestions, ...exercises.map(repeatText)];
+    prompt = prompts.render('generate-quiz', {
+      topicType,
+      topics,
+      jlptLevel,
+      count: missing,
+      exerciseTypes: types,
+      seen: avoid.slice(-MAX_SEEN_IN_PROMPT)
+    });
+
+    let data;
+    try {
+      const result = await generateStructured(model, prompt.text, quizExercises(missing), prompt);
+      data = result.data;
+      attempts += result.attempts;
+    } catch (error) {
+      // A failed top-up still returns the exercises generated so far
+      if (exercises.length === 0 || !(error instanceof StructuredOutputError)) throw error;
+      attempts += error.attempts;
+      break;
+    }
+
+    for (const generated of data.exercises) {
+      const problem = checkExercise(generated, types);
+      if (problem) {
+        rejected.push(problem);
+        continue;
+      }
+
+      const exercise = toExercise(generated);
+      const key = normalizeText(repeatText(exercise));
+      if (seenIds.has(exercise.id) || seenKeys.has(key)) {
+        rejected.push('already seen');
+        continue;
+      }
+
+      seenIds.add(exercise.id);
+      seenKeys.add(key);
+      exercises.push(exercise);
+    }
+  }
+
+  if (exercises.length === 0) {
+    throw new StructuredOutputError('Model produced no usable exercises', {
+      errors: rejected.map(message => ({ field: 'exercises', message })),
+      attempts
+    });
+  }
+
+  return {
+    topicType: topicType,
+    topics: topics,
+    jlptLevel: jlptLevel,
+    exerciseTypes: types,
+    count: exercises.length,
+    exercises: exercises,
+    rejected: rejected.length,
+    attempts: attempts,
+    prompt: { name: prompt.name, version: prompt.version }
+  };
+};
+
+jobManager.register('generate-quiz', {
+  route: 'generate-quiz',
+  schema: schemas.generateQuiz,
+  guardFields: ['topics', 'seen'],
+  run: (input, { model }) => generateQuiz(model, input)
+});
+
+module.exports = {
+  DEFAULT_EXERCISE_TYPES,
+  generateQuiz
+};
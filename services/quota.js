@@ -0,0 +1,127 @@
+const { createStore } = require('../stores');
+const { getPlan } = require('../config/plans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counter keys are per UTC day and month, e.g. quota:u1:day:2024-05-01:tokens
+const periodsFor = (date = new Date()) => {
+  const day = date.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+  const nextDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+  const nextMonth = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+
+  return {
+    daily: { id: `day:${day}`, resetsAt: nextDay },
+    monthly: { id: `month:${month}`, resetsAt: nextMonth }
+  };
+};
+
+const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+class QuotaExceededError extends Error {
+  constructor(reason, period, resetsAt) {
+    super(`${period === 'daily' ? 'Daily' : 'Monthly'} quota exceeded`);
+    this.name = 'QuotaExceededError';
+    this.reason = reason;
+    this.period = period;
+    this.resetsAt = resetsAt;
+  }
+}
+
+class QuotaManager {
+  constructor() {
+    this.enabled = process.env.QUOTA_ENABLED !== 'false';
+    this.storeType = process.env.QUOTA_STORE || 'memory';
+    // No LRU limit: evicting a counter would reset a user's quota mid-period.
+    // Counters expire a day after their period instead.
+    this.store = createStore(this.storeType, { namespace: 'kotobaid:' });
+  }
+
+  // Swap the backing store; anything with async get/increment works
+  setStore(store) {
+    this.store = store;
+  }
+
+  key(userId, period, metric) {
+    return `quota:${userId}:${period.id}:${metric}`;
+  }
+
+  // Current usage and remaining allowance of a user under its plan
+  async usage(user, date = new Date()) {
+    const plan = getPlan(user.plan);
+    const periods = periodsFor(date);
+    const usage = { plan: user.plan };
+
+    for (const [name, period] of Object.entries(periods)) {
+      const [requests, tokens] = await Promise.all([
+        this.store.get(this.key(user.id, period, 'requests')),
+        this.store.get(this.key(user.id, period, 'tokens'))
+      ]);
+      usage[name] = {
+        requests: { used: requests || 0, limit: plan[name].requests, remaining: remaining(plan[name].requests, requests || 0) },
+        tokens: { used: tokens || 0, limit: plan[name].tokens, remaining: remaining(plan[name].tokens, tokens || 0) },
+        resetsAt: new Date(period.resetsAt).toISOString()
+      };
+    }
+
+    return usage;
+  }
+
+  // Count the request, then reject it (and take it back out) when that went
+  // over a request limit or a token limit is already used up. Comparing the
+  // incremented counter keeps concurrent requests from all passing a check
+  // made before any of them was counted. Tokens are only known after the
+  // model answered, so a request may overshoot the token limit once; the
+  // next one is rejected.
+  async consume(user, date = new Date()) {
+    const plan = getPlan(user.plan);
+    const requests = await this.add(user, 'requests', 1, date);
+    const usage = await this.usage(user, date);
+
+    for (const period of ['daily', 'monthly']) {
+      const prefix = period.toUpperCase();
+      const limit = plan[period].requests;
+      let reason = null;
+      if (limit !== null && requests[period] > limit) {
+        reason = `${prefix}_REQUEST_LIMIT`;
+      } else if (usage[period].tokens.remaining === 0) {
+        reason = `${prefix}_TOKEN_LIMIT`;
+      }
+      if (reason) {
+        await this.add(user, 'requests', -1, date);
+        throw new QuotaExceededError(reason, period, usage[period].resetsAt);
+      }
+    }
+
+    for (const period of ['daily', 'monthly']) {
+      usage[period].requests.used = requests[period];
+      usage[period].requests.remaining = remaining(plan[period].requests, requests[period]);
+    }
+
+    return usage;
+  }
+
+  async recordTokens(user, tokens, date = new Date()) {
+    if (tokens > 0) {
+      await this.add(user, 'tokens', tokens, date);
+    }
+  }
+
+  // Add to a metric's daily and monthly counters; resolves to their new values
+  async add(user, metric, amount, date) {
+    const now = date.getTime();
+    const periods = Object.entries(periodsFor(date));
+    const values = await Promise.all(periods.map(([, period]) =>
+      // Keep counters a day past the period end so late reads still see them
+      this.store.increment(this.key(user.id, period, metric), amount, period.resetsAt - now + DAY_MS)
+    ));
+    return Object.fromEntries(periods.map(([name], i) => [name, values[i]]));
+  }
+}
+
+// Create singleton instance
+const quotaManager = new QuotaManager();
+
+module.exports = quotaManager;
+module.exports.QuotaManager = QuotaManager;
+module.exports.QuotaExceededError = QuotaExceededError;
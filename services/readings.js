@@ -0,0 +1,265 @@
+const path = require('path');
+const prompts = require('./promptRegistry');
+const { generateStructured, StructuredOutputError } = require('../utils/structuredOutput');
+const { hasKanji, kanjiRuns, isKana, toHiragana, toRomaji } = require('../utils/kana');
+const { wordReadings, textSegmentation } = require('../schemas/responses');
+
+// Readings, furigana and romaji for Japanese text. Text is segmented locally
+// by kuromoji (an optional dependency: `npm install kuromoji`), so common
+// text is annotated offline without model calls. The model is only asked
+// about words kuromoji does not know and the few words whose reading
+// depends on the sentence; without kuromoji it segments the whole text.
+
+// Words with several common readings where kuromoji's single dictionary
+// reading is often wrong (上手 じょうず / うわて / かみて)
+const CONTEXT_DEPENDENT = new Set([
+  '上手', '下手', '大家', '生物', '人気', '市場', '風車', '一行', '最中', '色紙', '寒気', '目下'
+]);
+
+// Upper bound on words sent to the model for one text
+const MAX_MODEL_WORDS = 50;
+
+const PARTS_OF_SPEECH = {
+  '名詞': 'noun',
+  '動詞': 'verb',
+  '形容詞': 'i-adjective',
+  '副詞': 'adverb',
+  '連体詞': 'adnominal',
+  '接続詞': 'conjunction',
+  '助詞': 'particle',
+  '助動詞': 'auxiliary verb',
+  '感動詞': 'interjection',
+  '接頭詞': 'prefix',
+  '記号': 'symbol',
+  'フィラー': 'filler'
+};
+
+// Finer IPADIC categories worth naming on their own
+const POS_DETAILS = {
+  '代名詞': 'pronoun',
+  '固有名詞': 'proper noun',
+  '形容動詞語幹': 'na-adjective',
+  '数': 'number',
+  '接尾': 'suffix'
+};
+
+class AnalyzerUnavailableError extends Error {
+  constructor(message = 'No morphological analyzer is installed and the AI model is unavailable') {
+    super(message);
+    this.name = 'AnalyzerUnavailableError';
+  }
+}
+
+let tokenizer = null;
+let state = 'idle';
+
+// Build the kuromoji tokenizer once (about a second and a few hundred MB for
+// the dictionary). Resolves to null when kuromoji is not installed.
+const loadTokenizer = () => {
+  if (!tokenizer) {
+    state = 'loading';
+    tokenizer = new Promise((resolve, reject) => {
+      const kuromoji = require('kuromoji');
+      const dicPath = process.env.KUROMOJI_DIC_PATH
+        || path.join(path.dirname(require.resolve('kuromoji')), '..', 'dict');
+
+      kuromoji.builder({ dicPath }).build((error, result) => (error ? reject(error) : resolve(result)));
+    })
+      .then((result) => {
+        state = 'ready';
+        console.log('🈁 kuromoji analyzer loaded');
+        return result;
+      })
+      .catch((error) => {
+        state = 'unavailable';
+        console.warn(`⚠️  kuromoji unavailable, readings come from the model: ${error.message}`);
+        return null;
+      });
+  }
+  return tokenizer;
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const ruby = (base, reading) => `<ruby>${escapeHtml(base)}<rt>${escapeHtml(reading)}</rt></ruby>`;
+
+// Ruby markup for one token with the reading spread over its kanji runs, so
+// okurigana stay outside the ruby: 食べる → <ruby>食<rt>た</rt></ruby>べる
+const furiganaFor = (surface, reading) => {
+  if (!reading || !hasKanji(surface)) {
+    return escapeHtml(surface);
+  }
+
+  const runs = kanjiRuns(surface);
+  const pattern = new RegExp(`^${runs.map(run => (hasKanji(run) ? '(.+?)' : `(${escapeRegExp(toHiragana(run))})`)).join('')}$`);
+  const match = reading.match(pattern);
+  if (!match) {
+    return ruby(surface, reading);
+  }
+
+  return runs.map((run, i) => (hasKanji(run) ? ruby(run, match[i + 1]) : escapeHtml(run))).join('');
+};
+
+const kanaOrNull = (value) => {
+  const kana = value && toHiragana(value.trim());
+  return kana && isKana(kana) ? kana : null;
+};
+
+const fromKuromoji = (token) => {
+  const surface = token.surface_form;
+  const known = token.word_type === 'KNOWN' && kanaOrNull(token.reading);
+  const reading = known || (isKana(surface) ? toHiragana(surface) : null);
+  const details = [token.pos_detail_1, token.pos_detail_2, token.pos_detail_3].filter(detail => detail && detail !== '*');
+
+  return {
+    surface,
+    reading,
+    pronunciation: (known && kanaOrNull(token.pronunciation)) ? token.pronunciation : reading,
+    partOfSpeech: POS_DETAILS[details[0]] || PARTS_OF_SPEECH[token.pos] || 'other',
+    posTag: [token.pos, ...details].join('-'),
+    baseForm: token.basic_form && token.basic_form !== '*' ? token.basic_form : surface,
+    source: 'analyzer',
+    uncertain: hasKanji(surface) && (!reading || CONTEXT_DEPENDENT.has(surface))
+  };
+};
+
+// kuromoji splits unknown kanji compounds per character (檸檬 → 檸, 檬)
+const mergeUnknown = (tokens) => tokens.reduce((merged, token) => {
+  const previous = merged[merged.length - 1];
+  if (previous && !previous.reading && !token.reading && hasKanji(previous.surface) && hasKanji(token.surface)) {
+    previous.surface += token.surface;
+    previous.baseForm = previous.surface;
+  } else {
+    merged.push(token);
+  }
+  return merged;
+}, []);
+
+// Ask the model for the readings of uncertain tokens in context. Failures
+// keep the analyzer's reading (if any) and leave the token uncertain.
+const resolveWithModel = async (model, text, tokens) => {
+  const uncertain = tokens.filter(token => token.uncertain).slice(0, MAX_MODEL_WORDS);
+  if (uncertain.length === 0) return { words: 0, resolved: 0 };
+
+  try {
+    const prompt = prompts.render('furigana', { text, words: uncertain.map(token => token.surface) });
+    const { data } = await generateStructured(model, prompt.text, wordReadings(uncertain.length), prompt);
+
+    let resolved = 0;
+    uncertain.forEach((token, i) => {
+      const reading = kanaOrNull(data.readings[i]);
+      if (!reading) return;
+      Object.assign(token, { reading, pronunciation: reading, source: 'model', uncertain: false });
+      resolved++;
+    });
+    return { words: uncertain.length, resolved };
+  } catch (error) {
+    console.warn(`⚠️  Reading fallback failed, keeping analyzer readings: ${error.message}`);
+    return { words: uncertain.length, resolved: 0, error: error.message };
+  }
+};
+
+// Whole-text segmentation by the model when kuromoji is not installed
+const segmentWithModel = async (model, text) => {
+  const prompt = prompts.render('furigana-segment', { text });
+  const { data, raw, attempts } = await generateStructured(model, prompt.text, textSegmentation, prompt);
+
+  const joined = data.tokens.map(token => token.surface).join('');
+  if (joined.replace(/\s+/g, '') !== text.replace(/\s+/g, '')) {
+    throw new StructuredOutputError('Model segmentation does not match the text', {
+      errors: [{ field: 'tokens', message: 'surfaces joined must give the input text' }],
+      raw,
+      attempts
+    });
+  }
+
+  return data.tokens.map((token) => {
+    const reading = kanaOrNull(token.reading) || (isKana(token.surface) ? toHiragana(token.surface) : null);
+    return {
+      surface: token.surface,
+      reading,
+      pronunciation: reading,
+      partOfSpeech: token.partOfSpeech.toLowerCase(),
+      posTag: null,
+      baseForm: token.surface,
+      source: 'model',
+      uncertain: hasKanji(token.surface) && !reading
+    };
+  });
+};
+
+// Auxiliaries, suffixes, conjunctive て/で and punctuation attach to the
+// previous word in the romaji line: 食べました → tabemashita
+const attachesToPrevious = (token) => token.partOfSpeech === 'auxiliary verb'
+  || token.partOfSpeech === 'suffix'
+  || token.partOfSpeech === 'symbol'
+  || /接続助詞/.test(token.posTag || '');
+
+const romajiLine = (tokens) => tokens.reduce((words, token) => {
+  if (!token.surface.trim()) return words;
+  const romaji = token.romaji ?? token.surface;
+  if (words.length > 0 && attachesToPrevious(token)) {
+    words[words.length - 1] += romaji;
+  } else {
+    words.push(romaji);
+  }
+  return words;
+}, []).join(' ');
+
+// POST /furigana: { text, useModel }. Resolves to the route's response fields.
+// `model` may be null when the AI is unavailable; uncertain readings are then
+// returned as the analyzer has them.
+const annotate = async (model, { text, useModel = true }) => {
+  const analyzer = await loadTokenizer();
+  const fallback = useModel && model ? model : null;
+
+  let tokens;
+  let modelFallback = { words: 0, resolved: 0 };
+  if (analyzer) {
+    tokens = mergeUnknown(analyzer.tokenize(text).map(fromKuromoji));
+    if (fallback) {
+      modelFallback = await resolveWithModel(fallback, text, tokens);
+    }
+  } else {
+    if (!fallback) {
+      throw new AnalyzerUnavailableError();
+    }
+    tokens = await segmentWithModel(fallback, text);
+  }
+
+  const annotated = tokens.map(({ pronunciation, ...token }) => ({
+    ...token,
+    romaji: pronunciation || !hasKanji(token.surface) ? toRomaji(pronunciation || token.surface) : null,
+    furigana: furiganaFor(token.surface, token.reading)
+  }));
+
+  return {
+    text: text,
+    furigana: annotated.map(token => token.furigana).join(''),
+    reading: annotated.map(token => token.reading || token.surface).join(''),
+    romaji: romajiLine(annotated),
+    tokens: annotated,
+    analyzer: analyzer ? 'kuromoji' : 'model',
+    modelFallback: modelFallback,
+    uncertain: annotated.filter(token => token.uncertain).length
+  };
+};
+
+const getStatus = () => ({
+  analyzer: 'kuromoji',
+  state: state
+});
+
+module.exports = {
+  AnalyzerUnavailableError,
+  loadTokenizer,
+  furiganaFor,
+  annotate,
+  getStatus
+};
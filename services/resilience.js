@@ -0,0 +1,251 @@
+const { ChatSession } = require('../config/providers/base');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Default deadline per route; override with MODEL_TIMEOUT_<ROUTE>_MS or,
+// for every route, MODEL_TIMEOUT_MS
+const DEFAULT_TIMEOUTS = {
+  'test': 10 * 1000,
+  'translate': 15 * 1000,
+  'chat': 30 * 1000,
+  'explain-kanji': 45 * 1000,
+  'explain-grammar': 45 * 1000,
+  'generate-examples': 30 * 1000,
+  'correct-sentence': 30 * 1000,
+  'generate-quiz': 60 * 1000,
+  'recognize-image': 45 * 1000,
+  'check-pronunciation': 45 * 1000,
+  'analyze-level': 45 * 1000
+};
+
+// Transient failures: HTTP statuses, Google API status names and network
+// error codes (fetch failures carry theirs on `error.cause`)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = [
+  'RESOURCE_EXHAUSTED', 'UNAVAILABLE', 'DEADLINE_EXCEEDED', 'INTERNAL',
+  'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+];
+
+class ModelTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Model call timed out after ${timeoutMs}ms`);
+    this.name = 'ModelTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class CircuitOpenError extends Error {
+  constructor(retryAfterMs) {
+    super('AI model circuit breaker is open');
+    this.name = 'CircuitOpenError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const isRetryable = (error) => {
+  if (error instanceof ModelTimeoutError) return true;
+  return [error, error.cause].filter(Boolean).some(({ code, status }) => [code, status].some(value => (
+    RETRYABLE_STATUSES.includes(Number(value)) || RETRYABLE_CODES.includes(value)
+  )));
+};
+
+// Closed -> (failureThreshold consecutive failures) -> open -> (openDurationMs)
+// -> half-open -> one trial call -> closed on success, open again on failure
+class CircuitBreaker {
+  constructor({ failureThreshold, openDurationMs } = {}) {
+    this.failureThreshold = failureThreshold || parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5;
+    this.openDurationMs = openDurationMs || parseInt(process.env.CIRCUIT_BREAKER_OPEN_MS) || 30 * 1000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  retryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.openedAt + this.openDurationMs - Date.now());
+  }
+
+  // Throws CircuitOpenError if a call may not go through right now
+  acquire() {
+    if (this.state === 'open') {
+      if (this.retryAfterMs() > 0) {
+        throw new CircuitOpenError(this.retryAfterMs());
+      }
+      this.state = 'half-open';
+      this.trialInFlight = false;
+      console.log('🟡 Circuit breaker half-open, allowing a trial call');
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(1000);
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log('🟢 Circuit breaker closed');
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.error(`🔴 Circuit breaker open for ${this.openDurationMs}ms: ${error.message}`);
+    }
+  }
+
+  // Release a half-open trial slot without judging the backend (e.g. a 400)
+  release() {
+    this.trialInFlight = false;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAfterMs: this.retryAfterMs(),
+      lastError: this.lastError
+    };
+  }
+}
+
+const breaker = new CircuitBreaker();
+
+const timeoutFor = (route) => {
+  const envKey = `MODEL_TIMEOUT_${String(route).replace(/-/g, '_').toUpperCase()}_MS`;
+  return parseInt(process.env[envKey])
+    || parseInt(process.env.MODEL_TIMEOUT_MS)
+    || DEFAULT_TIMEOUTS[route]
+    || 30 * 1000;
+};
+
+// Reject with ModelTimeoutError(timeoutMs) unless `promise` settles within `ms`
+const withTimeout = (promise, ms, timeoutMs = ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new ModelTimeoutError(timeoutMs)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Exponential backoff with full jitter
+const backoffMs = (attempt, baseMs, maxMs) => Math.random() * Math.min(maxMs, baseMs * 2 ** attempt);
+
+const configuredRetries = parseInt(process.env.MODEL_MAX_RETRIES);
+
+// Run `fn` under the breaker with retries for transient errors. The deadline
+// covers the whole call: every attempt and backoff delay fits inside it.
+const callModel = async (fn, options = {}) => {
+  const {
+    timeoutMs = timeoutFor(options.route),
+    maxRetries = Number.isNaN(configuredRetries) ? 2 : Math.max(0, configuredRetries),
+    baseDelayMs = parseInt(process.env.MODEL_RETRY_BASE_MS) || 500,
+    maxDelayMs = 8 * 1000,
+    circuitBreaker = breaker
+  } = options;
+
+  const deadline = Date.now() + timeoutMs;
+
+  for (let attempt = 0; ; attempt++) {
+    circuitBreaker.acquire();
+
+    try {
+      const result = await withTimeout(Promise.resolve().then(fn), deadline - Date.now(), timeoutMs);
+      circuitBreaker.recordSuccess();
+      return result;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        circuitBreaker.release();
+        throw error;
+      }
+
+      circuitBreaker.recordFailure(error);
+
+      const delay = backoffMs(attempt, baseDelayMs, maxDelayMs);
+      if (attempt >= maxRetries || Date.now() + delay >= deadline) {
+        throw error;
+      }
+
+      console.warn(`⚠️  Model call failed (${error.message}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Wrap a generative model so every call goes through callModel().
+// `options.onResponse(response, { latencyMs })` is called with each final
+// response (for streams once the aggregated response resolves), e.g. to
+// record token usage. `options.inspect(response)` runs after it and may throw
+// to reject the response (e.g. content moderation); that is never retried.
+const withResilience = (model, options = {}) => {
+  const { onResponse, inspect = () => {} } = options;
+  const report = (response, startedAt) => {
+    if (!onResponse) return;
+    try {
+      onResponse(response, { latencyMs: Date.now() - startedAt });
+    } catch (error) {
+      console.error('❌ onResponse hook failed:', error.message);
+    }
+  };
+
+  const wrapped = {
+    model: model.model,
+    generateContent: (request) => {
+      const startedAt = Date.now();
+      return callModel(async () => {
+        const result = await model.generateContent(request);
+        return { response: await result.response };
+      }, options).then((result) => {
+        report(result.response, startedAt);
+        inspect(result.response);
+        return result;
+      });
+    },
+    // Only opening the stream is retried; mid-stream errors surface to the caller
+    generateContentStream: (request) => {
+      const startedAt = Date.now();
+      return callModel(() => model.generateContentStream(request), options).then((result) => {
+        const response = Promise.resolve(result.response).then((final) => {
+          report(final, startedAt);
+          inspect(final);
+          return final;
+        });
+        response.catch(() => {});
+        return { ...result, response };
+      });
+    },
+    startChat: (chatOptions = {}) => new ChatSession(wrapped, {
+      systemInstruction: model.systemInstruction,
+      ...chatOptions
+    })
+  };
+  return wrapped;
+};
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  ModelTimeoutError,
+  breaker,
+  callModel,
+  withResilience,
+  timeoutFor,
+  withTimeout,
+  isRetryable
+};
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { createStore } = require('../stores');
+const vertexAIConfig = require('../config/vertexai');
+const prompts = require('./promptRegistry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default TTL per route; override with CACHE_TTL_<ROUTE>_MS (e.g. CACHE_TTL_EXPLAIN_KANJI_MS)
+const DEFAULT_TTLS = {
+  'translate': 7 * DAY_MS,
+  'explain-kanji': 30 * DAY_MS,
+  'explain-grammar': 30 * DAY_MS,
+  'generate-examples': DAY_MS,
+  'correct-sentence': 7 * DAY_MS
+};
+
+// Request fields that control delivery, not content
+const CONTROL_FIELDS = ['stream', 'noCache', 'refresh'];
+
+// Canonical form of the input: NFKC strings with collapsed whitespace, sorted keys
+const normalize = (value) => {
+  if (typeof value === 'string') {
+    return value.normalize('NFKC').replace(/\s+/g, ' ').trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .filter(key => !CONTROL_FIELDS.includes(key) && value[key] !== undefined)
+      .sort()
+      .reduce((result, key) => ({ ...result, [key]: normalize(value[key]) }), {});
+  }
+  return value;
+};
+
+class ResponseCache {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.storeType = process.env.CACHE_STORE || 'memory';
+    this.store = createStore(this.storeType, {
+      maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 5000,
+      namespace: 'kotobaid:'
+    });
+    this.stats = { hits: 0, misses: 0, bypasses: 0, writes: 0 };
+  }
+
+  // Swap the backing store; anything with async get/set/delete/keys/clear works
+  setStore(store) {
+    this.store = store;
+  }
+
+  ttlFor(route) {
+    const envKey = `CACHE_TTL_${route.replace(/-/g, '_').toUpperCase()}_MS`;
+    return parseInt(process.env[envKey]) || DEFAULT_TTLS[route] || DAY_MS;
+  }
+
+  // route + normalized input + model name + generation config + prompt versions
+  keyFor(route, input) {
+    const fingerprint = JSON.stringify({
+      input: normalize(input),
+      prompts: prompts.versionsFor(route),
+      provider: vertexAIConfig.providerName,
+      model: vertexAIConfig.model,
+      generationConfig: {
+        maxOutputTokens: vertexAIConfig.maxTokens,
+        temperature: vertexAIConfig.temperature
+      }
+    });
+    const digest = crypto.createHash('sha256').update(fingerprint).digest('hex');
+    return `response-cache:${route}:${digest}`;
+  }
+
+  async get(key) {
+    try {
+      const entry = await this.store.get(key);
+      if (entry) {
+        this.stats.hits++;
+      } else {
+        this.stats.misses++;
+      }
+      return entry;
+    } catch (error) {
+      // A broken cache must never break the route
+      console.error('❌ Cache read failed:', error.message);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  async set(key, body, ttlMs) {
+    try {
+      await this.store.set(key, { body, storedAt: Date.now() }, ttlMs);
+      this.stats.writes++;
+    } catch (error) {
+      console.error('❌ Cache write failed:', error.message);
+    }
+  }
+
+  // Remove every entry, or only those of one route
+  async purge(route) {
+    const prefix = route ? `response-cache:${route}:` : 'response-cache:';
+    const keys = await this.store.keys(prefix);
+    await this.store.clear(prefix);
+    return keys.length;
+  }
+
+  async getStatus() {
+    let entries = null;
+    try {
+      entries = (await this.store.keys('response-cache:')).length;
+    } catch (error) {
+      console.error('❌ Cache status failed:', error.message);
+    }
+
+    return {
+      enabled: this.enabled,
+      store: this.storeType,
+      entries,
+      ttls: Object.fromEntries(Object.keys(DEFAULT_TTLS).map(route => [route, this.ttlFor(route)])),
+      ...this.stats
+    };
+  }
+}
+
+// Create singleton instance
+const responseCache = new ResponseCache();
+
+module.exports = responseCache;
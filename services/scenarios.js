@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const prompts = require('./promptRegistry');
+const { validate } = require('../utils/schema');
+const { generateStructured } = require('../utils/structuredOutput');
+const { BadRequestError } = require('../utils/httpErrors');
+const { JLPT_LEVELS, POLITENESS_LEVELS, roleplayTurn } = require('../schemas/responses');
+
+const SCENARIOS_DIR = process.env.SCENARIOS_DIR || path.join(__dirname, '..', 'scenarios');
+
+// How each politeness level is described to the model
+const POLITENESS_STYLES = {
+  casual: 'casual speech (plain forms, as between friends)',
+  polite: 'polite speech (です/ます forms)',
+  keigo: 'formal honorific speech (尊敬語 for the other person, 謙譲語 for yourself)'
+};
+
+class ScenarioError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScenarioError';
+  }
+}
+
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+
+// Shape of a scenario file
+const scenarioDefinition = {
+  type: 'object',
+  properties: {
+    title: text(100),
+    description: text(500),
+    level: { type: 'string', enum: JLPT_LEVELS },
+    politeness: { type: 'string', enum: POLITENESS_LEVELS },
+    setting: text(500),
+    persona: {
+      type: 'object',
+      properties: { name: text(50), role: text(100), description: text(1000) },
+      required: ['name', 'role', 'description']
+    },
+    learnerRole: text(200),
+    goals: { type: 'array', minItems: 1, maxItems: 10, items: text(200) },
+    vocabulary: {
+      type: 'array',
+      maxItems: 30,
+      items: {
+        type: 'object',
+        properties: { word: text(50), reading: text(50), meaning: text(200) },
+        required: ['word', 'meaning']
+      }
+    },
+    opening: text(500)
+  },
+  required: ['title', 'description', 'level', 'politeness', 'setting', 'persona', 'learnerRole', 'goals', 'opening'],
+  additionalProperties: false
+};
+
+// Role-play scenarios loaded from scenarios/<id>.js
+class ScenarioRegistry {
+  constructor(directory = SCENARIOS_DIR) {
+    this.directory = directory;
+    this.scenarios = new Map();
+    this.load();
+  }
+
+  // Invalid files fail the whole load, so a reload keeps the previous set
+  load() {
+    const scenarios = new Map();
+
+    fs.readdirSync(this.directory)
+      .filter(file => /^[a-z0-9-]+\.js$/.test(file))
+      .forEach((file) => {
+        const fullPath = path.join(this.directory, file);
+        delete require.cache[require.resolve(fullPath)];
+        const scenario = require(fullPath);
+
+        const errors = validate(scenarioDefinition, scenario);
+        if (errors.length > 0) {
+          throw new ScenarioError(`Invalid scenario ${file}: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+        }
+        scenarios.set(path.basename(file, '.js'), { id: path.basename(file, '.js'), vocabulary: [], ...scenario });
+      });
+
+    this.scenarios = scenarios;
+    console.log(`🎭 Loaded ${this.scenarios.size} role-play scenarios from ${this.directory}`);
+  }
+
+  reload() {
+    this.load();
+    return this.list();
+  }
+
+  get(id) {
+    return this.scenarios.get(id) || null;
+  }
+
+  // Scenario named in a request body; unknown IDs are the caller's mistake
+  find(id) {
+    const scenario = this.get(id);
+    if (!scenario) {
+      throw new BadRequestError(`Unknown scenario: ${id}`);
+    }
+    return scenario;
+  }
+
+  list() {
+    return [...this.scenarios.values()].map(scenario => ({
+      id: scenario.id,
+      title: scenario.title,
+      description: scenario.description,
+      level: scenario.level,
+      politeness: scenario.politeness,
+      persona: { name: scenario.persona.name, role: scenario.persona.role },
+      goals: scenario.goals.length
+    }));
+  }
+
+  // What the learner sees before starting: everything but the persona's
+  // character notes
+  toJSON(scenario) {
+    const { persona, ...rest } = scenario;
+    return { ...rest, persona: { name: persona.name, role: persona.role } };
+  }
+
+  // System instruction that puts the model in the scenario
+  render(scenario, { context } = {}) {
+    return prompts.render('roleplay', {
+      setting: scenario.setting,
+      personaName: scenario.persona.name,
+      personaRole: scenario.persona.role,
+      personaDescription: scenario.persona.description,
+      learnerRole: scenario.learnerRole,
+      politeness: POLITENESS_STYLES[scenario.politeness],
+      level: scenario.level,
+      goals: scenario.goals,
+      vocabulary: scenario.vocabulary.map(item => `${item.word}${item.reading ? ` (${item.reading})` : ''}: ${item.meaning}`),
+      opening: scenario.opening,
+      context
+    });
+  }
+
+  // One learner turn. `history` holds earlier { role, parts } turns,
+  // `goalsMet` the goal numbers reached before and `systemInstruction` the
+  // rendered scenario (rendered here when missing). Resolves to the persona's
+  // reply, the hint and correction channels and the goal progress.
+  async turn(model, scenario, { message, history = [], goalsMet = [], systemInstruction, context }) {
+    const { data, attempts } = await generateStructured(model, message, roleplayTurn(scenario.goals.length), {
+      systemInstruction: systemInstruction || this.render(scenario, { context }).text,
+      history
+    });
+
+    const met = [...new Set([...goalsMet, ...data.goalsMet])].sort((a, b) => a - b);
+    return {
+      reply: data.reply,
+      hint: data.hint,
+      correction: data.correction,
+      goalsMet: met,
+      goals: scenario.goals.map((goal, i) => ({ goal, met: met.includes(i + 1) })),
+      completed: met.length === scenario.goals.length,
+      attempts: attempts
+    };
+  }
+}
+
+// Create singleton instance
+const scenarios = new ScenarioRegistry();
+
+module.exports = scenarios;
+module.exports.ScenarioRegistry = ScenarioRegistry;
+module.exports.ScenarioError = ScenarioError;
+module.exports.POLITENESS_STYLES = POLITENESS_STYLES;
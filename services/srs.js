@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const { createStore } = require('../stores');
+const tasks = require('./tasks');
+const moderation = require('./moderation');
+const { describeError } = require('../utils/routeErrors');
+const { hasKanji } = require('../utils/kana');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 starting and lowest ease factor
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Reviews kept on each card
+const MAX_HISTORY = 20;
+
+const KANJI_PATTERN = /\p{Script=Han}/gu;
+
+// What `enrich: true` adds per card type
+const DEFAULT_ENRICHMENT = {
+  word: ['examples', 'kanji'],
+  kanji: ['kanji', 'examples'],
+  grammar: ['examples']
+};
+
+class DuplicateCardError extends Error {
+  constructor(card) {
+    super(`The deck already has a ${card.type} card for ${card.term}`);
+    this.name = 'DuplicateCardError';
+    this.card = card;
+  }
+}
+
+class DeckFullError extends Error {
+  constructor(maxCards) {
+    super(`A deck holds at most ${maxCards} cards`);
+    this.name = 'DeckFullError';
+    this.maxCards = maxCards;
+  }
+}
+
+// SM-2 (SuperMemo 2): grade is the recall quality from 0 (blackout) to 5
+// (perfect). Grades below 3 restart the card at a one-day interval; the
+// ease factor changes with every grade and never drops below 1.3.
+const schedule = (state, grade, now = new Date()) => {
+  const passed = grade >= 3;
+  const repetitions = passed ? state.repetitions + 1 : 0;
+  const intervalDays = !passed || state.repetitions === 0
+    ? 1
+    : state.repetitions === 1 ? 6 : Math.round(state.intervalDays * state.easeFactor);
+  const easeFactor = Math.max(MIN_EASE, state.easeFactor + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+
+  return {
+    repetitions,
+    intervalDays,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    lapses: state.lapses + (!passed && state.repetitions > 0 ? 1 : 0),
+    dueAt: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+    lastReviewedAt: now.toISOString()
+  };
+};
+
+// Learner decks of word, kanji and grammar cards scheduled with SM-2. Cards
+// belong to the caller (req.user) and are kept in SRS_STORE, SQLite by
+// default so decks survive restarts.
+class SrsDeck {
+  constructor() {
+    this.maxCards = parseInt(process.env.SRS_MAX_CARDS) || 5000;
+    this.storeType = process.env.SRS_STORE || 'sqlite';
+    if (this.storeType === 'sqlite') {
+      try {
+        require.resolve('better-sqlite3');
+      } catch (error) {
+        throw new Error('SRS_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3, or set SRS_STORE=memory)');
+      }
+    }
+    this.store = createStore(this.storeType, {
+      filename: process.env.SRS_DB_PATH,
+      table: 'srs_cards',
+      sweepIntervalMs: 0,
+      namespace: 'kotobaid:'
+    });
+  }
+
+  // Swap the backing store; anything with async get/set/delete/keys works
+  setStore(store) {
+    this.store = store;
+  }
+
+  prefix(user) {
+    return `srs:${encodeURIComponent(user.id)}:`;
+  }
+
+  key(user, cardId) {
+    return `${this.prefix(user)}${cardId}`;
+  }
+
+  // Stable ID from type and term, so adding the same card twice is detected
+  cardId({ type, term }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([type, term.normalize('NFKC').trim()]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  async get(user, cardId) {
+    return this.store.get(this.key(user, cardId));
+  }
+
+  async save(user, card) {
+    await this.store.set(this.key(user, card.id), card, 0);
+  }
+
+  async delete(user, cardId) {
+    return this.store.delete(this.key(user, cardId));
+  }
+
+  async list(user) {
+    const keys = await this.store.keys(this.prefix(user));
+    const cards = await Promise.all(keys.map(key => this.store.get(key)));
+    return cards.filter(Boolean);
+  }
+
+  // New cards are due right away
+  async add(user, { type, term, reading, meaning, notes, tags }) {
+    const id = this.cardId({ type, term });
+    const existing = await this.get(user, id);
+    if (existing) {
+      throw new DuplicateCardError(existing);
+    }
+
+    const keys = await this.store.keys(this.prefix(user));
+    if (keys.length >= this.maxCards) {
+      throw new DeckFullError(this.maxCards);
+    }
+
+    const now = new Date().toISOString();
+    const card = {
+      id,
+      type,
+      term: term.trim(),
+      reading: reading || null,
+      meaning: meaning || null,
+      notes: notes || null,
+      tags: tags || [],
+      enrichment: {},
+      srs: {
+        repetitions: 0,
+        intervalDays: 0,
+        easeFactor: INITIAL_EASE,
+        lapses: 0,
+        dueAt: now,
+        lastReviewedAt: null
+      },
+      reviewCount: 0,
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.save(user, card);
+    return card;
+  }
+
+  // Add example sentences and/or a kanji breakdown from the existing
+  // generation tasks. A failed or blocked enrichment leaves the card as it is
+  // and is reported per kind.
+  async enrich(user, model, card, kinds) {
+    const results = {};
+
+    for (const kind of kinds) {
+      if (!model) {
+        results[kind] = { success: false, error: 'AI service unavailable' };
+        continue;
+      }
+
+      try {
+        if (kind === 'examples') {
+          const { examples } = await tasks.generateExamples(model, {
+            word: card.term,
+            reading: card.reading,
+            meaning: card.meaning,
+            count: 3
+          });
+          moderation.check(examples, { route: 'srs', stage: 'output', userId: user.id });
+          card.enrichment.examples = examples;
+        } else {
+          const kanji = [...new Set(card.term.match(KANJI_PATTERN) || [])].slice(0, tasks.MAX_KANJI_CHARACTERS).join('');
+          if (!kanji) {
+            results[kind] = { success: false, error: 'The term has no kanji' };
+            continue;
+          }
+          const { breakdown } = await tasks.explainKanji(model, { kanji, structured: true });
+          moderation.check(breakdown, { route: 'srs', stage: 'output', userId: user.id });
+          card.enrichment.kanji = breakdown;
+        }
+        results[kind] = { success: true };
+      } catch (error) {
+        const { status, body } = describeError(error, `Enrichment with ${kind} failed`);
+        results[kind] = { ...body, status };
+      }
+    }
+
+    card.updatedAt = new Date().toISOString();
+    await this.save(user, card);
+    return results;
+  }
+
+  // Kinds of enrichment to run for `enrich` in the request body
+  enrichmentKinds(card, enrich) {
+    if (!enrich) return [];
+    const kinds = enrich === true ? DEFAULT_ENRICHMENT[card.type] : [...new Set(enrich)];
+    return kinds.filter(kind => kind !== 'kanji' || card.type === 'kanji' || hasKanji(card.term));
+  }
+
+  async review(user, card, grade, now = new Date()) {
+    card.srs = schedule(card.srs, grade, now);
+    card.reviewCount += 1;
+    card.history = [
+      ...card.history,
+      { grade, reviewedAt: now.toISOString(), intervalDays: card.srs.intervalDays }
+    ].slice(-MAX_HISTORY);
+    card.updatedAt = now.toISOString();
+
+    await this.save(user, card);
+    return card;
+  }
+
+  // Cards due for review, most overdue first, then new cards in the order
+  // they were added
+  async due(user, { limit = 20, type, now = new Date() } = {}) {
+    const cards = (await this.list(user)).filter(card => !type || card.type === type);
+    const time = now.toISOString();
+
+    const reviews = cards
+      .filter(card => card.srs.lastReviewedAt && card.srs.dueAt <= time)
+      .sort((a, b) => a.srs.dueAt.localeCompare(b.srs.dueAt));
+    const fresh = cards
+      .filter(card => !card.srs.lastReviewedAt)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const upcoming = cards
+      .filter(card => card.srs.dueAt > time)
+      .map(card => card.srs.dueAt)
+      .sort();
+
+    return {
+      cards: [...reviews, ...fresh].slice(0, limit),
+      counts: { due: reviews.length, new: fresh.length, total: cards.length },
+      nextDueAt: upcoming[0] || null
+    };
+  }
+
+  getStatus() {
+    return {
+      store: this.storeType,
+      maxCards: this.maxCards
+    };
+  }
+}
+
+// Create singleton instance
+const srsDeck = new SrsDeck();
+
+module.exports = srsDeck;
+module.exports.SrsDeck = SrsDeck;
+module.exports.DuplicateCardError = DuplicateCardError;
+module.exports.DeckFullError = DeckFullError;
+module.exports.schedule = schedule;
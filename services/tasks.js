@@ -0,0 +1,247 @@
+const prompts = require('./promptRegistry');
+const jobManager = require('./jobs');
+const dictionary = require('./dictionary');
+const scenarios = require('./scenarios');
+const translation = require('./translation');
+const { checkTranslationOutput } = require('./promptGuard');
+const { generateStructured } = require('../utils/structuredOutput');
+const { BadRequestError } = require('../utils/httpErrors');
+const { exampleSentences, kanjiBreakdown, sentenceCorrection } = require('../schemas/responses');
+const schemas = require('../schemas/requests');
+
+// Generation tasks shared by the routes, batch endpoints and jobs. Each takes
+// a model and the validated request body and resolves to the route's
+// response fields (without success, usage and timestamp).
+
+const MAX_KANJI_CHARACTERS = 5;
+
+// Distinct characters of multi-kanji input, each explained separately
+const kanjiCharacters = (kanji) => {
+  const characters = [...new Set(kanji)];
+  if (characters.length > MAX_KANJI_CHARACTERS) {
+    throw new BadRequestError(`At most ${MAX_KANJI_CHARACTERS} different kanji can be explained at once`);
+  }
+  return characters;
+};
+
+// Dictionary facts a response was grounded in, reported as `dictionary`
+const grounding = (facts, entries) => (facts ? { source: facts.source, entries } : null);
+
+// Prose routes: the model request plus a builder for the response fields.
+// Routes stream them or answer inline; jobs go through generateText().
+const textRequests = {
+  'explain-kanji': ({ kanji, context }) => {
+    const characters = kanjiCharacters(kanji);
+    const facts = dictionary.kanjiFacts(characters);
+    const { request, prompt } = prompts.request('explain-kanji', {
+      kanji,
+      characters,
+      multiple: characters.length > 1,
+      context,
+      dictionary: facts?.text
+    });
+    return {
+      request,
+      build: (explanation) => ({ kanji, explanation, dictionary: grounding(facts, facts?.entries), prompt })
+    };
+  },
+
+  'explain-grammar': ({ grammar, examples, context }) => {
+    const { request, prompt } = prompts.request('explain-grammar', { grammar, examples, context });
+    return {
+      request,
+      build: (explanation) => ({ grammar, explanation, examples: examples || [], prompt })
+    };
+  },
+
+  'chat': ({ message, context }) => {
+    const { request, prompt } = prompts.request('chat', { message, context });
+    return {
+      request,
+      build: (aiResponse) => ({ userMessage: message, aiResponse, prompt })
+    };
+  }
+};
+
+const generateText = async (model, { request, build }) => {
+  const result = await model.generateContent(request);
+  const response = await result.response;
+  return build(response.text().trim());
+};
+
+// Plain text translation unless one of the detail options is sent
+const translate = async (model, input) => {
+  if (translation.wantsDetails(input)) {
+    return translation.translateDetailed(model, input);
+  }
+
+  const { text } = input;
+  const { targetLanguage } = translation.resolveLanguages(input);
+  const { request, prompt } = prompts.request('translate', { text, targetLanguage });
+
+  const result = await model.generateContent(request);
+  const response = await result.response;
+  const output = response.text().trim();
+
+  checkTranslationOutput(text, output, targetLanguage);
+
+  return {
+    originalText: text,
+    translation: output,
+    targetLanguage: targetLanguage,
+    prompt: prompt
+  };
+};
+
+// Readings and stroke counts of kanji known to KANJIDIC2 replace the
+// model's, which are the fields it most often gets wrong
+const explainKanjiStructured = async (model, { kanji, context }) => {
+  const characters = kanjiCharacters(kanji);
+  const facts = characters.map(character => dictionary.kanjiFacts([character]));
+  const rendered = characters.map((character, i) => prompts.render('explain-kanji-structured', {
+    kanji: character,
+    context,
+    dictionary: facts[i]?.text
+  }));
+  const breakdown = await Promise.all(rendered.map(async (prompt, i) => {
+    const { data } = await generateStructured(model, prompt.text, kanjiBreakdown, prompt);
+    const entry = facts[i]?.entries[0];
+    if (!entry) return { kanji: characters[i], ...data, grounded: false };
+    return {
+      kanji: characters[i],
+      ...data,
+      onyomi: entry.onyomi,
+      kunyomi: entry.kunyomi,
+      strokeCount: entry.strokeCount ?? data.strokeCount,
+      grounded: true
+    };
+  }));
+  const found = facts.filter(Boolean);
+
+  return {
+    kanji: kanji,
+    structured: true,
+    breakdown: breakdown,
+    dictionary: grounding(found[0], found.flatMap(fact => fact.entries)),
+    prompt: { name: rendered[0].name, version: rendered[0].version }
+  };
+};
+
+const explainKanji = (model, input) => (input.structured
+  ? explainKanjiStructured(model, input)
+  : generateText(model, textRequests['explain-kanji'](input)));
+
+const explainGrammar = (model, input) => generateText(model, textRequests['explain-grammar'](input));
+
+// One in-character turn of a role-play scenario (not streamed)
+const roleplayChat = async (model, { message, context, scenario: id }) => {
+  const scenario = scenarios.find(id);
+  const prompt = scenarios.render(scenario, { context });
+  const { reply, goalsMet, ...turn } = await scenarios.turn(model, scenario, { message, systemInstruction: prompt.text });
+
+  return {
+    userMessage: message,
+    aiResponse: reply,
+    scenario: id,
+    ...turn,
+    prompt: { name: prompt.name, version: prompt.version }
+  };
+};
+
+const chat = (model, input) => (input.scenario
+  ? roleplayChat(model, input)
+  : generateText(model, textRequests['chat'](input)));
+
+const generateExamples = async (model, { word, reading, meaning, jlptLevel, count = 3, furigana = false }) => {
+  const facts = dictionary.wordFacts(word, reading);
+  const prompt = prompts.render('generate-examples', { word, reading, meaning, count, jlptLevel, furigana, dictionary: facts?.text });
+
+  const { data: examples, attempts } = await generateStructured(
+    model,
+    prompt.text,
+    exampleSentences({ count, furigana: Boolean(furigana) }),
+    prompt
+  );
+
+  return {
+    word: word,
+    examples: examples,
+    count: examples.length,
+    jlptLevel: jlptLevel || null,
+    dictionary: grounding(facts, facts && [facts.entry]),
+    attempts: attempts,
+    prompt: { name: prompt.name, version: prompt.version }
+  };
+};
+
+// Offsets (JavaScript string indices, end exclusive) of each error's quoted
+// text in the learner's sentence. Models count characters unreliably, so
+// they quote and the server searches; quotes are matched left to right so
+// repeated text maps to successive occurrences. Unmatched quotes get null.
+const locateErrors = (sentence, errors) => {
+  let from = 0;
+  return errors
+    .map((error) => {
+      let start = sentence.indexOf(error.original, from);
+      if (start === -1) start = sentence.indexOf(error.original);
+      if (start === -1) return { ...error, start: null, end: null };
+
+      from = start + error.original.length;
+      return { ...error, start, end: from };
+    })
+    .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+};
+
+const correctSentence = async (model, { sentence, intendedMeaning, jlptLevel }) => {
+  const prompt = prompts.render('correct-sentence', { sentence, intendedMeaning, jlptLevel });
+  const { data, attempts } = await generateStructured(model, prompt.text, sentenceCorrection, prompt);
+  const errors = locateErrors(sentence, data.errors);
+
+  return {
+    sentence: sentence,
+    correctedSentence: data.correctedSentence,
+    isCorrect: errors.length === 0,
+    errors: errors,
+    feedback: data.feedback,
+    intendedMeaning: intendedMeaning || null,
+    attempts: attempts,
+    prompt: { name: prompt.name, version: prompt.version }
+  };
+};
+
+// Every single-item route can also run as a job of the same name
+const registry = {
+  'translate': { run: translate, schema: schemas.translate, guardFields: ['text', 'targetLanguage', 'glossary'] },
+  'explain-kanji': { run: explainKanji, schema: schemas.explainKanji, guardFields: ['kanji', 'context'] },
+  'explain-grammar': { run: explainGrammar, schema: schemas.explainGrammar, guardFields: ['grammar', 'examples', 'context'] },
+  'chat': {
+    run: chat,
+    schema: schemas.chat,
+    guardFields: ['message', 'context'],
+    check: input => input.scenario && scenarios.find(input.scenario)
+  },
+  'generate-examples': { run: generateExamples, schema: schemas.generateExamples, guardFields: ['word', 'reading', 'meaning'] },
+  'correct-sentence': { run: correctSentence, schema: schemas.correctSentence, guardFields: ['sentence', 'intendedMeaning'] }
+};
+
+Object.entries(registry).forEach(([route, task]) => {
+  jobManager.register(route, {
+    route,
+    schema: task.schema,
+    guardFields: task.guardFields,
+    check: task.check,
+    run: (input, { model }) => task.run(model, input)
+  });
+});
+
+module.exports = {
+  MAX_KANJI_CHARACTERS,
+  textRequests,
+  generateText,
+  translate,
+  explainKanji,
+  explainGrammar,
+  chat,
+  generateExamples,
+  correctSentence
+};
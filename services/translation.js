@@ -0,0 +1,163 @@
+const prompts = require('./promptRegistry');
+const { checkTranslationOutput } = require('./promptGuard');
+const { generateStructured } = require('../utils/structuredOutput');
+const { translationDetails } = require('../schemas/responses');
+const { BadRequestError } = require('../utils/httpErrors');
+
+// How each register is described to the model, per target language
+const REGISTERS = {
+  Japanese: {
+    casual: 'casual Japanese (plain forms, as between friends)',
+    polite: 'polite Japanese (です/ます forms)',
+    keigo: 'keigo (尊敬語 and 謙譲語, as to a customer or a superior)'
+  },
+  Indonesian: {
+    casual: 'informal everyday Indonesian (aku/kamu, as between friends)',
+    polite: 'standard polite Indonesian (saya/Anda)',
+    keigo: 'very formal Indonesian, as in official letters and speeches'
+  },
+  English: {
+    casual: 'casual English',
+    polite: 'neutral, polite English',
+    keigo: 'formal English'
+  }
+};
+
+// Options that switch /translate to the detailed (JSON) translation
+const DETAIL_OPTIONS = ['sourceLanguage', 'register', 'alternatives', 'alignment', 'glossary'];
+
+const JAPANESE_PATTERN = /[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/gu;
+const LATIN_PATTERN = /\p{Script=Latin}/gu;
+
+// Frequent function words that tell Indonesian and English apart
+const INDONESIAN_WORDS = new Set([
+  'yang', 'dan', 'di', 'ke', 'dari', 'ini', 'itu', 'tidak', 'bukan', 'saya', 'aku', 'kamu', 'anda', 'dia', 'kita',
+  'kami', 'mereka', 'adalah', 'akan', 'sudah', 'belum', 'sedang', 'dengan', 'untuk', 'pada', 'apa', 'bisa', 'ada',
+  'mau', 'ingin', 'juga', 'karena', 'tetapi', 'tapi', 'sangat', 'terima', 'kasih', 'selamat', 'tolong', 'bagaimana'
+]);
+const ENGLISH_WORDS = new Set([
+  'the', 'and', 'is', 'are', 'was', 'were', 'to', 'of', 'in', 'on', 'it', 'you', 'i', 'he', 'she', 'we', 'they',
+  'this', 'that', 'not', 'have', 'has', 'with', 'for', 'what', 'can', 'will', 'do', 'does', 'my', 'your', 'please',
+  'thank', 'thanks', 'hello', 'how', 'be', 'a', 'an'
+]);
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// Guess the language of a text from its script and, for Latin text, its
+// function words. Null when there is nothing to go on.
+const detectLanguage = (text) => {
+  const japanese = countMatches(text, JAPANESE_PATTERN);
+  const latin = countMatches(text, LATIN_PATTERN);
+  if (japanese + latin === 0) return null;
+  if (japanese / (japanese + latin) >= 0.5) return 'Japanese';
+
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  const indonesian = words.filter(word => INDONESIAN_WORDS.has(word)).length;
+  const english = words.filter(word => ENGLISH_WORDS.has(word)).length;
+  if (indonesian > english) return 'Indonesian';
+  if (english > indonesian) return 'English';
+  return null;
+};
+
+// Source and target of a request. The target defaults to Indonesian; with
+// targetLanguage 'auto' (or an explicit sourceLanguage and no target),
+// Indonesian text goes to Japanese and Japanese and English text to Indonesian.
+const resolveLanguages = ({ text, sourceLanguage = 'auto', targetLanguage }) => {
+  const detected = sourceLanguage === 'auto';
+  const source = detected ? detectLanguage(text) : sourceLanguage;
+  const pick = targetLanguage === 'auto' || (!targetLanguage && !detected);
+  const target = pick ? (source === 'Indonesian' ? 'Japanese' : 'Indonesian') : targetLanguage || 'Indonesian';
+  return { sourceLanguage: source, sourceDetected: detected, targetLanguage: target };
+};
+
+// Input a translation is cached under: the target is resolved, so an omitted
+// target, `auto` and the language they stand for share one entry on both
+// /translate and /translate/batch
+const cacheInput = (input) => ({ ...input, targetLanguage: resolveLanguages(input).targetLanguage });
+
+const wantsDetails = (input) => DETAIL_OPTIONS.some(option => input[option] !== undefined);
+
+const normalizeTerm = (text) => text.normalize('NFKC').toLowerCase();
+
+// Whether each glossary term occurs in the source and its required
+// translation in the result
+const checkGlossary = (text, translation, glossary) => glossary.map(({ term, translation: required }) => {
+  const found = normalizeTerm(text).includes(normalizeTerm(term));
+  return {
+    term,
+    translation: required,
+    found,
+    applied: found && normalizeTerm(translation).includes(normalizeTerm(required))
+  };
+});
+
+// Alignment pairs whose words really occur in the source and the
+// translation; the model's invented or reworded pairs are dropped
+const checkAlignment = (text, translation, pairs) => pairs.filter(pair => (
+  normalizeTerm(text).includes(normalizeTerm(pair.source))
+  && normalizeTerm(translation).includes(normalizeTerm(pair.target))
+));
+
+// POST /translate with any of the detail options: register, alternatives
+// with nuance notes, word alignment and a glossary of forced terms
+const translateDetailed = async (model, input) => {
+  const { text, register, alternatives = 0, alignment = false, glossary = [] } = input;
+  const { sourceLanguage, sourceDetected, targetLanguage } = resolveLanguages(input);
+
+  if (!sourceDetected && sourceLanguage === targetLanguage && !register) {
+    throw new BadRequestError('sourceLanguage and targetLanguage are the same; add a register to rewrite the text in another register');
+  }
+
+  const prompt = prompts.render('translate-detailed', {
+    text,
+    sourceLanguage,
+    targetLanguage,
+    register: register && REGISTERS[targetLanguage][register],
+    alternatives,
+    alignment,
+    glossary: glossary.map(entry => `${entry.term} → ${entry.translation}`)
+  });
+  const { data, attempts } = await generateStructured(
+    model,
+    prompt.text,
+    translationDetails({ alternatives, alignment }),
+    prompt
+  );
+
+  const translation = data.translation.trim();
+  checkTranslationOutput(text, translation, targetLanguage);
+
+  // Alternatives that fail the same check are dropped rather than failing the request
+  const usable = (data.alternatives || []).filter((alternative) => {
+    try {
+      checkTranslationOutput(text, alternative.translation, targetLanguage);
+      return alternative.translation.trim() !== translation;
+    } catch (error) {
+      return false;
+    }
+  });
+
+  return {
+    originalText: text,
+    translation: translation,
+    targetLanguage: targetLanguage,
+    sourceLanguage: sourceLanguage,
+    sourceDetected: sourceDetected,
+    register: register || null,
+    alternatives: usable.map(alternative => ({ translation: alternative.translation.trim(), nuance: alternative.nuance })),
+    alignment: alignment ? checkAlignment(text, translation, data.alignment) : null,
+    glossary: glossary.length > 0 ? checkGlossary(text, translation, glossary) : null,
+    attempts: attempts,
+    prompt: { name: prompt.name, version: prompt.version }
+  };
+};
+
+module.exports = {
+  REGISTERS,
+  DETAIL_OPTIONS,
+  detectLanguage,
+  resolveLanguages,
+  cacheInput,
+  wantsDetails,
+  translateDetailed
+};
@@ -0,0 +1,164 @@
+const { createStore } = require('../stores');
+const { estimateCost } = require('../config/pricing');
+const { BadRequestError } = require('../utils/httpErrors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 92;
+
+// Summed per UTC day and dimension: usage:<day>:<dimension>:<value>:<metric>
+const METRICS = ['requests', 'cacheHits', 'calls', 'promptTokens', 'outputTokens', 'totalTokens', 'latencyMs', 'costNanoUsd'];
+const GROUPS = { route: 'byRoute', user: 'byUser', model: 'byModel' };
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const emptyTotals = () => METRICS.reduce((totals, metric) => ({ ...totals, [metric]: 0 }), {});
+
+// Per-request accumulator, kept on req.modelUsage
+const createUsage = ({ route, model, provider } = {}) => ({
+  route,
+  model,
+  provider,
+  calls: 0,
+  promptTokenCount: 0,
+  candidatesTokenCount: 0,
+  totalTokenCount: 0,
+  latencyMs: 0,
+  cost: 0,
+  cached: false
+});
+
+// Add one model response (from withResilience's onResponse hook)
+const addCall = (usage, response, { latencyMs = 0 } = {}) => {
+  const metadata = response?.usageMetadata || {};
+  const promptTokens = metadata.promptTokenCount || 0;
+  const outputTokens = metadata.candidatesTokenCount || 0;
+
+  usage.calls++;
+  usage.promptTokenCount += promptTokens;
+  usage.candidatesTokenCount += outputTokens;
+  usage.totalTokenCount += metadata.totalTokenCount || promptTokens + outputTokens;
+  usage.latencyMs += latencyMs;
+  usage.cost += estimateCost(usage.model, promptTokens, outputTokens, usage.provider);
+  return usage;
+};
+
+// The `usage` object returned to clients
+const summarize = (usage) => ({
+  model: usage.model,
+  provider: usage.provider,
+  calls: usage.calls,
+  promptTokens: usage.promptTokenCount,
+  outputTokens: usage.candidatesTokenCount,
+  totalTokens: usage.totalTokenCount,
+  latencyMs: usage.latencyMs,
+  estimatedCostUsd: Number(usage.cost.toFixed(8)),
+  cached: usage.cached
+});
+
+const withDerived = (totals) => ({
+  ...totals,
+  costUsd: Number((totals.costNanoUsd / 1e9).toFixed(6)),
+  averageLatencyMs: totals.calls > 0 ? Math.round(totals.latencyMs / totals.calls) : 0
+});
+
+class UsageTracker {
+  constructor() {
+    this.enabled = process.env.USAGE_TRACKING_ENABLED !== 'false';
+    this.retentionDays = parseInt(process.env.USAGE_RETENTION_DAYS) || 90;
+    this.storeType = process.env.USAGE_STORE || 'memory';
+    this.store = createStore(this.storeType, {
+      maxEntries: parseInt(process.env.USAGE_MAX_ENTRIES) || 200000,
+      namespace: 'kotobaid:'
+    });
+  }
+
+  // Swap the backing store; anything with async get/increment/keys works
+  setStore(store) {
+    this.store = store;
+  }
+
+  // Add a finished request to the daily aggregates
+  async record(usage, { userId = 'anonymous', date = new Date() } = {}) {
+    if (!this.enabled) return;
+
+    const values = {
+      requests: 1,
+      cacheHits: usage.cached ? 1 : 0,
+      calls: usage.calls,
+      promptTokens: usage.promptTokenCount,
+      outputTokens: usage.candidatesTokenCount,
+      totalTokens: usage.totalTokenCount,
+      latencyMs: usage.latencyMs,
+      costNanoUsd: Math.round(usage.cost * 1e9)
+    };
+    const buckets = [
+      ['total', 'all'],
+      ['route', usage.route],
+      ['user', userId],
+      ['model', usage.model]
+    ];
+    const day = dayOf(date);
+    const ttlMs = this.retentionDays * DAY_MS;
+
+    await Promise.all(buckets.flatMap(([dimension, value]) => METRICS
+      .filter(metric => values[metric] > 0)
+      .map(metric => this.store.increment(`usage:${day}:${dimension}:${value}:${metric}`, values[metric], ttlMs))
+    ));
+  }
+
+  // Totals between two UTC days (inclusive), by day, route, user and model
+  async aggregate({ from, to } = {}) {
+    const end = to ? new Date(`${to}T00:00:00Z`) : new Date();
+    const start = from ? new Date(`${from}T00:00:00Z`) : new Date(end.getTime() - 6 * DAY_MS);
+
+    if (isNaN(start) || isNaN(end) || start > end) {
+      throw new BadRequestError('from/to must be YYYY-MM-DD dates with from <= to');
+    }
+    if ((end - start) / DAY_MS >= MAX_RANGE_DAYS) {
+      throw new BadRequestError(`Range is limited to ${MAX_RANGE_DAYS} days`);
+    }
+
+    const result = { from: dayOf(start), to: dayOf(end), totals: emptyTotals(), byDay: {}, byRoute: {}, byUser: {}, byModel: {} };
+
+    for (let time = start.getTime(); time <= end.getTime(); time += DAY_MS) {
+      const day = dayOf(new Date(time));
+      const keys = await this.store.keys(`usage:${day}:`);
+      const values = await Promise.all(keys.map(key => this.store.get(key)));
+
+      keys.forEach((key, i) => {
+        const parts = key.split(':');
+        const dimension = parts[2];
+        const value = parts.slice(3, -1).join(':');
+        const metric = parts[parts.length - 1];
+        const amount = values[i] || 0;
+
+        if (dimension === 'total') {
+          result.byDay[day] = result.byDay[day] || emptyTotals();
+          result.totals[metric] += amount;
+          result.byDay[day][metric] += amount;
+        } else if (GROUPS[dimension]) {
+          const group = result[GROUPS[dimension]];
+          group[value] = group[value] || emptyTotals();
+          group[value][metric] += amount;
+        }
+      });
+    }
+
+    result.totals = withDerived(result.totals);
+    ['byDay', ...Object.values(GROUPS)].forEach((group) => {
+      Object.keys(result[group]).forEach((key) => {
+        result[group][key] = withDerived(result[group][key]);
+      });
+    });
+    return result;
+  }
+}
+
+// Create singleton instance
+const usageTracker = new UsageTracker();
+
+module.exports = usageTracker;
+module.exports.UsageTracker = UsageTracker;
+module.exports.createUsage = createUsage;
+module.exports.addCall = addCall;
+module.exports.summarize = summarize;
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Addresses webhooks may not reach: private, loopback, link-local, CGNAT,
+// multicast and other reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// The IPv4 address inside an IPv4-mapped IPv6 address (::ffff:a.b.c.d or ::ffff:xxxx:xxxx)
+const mappedIpv4 = (address) => {
+  const match = address.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i);
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const [high, low] = [parseInt(match[2], 16), parseInt(match[3], 16)];
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+const isBlockedAddress = (address) => {
+  const ipv4 = net.isIPv4(address) ? address : mappedIpv4(address);
+  return ipv4 ? BLOCKED_ADDRESSES.check(ipv4, 'ipv4') : BLOCKED_ADDRESSES.check(address, 'ipv6');
+};
+
+// JOB_WEBHOOK_ALLOW_PRIVATE=true lets webhooks reach local services, e.g.
+// a receiver on localhost during development
+const allowPrivate = () => process.env.JOB_WEBHOOK_ALLOW_PRIVATE === 'true';
+
+class WebhookTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookTargetError';
+  }
+}
+
+// Resolve a webhook URL's host to the address to connect to. Rejects with
+// WebhookTargetError when any of its addresses is not public.
+const resolveTarget = async (url) => {
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  if (!allowPrivate() && addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new WebhookTargetError('must point to a public host');
+  }
+  return addresses[0];
+};
+
+// Reason a webhook URL is not accepted, or null. Production only calls https
+// endpoints; hosts must resolve to public addresses so jobs cannot be used
+// to reach internal services.
+const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'must be an absolute URL';
+  }
+
+  const production = process.env.NODE_ENV === 'production';
+  if (url.protocol !== 'https:' && (production || url.protocol !== 'http:')) {
+    return production ? 'must use https' : 'must use http or https';
+  }
+
+  try {
+    await resolveTarget(url);
+  } catch (error) {
+    return error instanceof WebhookTargetError ? error.message : 'host could not be resolved';
+  }
+  return null;
+};
+
+// POST `body` to the already checked `target` address, so DNS cannot hand
+// out another one between the check and the connection. Redirects are not
+// followed; resolves to the response status.
+const post = (url, target, { headers, body, timeoutMs }) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const req = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    agent: false,
+    lookup: (hostname, options, callback) => (options.all
+      ? callback(null, [target])
+      : callback(null, target.address, target.family))
+  }, (res) => {
+    res.resume();
+    resolve(res.statusCode);
+  });
+  req.setTimeout(timeoutMs, () => req.destroy(new Error(`Webhook timed out after ${timeoutMs}ms`)));
+  req.on('error', reject);
+  req.end(body);
+});
+
+// HMAC of the raw body with JOB_WEBHOOK_SECRET, sent as X-KotobaID-Signature
+const sign = (body, secret = process.env.JOB_WEBHOOK_SECRET) => (
+  secret ? `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}` : null
+);
+
+// POST a JSON event, retrying network errors, 429 and 5xx with backoff.
+// Redirects (3xx) count as a failed delivery.
+// Resolves to the number of attempts; rejects with `error.attempts` set.
+const deliverWebhook = async (url, payload, {
+  maxAttempts = parseInt(process.env.JOB_WEBHOOK_MAX_ATTEMPTS) || 3,
+  timeoutMs = parseInt(process.env.JOB_WEBHOOK_TIMEOUT_MS) || 10 * 1000
+} = {}) => {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'KotobaID-Webhooks/1.0' };
+  const signature = sign(body);
+  if (signature) headers['X-KotobaID-Signature'] = signature;
+
+  const target = new URL(url);
+  let lastError;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      // Resolved again for every attempt: the host may have changed its
+      // addresses since the URL was checked
+      const status = await post(target, await resolveTarget(target), { headers, body, timeoutMs });
+      if (status >= 200 && status < 300) return attempt;
+
+      lastError = new Error(`Webhook answered HTTP ${status}`);
+      if (status < 500 && status !== 429) {
+        lastError.attempts = attempt;
+        throw lastError;
+      }
+    } catch (error) {
+      if (error === lastError) throw error;
+      if (error instanceof WebhookTargetError) {
+        error.message = `Webhook URL ${error.message}`;
+        error.attempts = attempt;
+        throw error;
+      }
+      lastError = error;
+    }
+
+    if (attempt < maxAttempts) {
+      await sleep(1000 * 2 ** (attempt - 1));
+    }
+  }
+
+  lastError.attempts = maxAttempts;
+  throw lastError;
+};
+
+module.exports = {
+  checkWebhookUrl,
+  deliverWebhook,
+  sign
+};
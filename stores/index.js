@@ -0,0 +1,24 @@
+const MemoryStore = require('./memoryStore');
+const RedisStore = require('./redisStore');
+const SqliteStore = require('./sqliteStore');
+
+// Create a key/value store by name ('memory', 'redis' or 'sqlite')
+const createStore = (type = 'memory', options = {}) => {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore(options);
+    case 'redis':
+      return new RedisStore(options);
+    case 'sqlite':
+      return new SqliteStore(options);
+    default:
+      throw new Error(`Unknown store type "${type}". Available: memory, redis, sqlite`);
+  }
+};
+
+module.exports = {
+  createStore,
+  MemoryStore,
+  RedisStore,
+  SqliteStore
+};
@@ -0,0 +1,96 @@
+// In-process key/value store with per-entry TTL and optional LRU eviction.
+// The async interface mirrors what a Redis-backed store would offer so it can
+// be swapped without touching callers.
+
+class MemoryStore {
+  constructor({ ttlMs = 0, maxEntries = 0, sweepIntervalMs = 60 * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+
+    if (sweepIntervalMs > 0) {
+      this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+      this.sweeper.unref();
+    }
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs = this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
+    });
+
+    if (this.maxEntries > 0) {
+      while (this.entries.size > this.maxEntries) {
+        const oldest = this.entries.keys().next().value;
+        this.entries.delete(oldest);
+      }
+    }
+  }
+
+  // Add `amount` to a numeric counter, creating it with `ttlMs` if missing
+  async increment(key, amount = 1, ttlMs = this.ttlMs) {
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) {
+      await this.set(key, amount, ttlMs);
+      return amount;
+    }
+    entry.value += amount;
+    return entry.value;
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async keys(prefix = '') {
+    this.sweep();
+    return [...this.entries.keys()].filter(key => key.startsWith(prefix));
+  }
+
+  async clear(prefix = '') {
+    if (!prefix) {
+      this.entries.clear();
+      return;
+    }
+    (await this.keys(prefix)).forEach(key => this.entries.delete(key));
+  }
+
+  sweep() {
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,84 @@
+// Redis-backed key/value store with the same async interface as MemoryStore.
+// Works with any Redis-compatible server (Redis, Valkey, Memorystore, Upstash).
+// Requires the `redis` package: npm install redis
+
+class RedisStore {
+  constructor({ url = process.env.REDIS_URL, namespace = 'kotobaid:', ttlMs = 0, client } = {}) {
+    this.url = url;
+    this.namespace = namespace;
+    this.ttlMs = ttlMs;
+    this.client = client || null;
+    this.connecting = null;
+  }
+
+  async connect() {
+    if (this.client?.isOpen) return this.client;
+
+    if (!this.connecting) {
+      const { createClient } = require('redis');
+      this.client = this.client || createClient({ url: this.url });
+      this.client.on('error', (error) => {
+        console.error('❌ Redis error:', error.message);
+      });
+      this.connecting = this.client.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+
+    await this.connecting;
+    return this.client;
+  }
+
+  key(key) {
+    return `${this.namespace}${key}`;
+  }
+
+  async get(key) {
+    const client = await this.connect();
+    const value = await client.get(this.key(key));
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs = this.ttlMs) {
+    const client = await this.connect();
+    await client.set(this.key(key), JSON.stringify(value), ttlMs > 0 ? { PX: ttlMs } : undefined);
+  }
+
+  // Add `amount` to a numeric counter, creating it with `ttlMs` if missing
+  async increment(key, amount = 1, ttlMs = this.ttlMs) {
+    const client = await this.connect();
+    const value = await client.incrBy(this.key(key), amount);
+    if (value === amount && ttlMs > 0) {
+      await client.pExpire(this.key(key), ttlMs);
+    }
+    return value;
+  }
+
+  async delete(key) {
+    const client = await this.connect();
+    return (await client.del(this.key(key))) > 0;
+  }
+
+  async has(key) {
+    const client = await this.connect();
+    return (await client.exists(this.key(key))) > 0;
+  }
+
+  async keys(prefix = '') {
+    const client = await this.connect();
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: `${this.key(prefix)}*`, COUNT: 100 })) {
+      keys.push(...[].concat(key).map(k => k.slice(this.namespace.length)));
+    }
+    return keys;
+  }
+
+  async clear(prefix = '') {
+    const keys = await this.keys(prefix);
+    if (keys.length === 0) return;
+    const client = await this.connect();
+    await client.del(keys.map(key => this.key(key)));
+  }
+}
+
+module.exports = RedisStore;
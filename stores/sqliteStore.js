@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+// SQLite-backed key/value store with the same async interface as MemoryStore,
+// for data that has to survive restarts on a single instance (SRS decks).
+// Values are stored as JSON in one table; expired entries are dropped on read
+// and by a periodic sweep.
+// Requires the `better-sqlite3` package: npm install better-sqlite3
+
+// Upper bound for a prefix range scan: sorts after any character
+const PREFIX_END = '\u{10FFFF}';
+
+class SqliteStore {
+  constructor({ filename = process.env.SQLITE_PATH || path.join('data', 'kotobaid.db'), table = 'entries', ttlMs = 0, sweepIntervalMs = 60 * 60 * 1000, db } = {}) {
+    this.filename = filename;
+    this.table = table;
+    this.ttlMs = ttlMs;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.db = db || null;
+    this.statements = null;
+  }
+
+  // Open the database and prepare statements on first use
+  open() {
+    if (this.statements) return this.statements;
+
+    if (!this.db) {
+      const Database = require('better-sqlite3');
+      if (this.filename !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+      }
+      this.db = new Database(this.filename);
+      this.db.pragma('journal_mode = WAL');
+    }
+
+    const table = this.table;
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER
+    )`);
+
+    const live = '(expires_at IS NULL OR expires_at > @now)';
+    this.statements = {
+      get: this.db.prepare(`SELECT value FROM ${table} WHERE key = @key AND ${live}`),
+      set: this.db.prepare(`INSERT INTO ${table} (key, value, expires_at) VALUES (@key, @value, @expiresAt)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`),
+      increment: this.db.prepare(`INSERT INTO ${table} (key, value, expires_at) VALUES (@key, @amount, @expiresAt)
+        ON CONFLICT(key) DO UPDATE SET
+          value = CASE WHEN ${table}.expires_at IS NOT NULL AND ${table}.expires_at <= @now THEN @amount ELSE ${table}.value + @amount END,
+          expires_at = CASE WHEN ${table}.expires_at IS NOT NULL AND ${table}.expires_at <= @now THEN @expiresAt ELSE ${table}.expires_at END
+        RETURNING value`),
+      delete: this.db.prepare(`DELETE FROM ${table} WHERE key = @key`),
+      keys: this.db.prepare(`SELECT key FROM ${table} WHERE key >= @from AND key < @to AND ${live} ORDER BY key`),
+      clear: this.db.prepare(`DELETE FROM ${table} WHERE key >= @from AND key < @to`),
+      sweep: this.db.prepare(`DELETE FROM ${table} WHERE expires_at IS NOT NULL AND expires_at <= @now`)
+    };
+
+    if (this.sweepIntervalMs > 0) {
+      this.sweeper = setInterval(() => this.sweep(), this.sweepIntervalMs);
+      this.sweeper.unref();
+    }
+
+    return this.statements;
+  }
+
+  expiresAt(ttlMs) {
+    return ttlMs > 0 ? Date.now() + ttlMs : null;
+  }
+
+  async get(key) {
+    const row = this.open().get.get({ key, now: Date.now() });
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async set(key, value, ttlMs = this.ttlMs) {
+    this.open().set.run({ key, value: JSON.stringify(value), expiresAt: this.expiresAt(ttlMs) });
+  }
+
+  // Add `amount` to a numeric counter, creating it with `ttlMs` if missing
+  async increment(key, amount = 1, ttlMs = this.ttlMs) {
+    const row = this.open().increment.get({ key, amount, now: Date.now(), expiresAt: this.expiresAt(ttlMs) });
+    return Number(row.value);
+  }
+
+  async delete(key) {
+    return this.open().delete.run({ key }).changes > 0;
+  }
+
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  async keys(prefix = '') {
+    return this.open().keys.all({ from: prefix, to: prefix + PREFIX_END, now: Date.now() }).map(row => row.key);
+  }
+
+  async clear(prefix = '') {
+    this.open().clear.run({ from: prefix, to: prefix + PREFIX_END });
+  }
+
+  sweep() {
+    this.open().sweep.run({ now: Date.now() });
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+    if (this.db) this.db.close();
+    this.db = null;
+    this.statements = null;
+  }
+}
+
+module.exports = SqliteStore;
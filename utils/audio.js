@@ -0,0 +1,368 @@
+// Audio checks for pronunciation recordings sent to the model as inline data.
+// As with images, the format comes from the file's magic bytes; the duration
+// is read from the container headers so over-long clips are refused before
+// they reach the model.
+
+const { toInlinePart } = require('./images');
+
+const MAX_AUDIO_BYTES = parseInt(process.env.AUDIO_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_AUDIO_SECONDS = parseFloat(process.env.AUDIO_MAX_SECONDS) || 30;
+const MIN_AUDIO_SECONDS = 0.3;
+
+// Audio types Gemini accepts as inline data. webm and mp4 are what browsers'
+// MediaRecorder produces (Chrome/Firefox and Safari respectively).
+const SUPPORTED_TYPES = ['audio/wav', 'audio/mpeg', 'audio/aac', 'audio/ogg', 'audio/flac', 'audio/aiff', 'audio/webm', 'audio/mp4'];
+
+// Other names clients send for the same formats
+const TYPE_ALIASES = {
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/vnd.wave': 'audio/wav',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-aac': 'audio/aac',
+  'audio/x-flac': 'audio/flac',
+  'audio/x-aiff': 'audio/aiff',
+  'audio/opus': 'audio/ogg',
+  'video/webm': 'audio/webm',
+  'audio/m4a': 'audio/mp4',
+  'audio/x-m4a': 'audio/mp4',
+  'video/mp4': 'audio/mp4'
+};
+
+const MP4_AUDIO_BRANDS = ['M4A ', 'M4B ', 'mp41', 'mp42', 'isom', 'iso2', 'iso5', 'iso6', 'dash', 'avc1', '3gp4', '3gp5', 'qt  '];
+
+class AudioError extends Error {
+  constructor(reason, message, { status = 400 } = {}) {
+    super(message);
+    this.name = 'AudioError';
+    this.reason = reason;
+    this.status = status;
+  }
+}
+
+// Length of an ID3v2 tag at the start of an MP3, 0 when there is none
+const id3Length = (buffer) => {
+  if (buffer.toString('latin1', 0, 3) !== 'ID3' || buffer.length < 10) return 0;
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  return 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+};
+
+// MIME type from the first bytes of the file, or null when it is not a
+// supported audio format
+const detectAudioType = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(8, 12))) return 'audio/aiff';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'audio/webm';
+  if (ascii(4, 8) === 'ftyp' && MP4_AUDIO_BRANDS.includes(ascii(8, 12))) return 'audio/mp4';
+
+  const start = id3Length(buffer);
+  if (buffer[start] === 0xff && (buffer[start + 1] & 0xe0) === 0xe0) {
+    const layer = (buffer[start + 1] >> 1) & 0x03;
+    if (layer === 0x01) return 'audio/mpeg';
+    if (layer === 0x00 && (buffer[start + 1] & 0xf6) === 0xf0) return 'audio/aac';
+  }
+  return null;
+};
+
+// --- Durations -------------------------------------------------------------
+// Each reader returns seconds, or null when the header does not say (for
+// example a WAV streamed without sizes or a fragmented MP4).
+
+// RIFF chunks: fmt gives the byte rate, data the length of the samples
+const wavDuration = (buffer) => {
+  let byteRate = null;
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 16 <= buffer.length) {
+      byteRate = buffer.readUInt32LE(offset + 16);
+    } else if (id === 'data') {
+      // Recorders that stream the file write 0 or 0xFFFFFFFF here
+      const remaining = buffer.length - offset - 8;
+      const length = size > 0 && size < remaining ? size : remaining;
+      return byteRate ? length / byteRate : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+// 80-bit IEEE extended float used for the AIFF sample rate
+const readExtended = (buffer, offset) => {
+  const exponent = buffer.readUInt16BE(offset) & 0x7fff;
+  const mantissa = buffer.readUInt32BE(offset + 2) * 2 ** 32 + buffer.readUInt32BE(offset + 6);
+  return mantissa * 2 ** (exponent - 16383 - 63);
+};
+
+const aiffDuration = (buffer) => {
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32BE(offset + 4);
+    if (id === 'COMM' && offset + 26 <= buffer.length) {
+      const frames = buffer.readUInt32BE(offset + 10);
+      const rate = readExtended(buffer, offset + 16);
+      return rate ? frames / rate : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+};
+
+// STREAMINFO, always the first metadata block: 20-bit sample rate and
+// 36-bit total sample count
+const flacDuration = (buffer) => {
+  if (buffer.length < 26) return null;
+  const rate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  const samples = (buffer[21] & 0x0f) * 2 ** 32 + buffer.readUInt32BE(22);
+  return rate && samples ? samples / rate : null;
+};
+
+// The granule position of the last page counts samples; Opus always at
+// 48 kHz minus the pre-skip, Vorbis at the rate in its identification header
+const oggDuration = (buffer) => {
+  const packet = 27 + buffer[26];
+  let rate = null;
+  let preSkip = 0;
+
+  if (buffer.toString('latin1', packet, packet + 8) === 'OpusHead') {
+    rate = 48000;
+    preSkip = buffer.readUInt16LE(packet + 10);
+  } else if (buffer.toString('latin1', packet + 1, packet + 7) === 'vorbis') {
+    rate = buffer.readUInt32LE(packet + 12);
+  }
+  if (!rate) return null;
+
+  const last = buffer.lastIndexOf('OggS');
+  if (last < 0 || last + 14 > buffer.length) return null;
+  const granule = Number(buffer.readBigInt64LE(last + 6));
+  return granule > 0 ? Math.max(granule - preSkip, 0) / rate : null;
+};
+
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+// First frame header; a Xing/Info or VBRI header gives the frame count,
+// otherwise the file is taken as constant bitrate
+const mp3Duration = (buffer) => {
+  const start = id3Length(buffer);
+  if (start + 4 > buffer.length) return null;
+
+  const versionBits = (buffer[start + 1] >> 3) & 0x03;
+  const version = versionBits === 0x03 ? 1 : 2;
+  const bitrate = MP3_BITRATES[version][buffer[start + 2] >> 4] * 1000;
+  const rateIndex = (buffer[start + 2] >> 2) & 0x03;
+  if (!bitrate || rateIndex === 3) return null;
+
+  const rate = MP3_SAMPLE_RATES[rateIndex] / (versionBits === 0x03 ? 1 : versionBits === 0x02 ? 2 : 4);
+  const samplesPerFrame = version === 1 ? 1152 : 576;
+  const mono = (buffer[start + 3] >> 6) === 0x03;
+  const sideInfo = version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+
+  const xing = start + 4 + sideInfo;
+  const tag = buffer.toString('latin1', xing, xing + 4);
+  if ((tag === 'Xing' || tag === 'Info') && buffer.readUInt32BE(xing + 4) & 0x01) {
+    return buffer.readUInt32BE(xing + 8) * samplesPerFrame / rate;
+  }
+  if (buffer.toString('latin1', start + 36, start + 40) === 'VBRI') {
+    return buffer.readUInt32BE(start + 50) * samplesPerFrame / rate;
+  }
+  return (buffer.length - start) * 8 / bitrate;
+};
+
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// ADTS frames hold 1024 samples each; count them
+const aacDuration = (buffer) => {
+  const start = id3Length(buffer);
+  const rate = AAC_SAMPLE_RATES[(buffer[start + 2] >> 2) & 0x0f];
+  if (!rate) return null;
+
+  let frames = 0;
+  for (let offset = start; offset + 7 <= buffer.length && buffer[offset] === 0xff;) {
+    const length = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+    if (length < 7) break;
+    frames++;
+    offset += length;
+  }
+  return frames * 1024 / rate;
+};
+
+// mvhd inside moov: duration in timescale units
+const mp4Duration = (buffer, start = 0, end = buffer.length) => {
+  for (let offset = start; offset + 8 <= end;) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) return null;
+
+    if (type === 'moov') {
+      return mp4Duration(buffer, offset + header, Math.min(offset + size, end));
+    }
+    if (type === 'mvhd') {
+      const box = offset + header;
+      const version = buffer[box];
+      const timescale = buffer.readUInt32BE(box + (version === 1 ? 20 : 12));
+      const duration = version === 1 ? Number(buffer.readBigUInt64BE(box + 24)) : buffer.readUInt32BE(box + 16);
+      return timescale && duration ? duration / timescale : null;
+    }
+    offset += size;
+  }
+  return null;
+};
+
+// EBML variable-length integers: the leading zero bits give the length
+const readVint = (buffer, offset, keepMarker) => {
+  const first = buffer[offset];
+  if (!first) return null;
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let unknown = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    unknown = unknown && buffer[offset + i] === 0xff;
+  }
+  return { value, length, unknown: !keepMarker && unknown };
+};
+
+const WEBM_SEGMENT = 0x18538067;
+const WEBM_INFO = 0x1549a966;
+const WEBM_CLUSTER = 0x1f43b675;
+const WEBM_BLOCK_GROUP = 0xa0;
+const WEBM_MASTERS = [WEBM_SEGMENT, WEBM_INFO, WEBM_CLUSTER, WEBM_BLOCK_GROUP];
+
+// Info > Duration when the muxer wrote it. MediaRecorder in Chrome does not,
+// so otherwise the timecode of the last block is used.
+const webmDuration = (buffer) => {
+  let scale = 1000000;
+  let declared = null;
+  let cluster = 0;
+  let lastBlock = null;
+
+  for (let offset = 0; offset < buffer.length;) {
+    const id = readVint(buffer, offset, true);
+    if (!id) break;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) break;
+    const data = offset + id.length + size.length;
+
+    // Master elements are entered rather than skipped, so unknown sizes
+    // (live recordings) do not matter
+    if (WEBM_MASTERS.includes(id.value)) {
+      offset = data;
+      continue;
+    }
+    if (size.unknown || data + size.value > buffer.length) break;
+
+    if (id.value === 0x2ad7b1) {
+      scale = buffer.readUIntBE(data, Math.min(size.value, 6));
+    } else if (id.value === 0x4489) {
+      declared = size.value === 4 ? buffer.readFloatBE(data) : buffer.readDoubleBE(data);
+    } else if (id.value === 0xe7) {
+      cluster = buffer.readUIntBE(data, Math.min(size.value, 6));
+    } else if (id.value === 0xa3 || id.value === 0xa1) {
+      const track = readVint(buffer, data, false);
+      if (track) lastBlock = cluster + buffer.readInt16BE(data + track.length);
+    }
+    offset = data + size.value;
+  }
+
+  const ticks = declared || lastBlock;
+  return ticks ? ticks * scale / 1e9 : null;
+};
+
+const DURATION_READERS = {
+  'audio/wav': wavDuration,
+  'audio/aiff': aiffDuration,
+  'audio/flac': flacDuration,
+  'audio/ogg': oggDuration,
+  'audio/mpeg': mp3Duration,
+  'audio/aac': aacDuration,
+  'audio/mp4': (buffer) => mp4Duration(buffer),
+  'audio/webm': webmDuration
+};
+
+// Duration in seconds, or null when the headers do not say
+const audioDuration = (buffer, mimeType) => {
+  try {
+    const seconds = DURATION_READERS[mimeType](buffer);
+    return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 100) / 100 : null;
+  } catch {
+    // Truncated or malformed headers
+    return null;
+  }
+};
+
+// Bytes of a base64 string or data URL (data:audio/webm;base64,...), as
+// produced by FileReader.readAsDataURL(). Returns { buffer, declaredType }.
+const decodeBase64Audio = (value) => {
+  const match = value.match(/^data:([\w/+.-]+)(?:;[\w=.-]+)*;base64,(.*)$/s);
+  const data = (match ? match[2] : value).replace(/\s+/g, '');
+
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(data) || data.length === 0) {
+    throw new AudioError('INVALID_AUDIO_DATA', 'audio must be base64 or a base64 data URL');
+  }
+
+  return { buffer: Buffer.from(data, 'base64'), declaredType: match ? match[1].toLowerCase() : null };
+};
+
+// Check an uploaded recording and return { buffer, mimeType, size, durationSeconds }.
+// Recordings whose headers carry no duration are accepted on size alone.
+const checkAudio = (buffer, declaredType = null) => {
+  if (!buffer || buffer.length === 0) {
+    throw new AudioError('AUDIO_MISSING', 'No audio was uploaded');
+  }
+  if (buffer.length > MAX_AUDIO_BYTES) {
+    throw new AudioError('AUDIO_TOO_LARGE', `Audio is larger than ${MAX_AUDIO_BYTES} bytes`, { status: 413 });
+  }
+
+  const mimeType = detectAudioType(buffer);
+  if (!mimeType) {
+    throw new AudioError('UNSUPPORTED_AUDIO_TYPE', `File is not a supported audio format (${SUPPORTED_TYPES.join(', ')})`, { status: 415 });
+  }
+
+  // Ogg and webm are both audio and video containers; mp4 audio often
+  // arrives labelled as video/mp4 or audio/x-m4a
+  const declared = TYPE_ALIASES[declaredType] || declaredType;
+  if (declared && declared !== 'application/octet-stream' && declared !== mimeType) {
+    throw new AudioError('AUDIO_TYPE_MISMATCH', `Declared type ${declaredType} does not match the file (${mimeType})`, { status: 415 });
+  }
+
+  const durationSeconds = audioDuration(buffer, mimeType);
+  if (durationSeconds !== null && durationSeconds > MAX_AUDIO_SECONDS) {
+    throw new AudioError('AUDIO_TOO_LONG', `Audio is ${durationSeconds}s long; the limit is ${MAX_AUDIO_SECONDS}s`, { status: 413 });
+  }
+  if (durationSeconds !== null && durationSeconds < MIN_AUDIO_SECONDS) {
+    throw new AudioError('AUDIO_TOO_SHORT', `Audio is ${durationSeconds}s long; record at least ${MIN_AUDIO_SECONDS}s`);
+  }
+
+  return { buffer, mimeType, size: buffer.length, durationSeconds };
+};
+
+module.exports = {
+  MAX_AUDIO_BYTES,
+  MAX_AUDIO_SECONDS,
+  SUPPORTED_TYPES,
+  AudioError,
+  detectAudioType,
+  audioDuration,
+  decodeBase64Audio,
+  checkAudio,
+  toInlinePart
+};
@@ -0,0 +1,20 @@
+// Map `items` through async `fn` with at most `limit` calls in flight.
+// Results keep the input order; `fn` should handle its own errors.
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
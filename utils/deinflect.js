@@ -0,0 +1,228 @@
+// Deinflection of conjugated Japanese verbs and adjectives back to their
+// dictionary form, for dictionary lookup: 食べていました → 食べる. Every
+// candidate carries the word class it would have to be, and the lookup keeps
+// only candidates whose dictionary entry has that class, so the many
+// spurious candidates (食べていま → 食べていむ) never surface.
+//
+// Rules rewrite a word ending. `as` is the class the inflected form behaves
+// like (ない forms conjugate like i-adjectives, ている like ichidan verbs) and
+// `from` the class of the word the rule produces. Chains are followed, so
+// 食べなかった → 食べない (i-adjective) → 食べる (ichidan).
+
+const V1 = 1 << 0; // ichidan verb
+const V5 = 1 << 1; // godan verb
+const VK = 1 << 2; // 来る
+const VS = 1 << 3; // する and suru nouns
+const ADJ_I = 1 << 4; // i-adjective
+const TE = 1 << 5; // te-form, continued by いる/ある/しまう...
+const FINAL = 1 << 6; // forms nothing else is built on
+const ANY = (1 << 7) - 1;
+
+const TYPE_NAMES = { [V1]: 'ichidan verb', [V5]: 'godan verb', [VK]: 'kuru verb', [VS]: 'suru verb', [ADJ_I]: 'i-adjective' };
+
+// Godan rows: dictionary ending, then the a/i/e/o stems and te/ta forms
+const GODAN = [
+  ['う', 'わ', 'い', 'え', 'お', 'って', 'った'],
+  ['く', 'か', 'き', 'け', 'こ', 'いて', 'いた'],
+  ['ぐ', 'が', 'ぎ', 'げ', 'ご', 'いで', 'いだ'],
+  ['す', 'さ', 'し', 'せ', 'そ', 'して', 'した'],
+  ['つ', 'た', 'ち', 'て', 'と', 'って', 'った'],
+  ['ぬ', 'な', 'に', 'ね', 'の', 'んで', 'んだ'],
+  ['ぶ', 'ば', 'び', 'べ', 'ぼ', 'んで', 'んだ'],
+  ['む', 'ま', 'み', 'め', 'も', 'んで', 'んだ'],
+  ['る', 'ら', 'り', 'れ', 'ろ', 'って', 'った']
+];
+
+// Endings added to each verb stem: [ending, class it behaves as, reason]
+const A_STEM = [
+  ['ない', ADJ_I, 'negative'],
+  ['ず', FINAL, 'negative'],
+  ['れる', V1, 'passive'],
+  ['せる', V1, 'causative'],
+  ['せられる', V1, 'causative passive']
+];
+const I_STEM = [
+  ['ます', FINAL, 'polite'],
+  ['ました', FINAL, 'polite past'],
+  ['ません', FINAL, 'polite negative'],
+  ['ませんでした', FINAL, 'polite past negative'],
+  ['ましょう', FINAL, 'polite volitional'],
+  ['まして', FINAL, 'polite te-form'],
+  ['たい', ADJ_I, 'desire'],
+  ['ながら', FINAL, 'while'],
+  ['なさい', FINAL, 'polite imperative'],
+  ['そう', FINAL, 'looks like']
+];
+const E_STEM = [
+  ['る', V1, 'potential'],
+  ['ば', FINAL, 'conditional'],
+  ['', FINAL, 'imperative']
+];
+const O_STEM = [
+  ['う', FINAL, 'volitional']
+];
+const TA_FORM = [
+  ['', FINAL, 'past'],
+  ['ら', FINAL, 'conditional'],
+  ['り', FINAL, 'tari']
+];
+
+const rules = [];
+const rule = (inflected, base, as, from, reason) => rules.push({ inflected, base, as, from, reason });
+
+// Godan verbs
+GODAN.forEach(([ending, a, i, e, o, te, ta]) => {
+  A_STEM.forEach(([suffix, as, reason]) => rule(a + suffix, ending, as, V5, reason));
+  I_STEM.forEach(([suffix, as, reason]) => rule(i + suffix, ending, as, V5, reason));
+  E_STEM.forEach(([suffix, as, reason]) => rule(e + suffix, ending, as, V5, reason));
+  O_STEM.forEach(([suffix, as, reason]) => rule(o + suffix, ending, as, V5, reason));
+  rule(te, ending, TE, V5, 'te-form');
+  TA_FORM.forEach(([suffix, as, reason]) => rule(ta + suffix, ending, as, V5, reason));
+});
+// 行く is irregular in the te/ta forms
+rule('って', 'く', TE, V5, 'te-form');
+TA_FORM.forEach(([suffix, as, reason]) => rule(`った${suffix}`, 'く', as, V5, reason));
+
+// Ichidan verbs: every ending attaches to the stem
+[
+  ['ない', ADJ_I, 'negative'],
+  ['ず', FINAL, 'negative'],
+  ['られる', V1, 'potential or passive'],
+  ['れる', V1, 'potential'],
+  ['させる', V1, 'causative'],
+  ['させられる', V1, 'causative passive'],
+  ...I_STEM,
+  ['れば', FINAL, 'conditional'],
+  ['ろ', FINAL, 'imperative'],
+  ['よ', FINAL, 'imperative'],
+  ['よう', FINAL, 'volitional'],
+  ['て', TE, 'te-form'],
+  ['た', FINAL, 'past'],
+  ['たら', FINAL, 'conditional'],
+  ['たり', FINAL, 'tari']
+].forEach(([suffix, as, reason]) => rule(suffix, 'る', as, V1, reason));
+
+// する, also after suru nouns (勉強する → 勉強)
+[
+  ['しない', ADJ_I, 'negative'],
+  ['せず', FINAL, 'negative'],
+  ['される', V1, 'passive'],
+  ['させる', V1, 'causative'],
+  ['させられる', V1, 'causative passive'],
+  ['できる', V1, 'potential'],
+  ...I_STEM.map(([suffix, as, reason]) => [`し${suffix}`, as, reason]),
+  ['すれば', FINAL, 'conditional'],
+  ['しろ', FINAL, 'imperative'],
+  ['せよ', FINAL, 'imperative'],
+  ['しよう', FINAL, 'volitional'],
+  ['して', TE, 'te-form'],
+  ['した', FINAL, 'past'],
+  ['したら', FINAL, 'conditional'],
+  ['したり', FINAL, 'tari']
+].forEach(([inflected, as, reason]) => rule(inflected, 'する', as, VS, reason));
+rule('する', '', VS, VS, 'suru verb');
+
+// 来る, in kana and with the kanji
+[
+  ['こない', ADJ_I, 'negative'],
+  ['こられる', V1, 'potential or passive'],
+  ['これる', V1, 'potential'],
+  ['こさせる', V1, 'causative'],
+  ...I_STEM.map(([suffix, as, reason]) => [`き${suffix}`, as, reason]),
+  ['くれば', FINAL, 'conditional'],
+  ['こい', FINAL, 'imperative'],
+  ['こよう', FINAL, 'volitional'],
+  ['きて', TE, 'te-form'],
+  ['きた', FINAL, 'past'],
+  ['きたら', FINAL, 'conditional'],
+  ['きたり', FINAL, 'tari']
+].forEach(([inflected, as, reason]) => {
+  rule(inflected, 'くる', as, VK, reason);
+  rule(`来${inflected.slice(1)}`, '来る', as, VK, reason);
+});
+
+// i-adjectives
+[
+  ['く', FINAL, 'adverb'],
+  ['くない', ADJ_I, 'negative'],
+  ['くて', TE, 'te-form'],
+  ['かった', FINAL, 'past'],
+  ['かったら', FINAL, 'conditional'],
+  ['ければ', FINAL, 'conditional'],
+  ['さ', FINAL, 'noun form'],
+  ['そう', FINAL, 'looks like'],
+  ['すぎる', V1, 'too much']
+].forEach(([suffix, as, reason]) => rule(suffix, 'い', as, ADJ_I, reason));
+// いい conjugates from よい
+rule('よくない', 'いい', ADJ_I, ADJ_I, 'negative');
+rule('よかった', 'いい', FINAL, ADJ_I, 'past');
+rule('よくて', 'いい', TE, ADJ_I, 'te-form');
+rule('よければ', 'いい', FINAL, ADJ_I, 'conditional');
+
+// Auxiliaries after the te-form, themselves conjugated as verbs
+[
+  ['いる', V1, 'progressive'],
+  ['る', V1, 'progressive'],
+  ['ある', V5, 'resultative'],
+  ['おく', V5, 'in advance'],
+  ['とく', V5, 'in advance'],
+  ['しまう', V5, 'completion'],
+  ['ちゃう', V5, 'completion'],
+  ['みる', V1, 'try'],
+  ['ください', FINAL, 'request'],
+  ['もいい', FINAL, 'permission'],
+  ['は', FINAL, 'topic']
+].forEach(([auxiliary, as, reason]) => {
+  rule(`て${auxiliary}`, 'て', as, TE, reason);
+  rule(`で${auxiliary}`, 'で', as, TE, reason);
+});
+// ちゃう / じゃう contract てしまう / でしまう
+rule('ちゃう', 'て', V5, TE, 'completion');
+rule('じゃう', 'で', V5, TE, 'completion');
+
+// All words `word` could be an inflection of, starting with the word itself
+// (any class). Each candidate is { word, type, reasons } with reasons in the
+// order they were applied to the dictionary form: ['te-form', 'progressive',
+// 'polite past'] for 食べていました.
+const deinflect = (word) => {
+  const candidates = [{ word, type: ANY, reasons: [] }];
+  const seen = new Map([[word, ANY]]);
+
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+
+    for (const entry of rules) {
+      if (!(candidate.type & entry.as) || !candidate.word.endsWith(entry.inflected)) continue;
+
+      const base = candidate.word.slice(0, candidate.word.length - entry.inflected.length) + entry.base;
+      if (!base) continue;
+
+      // The same word may be reached with other classes, but not twice with the same
+      const known = seen.get(base) || 0;
+      if ((known & entry.from) === entry.from) continue;
+      seen.set(base, known | entry.from);
+
+      candidates.push({ word: base, type: entry.from, reasons: [entry.reason, ...candidate.reasons] });
+    }
+  }
+
+  return candidates;
+};
+
+// Does a JMdict part-of-speech code belong to the word class?
+const matchesType = (type, pos) => {
+  if (type === ANY) return true;
+  if (type & V1 && /^v1/.test(pos)) return true;
+  if (type & V5 && /^v5/.test(pos)) return true;
+  if (type & VK && pos === 'vk') return true;
+  if (type & VS && /^vs/.test(pos)) return true;
+  if (type & ADJ_I && /^adj-i/.test(pos)) return true;
+  return false;
+};
+
+module.exports = {
+  TYPES: { V1, V5, VK, VS, ADJ_I, TE, FINAL, ANY },
+  TYPE_NAMES,
+  deinflect,
+  matchesType
+};
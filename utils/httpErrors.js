@@ -0,0 +1,27 @@
+// Errors for requests that cannot be served as asked, thrown by services and
+// answered by describeError() (utils/routeErrors.js) with their status.
+// Kept free of dependencies so any service can throw them.
+
+// The request is invalid beyond what its schema checks, e.g. too many kanji
+class BadRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BadRequestError';
+    this.status = 400;
+  }
+}
+
+// The request is valid but conflicts with stored state, e.g. a chat session
+// whose scenario was removed
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+  }
+}
+
+module.exports = {
+  BadRequestError,
+  ConflictError
+};
@@ -0,0 +1,93 @@
+// Image checks for uploads sent to the model as inline data. The type is
+// taken from the file's magic bytes, never from the file name or the
+// declared Content-Type alone.
+
+const MAX_IMAGE_BYTES = parseInt(process.env.OCR_MAX_IMAGE_BYTES) || 4 * 1024 * 1024;
+
+// Image types Gemini accepts as inline data
+const SUPPORTED_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+const HEIF_BRANDS = ['mif1', 'msf1', 'heif'];
+
+class ImageError extends Error {
+  constructor(reason, message, { status = 400 } = {}) {
+    super(message);
+    this.name = 'ImageError';
+    this.reason = reason;
+    this.status = status;
+  }
+}
+
+// MIME type from the first bytes of the file, or null when it is not a
+// supported image
+const detectImageType = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (HEIC_BRANDS.includes(brand)) return 'image/heic';
+    if (HEIF_BRANDS.includes(brand)) return 'image/heif';
+  }
+  return null;
+};
+
+// Bytes of a base64 string or data URL (data:image/png;base64,...), as sent
+// by canvas.toDataURL(). Returns { buffer, declaredType }.
+const decodeBase64Image = (value) => {
+  const match = value.match(/^data:([\w/+.-]+);base64,(.*)$/s);
+  const data = (match ? match[2] : value).replace(/\s+/g, '');
+
+  if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(data) || data.length === 0) {
+    throw new ImageError('INVALID_IMAGE_DATA', 'image must be base64 or a base64 data URL');
+  }
+
+  return { buffer: Buffer.from(data, 'base64'), declaredType: match ? match[1].toLowerCase() : null };
+};
+
+// Check an uploaded image and return { buffer, mimeType, size }
+const checkImage = (buffer, declaredType = null) => {
+  if (!buffer || buffer.length === 0) {
+    throw new ImageError('IMAGE_MISSING', 'No image was uploaded');
+  }
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new ImageError('IMAGE_TOO_LARGE', `Image is larger than ${MAX_IMAGE_BYTES} bytes`, { status: 413 });
+  }
+
+  const mimeType = detectImageType(buffer);
+  if (!mimeType) {
+    throw new ImageError('UNSUPPORTED_IMAGE_TYPE', `File is not a supported image (${SUPPORTED_TYPES.join(', ')})`, { status: 415 });
+  }
+
+  // image/jpg is a common misspelling; anything else declared must match the bytes
+  const declared = declaredType === 'image/jpg' ? 'image/jpeg' : declaredType;
+  if (declared && declared !== 'application/octet-stream' && declared !== mimeType) {
+    throw new ImageError('IMAGE_TYPE_MISMATCH', `Declared type ${declaredType} does not match the file (${mimeType})`, { status: 415 });
+  }
+
+  return { buffer, mimeType, size: buffer.length };
+};
+
+// Content part carrying the image inline
+const toInlinePart = ({ buffer, mimeType }) => ({
+  inlineData: { mimeType, data: buffer.toString('base64') }
+});
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  SUPPORTED_TYPES,
+  ImageError,
+  detectImageType,
+  decodeBase64Image,
+  checkImage,
+  toInlinePart
+};
@@ -0,0 +1,183 @@
+// Kana helpers for the furigana, pronunciation and dictionary endpoints:
+// script checks, katakana to hiragana, morae and romanization both ways.
+
+const KANJI_PATTERN = /[\p{Script=Han}々〆ヶ]/u;
+const KANJI_RUNS_PATTERN = /[\p{Script=Han}々〆ヶ]+|[^\p{Script=Han}々〆ヶ]+/gu;
+const KANA_PATTERN = /^[ぁ-ゖゝゞァ-ヺー-ヾ]+$/;
+
+const hasKanji = (text) => KANJI_PATTERN.test(text);
+
+// Alternating kanji and non-kanji runs: 取り扱い → 取, り, 扱, い
+const kanjiRuns = (text) => text.match(KANJI_RUNS_PATTERN) || [];
+
+const isKana = (text) => KANA_PATTERN.test(text);
+
+// Katakana (ァ-ヶ, ヽヾ) to hiragana; everything else is kept
+const toHiragana = (text) => text.replace(/[ァ-ヶヽヾ]/g, (char) => (
+  String.fromCharCode(char.charCodeAt(0) - 0x60)
+));
+
+const SYLLABLES = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n',
+  が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ゔ: 'vu', ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o', ゎ: 'wa', ゕ: 'ka', ゖ: 'ke'
+};
+
+const SMALL_Y = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+const SMALL_VOWELS = { ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o' };
+const MACRONS = { a: 'ā', i: 'ī', u: 'ū', e: 'ē', o: 'ō' };
+const PUNCTUATION = { '。': '.', '、': ',', '，': ',', '．': '.', '！': '!', '？': '?', '「': '"', '」': '"', '『': '"', '』': '"', '・': ' ', '〜': '~', '　': ' ' };
+
+// Modified Hepburn for a kana string. Long vowels marked with ー get a macron
+// (トーキョー → tōkyō); pass kuromoji's pronunciation rather than its reading
+// so particles come out as wa / e / o.
+const toRomaji = (kana) => {
+  const chars = [...toHiragana(kana)];
+  const syllables = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+    const next = chars[i + 1];
+    let romaji = SYLLABLES[char];
+
+    if (char === 'ー') {
+      const previous = syllables[syllables.length - 1] || '';
+      const vowel = MACRONS[previous.slice(-1)];
+      if (vowel) {
+        syllables[syllables.length - 1] = previous.slice(0, -1) + vowel;
+      } else {
+        syllables.push('-');
+      }
+      continue;
+    }
+
+    // っ and anything that is not kana pass through
+    if (romaji === undefined) {
+      syllables.push(PUNCTUATION[char] || char);
+      continue;
+    }
+
+    // きゃ kya, しゃ sha, ちゃ cha, じゃ ja
+    if (SMALL_Y[next] && romaji.length > 1 && romaji.endsWith('i')) {
+      const stem = romaji.slice(0, -1);
+      romaji = /(sh|ch|j)$/.test(stem) ? stem + SMALL_Y[next] : `${stem}y${SMALL_Y[next]}`;
+      i++;
+    } else if (SMALL_VOWELS[next] && !SMALL_VOWELS[char]) {
+      // Loanword sounds: ファ fa, ティ ti, シェ she, ウィ wi, イェ ye
+      const stem = char === 'う' ? 'w' : char === 'い' ? 'y' : romaji.replace(/[aiueo]$/, '');
+      romaji = stem + SMALL_VOWELS[next];
+      i++;
+    }
+
+    syllables.push(romaji);
+  }
+
+  // っ doubles the next consonant (っち → tchi); ん before a vowel or y is n'
+  return syllables.reduce((result, syllable, index) => {
+    if (syllable === 'っ') return result;
+    const previous = syllables[index - 1];
+    if (previous === 'っ' && /^[bcdfghjkmnprstvwz]/.test(syllable)) {
+      result += syllable.startsWith('ch') ? 't' : syllable[0];
+    }
+    if (result.endsWith('n') && syllables[index - 1] === 'n' && /^[aiueoy]/.test(syllable)) {
+      result += '\'';
+    }
+    return result + syllable;
+  }, '');
+};
+
+const SMALL_KANA = /^[ぁぃぅぇぉゃゅょゎゕゖ]$/;
+
+// Morae of a kana string, the unit of Japanese rhythm: small kana belong to
+// the mora before them (きょ), while っ, ん and ー count on their own.
+// Anything that is not kana is dropped.
+const toMorae = (kana) => [...toHiragana(kana)]
+  .filter(char => isKana(char))
+  .reduce((morae, char) => {
+    const previous = morae[morae.length - 1];
+    if (SMALL_KANA.test(char) && previous && !/^[っんー]$/.test(previous)) {
+      morae[morae.length - 1] += char;
+    } else {
+      morae.push(char);
+    }
+    return morae;
+  }, []);
+
+// Romaji to hiragana, the reverse of SYLLABLES plus the combinations toRomaji
+// produces and common non-Hepburn spellings (si, tu, sya, zi)
+const KANA_FOR_ROMAJI = Object.entries(SYLLABLES).reduce((table, [kana, romaji]) => {
+  if (!SMALL_KANA.test(kana) && !(romaji in table)) table[romaji] = kana;
+  return table;
+}, { wo: 'を', si: 'し', ti: 'ち', tu: 'つ', hu: 'ふ', zi: 'じ', di: 'ぢ', du: 'づ' });
+['き', 'し', 'ち', 'に', 'ひ', 'み', 'り', 'ぎ', 'じ', 'び', 'ぴ'].forEach(kana => {
+  Object.keys(SMALL_Y).forEach(small => {
+    KANA_FOR_ROMAJI[toRomaji(kana + small)] = kana + small;
+  });
+});
+Object.assign(KANA_FOR_ROMAJI, {
+  sya: 'しゃ', syu: 'しゅ', syo: 'しょ', tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
+  zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ', jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ',
+  fa: 'ふぁ', fi: 'ふぃ', fe: 'ふぇ', fo: 'ふぉ', she: 'しぇ', che: 'ちぇ', je: 'じぇ',
+  wi: 'うぃ', we: 'うぇ', ye: 'いぇ', '-': 'ー'
+});
+
+const LONG_VOWELS = { ā: 'aa', ī: 'ii', ū: 'uu', ē: 'ee', ō: 'ou', â: 'aa', î: 'ii', û: 'uu', ê: 'ee', ô: 'ou' };
+
+// Hiragana for romaji typed by a learner (taberu, tōkyō, kon'nichiwa,
+// gakkou). Longest match first; characters that are not romaji are kept.
+const fromRomaji = (romaji) => {
+  const text = romaji.toLowerCase().replace(/[āīūēōâîûêô]/g, vowel => LONG_VOWELS[vowel]);
+  let kana = '';
+
+  for (let i = 0; i < text.length;) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    // n before a consonant, an apostrophe or the end is ん
+    if (char === 'n' && (next === undefined || next === '\'' || !/[aiueoy]/.test(next))) {
+      kana += 'ん';
+      i += next === '\'' || (next === 'n' && !/[aiueoy]/.test(text[i + 2] || '')) ? 2 : 1;
+      continue;
+    }
+    // Doubled consonants (kk, tch) are っ
+    if (/[bcdfghjkmpqrstvwz]/.test(char) && (next === char || (char === 't' && next === 'c'))) {
+      kana += 'っ';
+      i += 1;
+      continue;
+    }
+
+    const length = [3, 2, 1].find(size => KANA_FOR_ROMAJI[text.slice(i, i + size)]);
+    if (length) {
+      kana += KANA_FOR_ROMAJI[text.slice(i, i + length)];
+      i += length;
+    } else {
+      kana += char;
+      i += 1;
+    }
+  }
+
+  return kana;
+};
+
+module.exports = {
+  hasKanji,
+  kanjiRuns,
+  isKana,
+  toHiragana,
+  toRomaji,
+  fromRomaji,
+  toMorae
+};
@@ -0,0 +1,118 @@
+const { CircuitOpenError, ModelTimeoutError, isRetryable } = require('../services/resilience');
+const { StructuredOutputError } = require('./structuredOutput');
+const { PromptGuardError } = require('../services/promptGuard');
+const { QueueFullError } = require('../services/jobs');
+const { ModerationError } = require('../services/moderation');
+const { BadRequestError, ConflictError } = require('./httpErrors');
+
+// Map a failed route or batch item to { status, headers, body }: 503 +
+// Retry-After when the breaker is open or the job queue is full, 504 on
+// timeouts, 503 for exhausted transient errors, 502 for unusable output,
+// 422 with `blocked: true` for moderated content, the guard's own status
+// for prompt guard failures and 400/409 for BadRequestError/ConflictError.
+const describeError = (error, message) => {
+  if (error instanceof CircuitOpenError) {
+    const retryAfter = Math.max(1, Math.ceil(error.retryAfterMs / 1000));
+    return {
+      status: 503,
+      headers: { 'Retry-After': String(retryAfter) },
+      body: {
+        success: false,
+        error: 'AI service temporarily unavailable',
+        details: error.message,
+        retryAfter: retryAfter
+      }
+    };
+  }
+
+  if (error instanceof QueueFullError) {
+    const retryAfter = Math.ceil(error.retryAfterMs / 1000);
+    return {
+      status: 503,
+      headers: { 'Retry-After': String(retryAfter) },
+      body: { success: false, error: message, details: error.message, retryAfter: retryAfter }
+    };
+  }
+
+  if (error instanceof ModelTimeoutError) {
+    return {
+      status: 504,
+      body: { success: false, error: message, details: error.message }
+    };
+  }
+
+  if (error instanceof PromptGuardError) {
+    return {
+      status: error.status,
+      body: {
+        success: false,
+        error: message,
+        reason: error.reason,
+        field: error.field,
+        details: error.message
+      }
+    };
+  }
+
+  if (error instanceof BadRequestError || error instanceof ConflictError) {
+    return {
+      status: error.status,
+      body: { success: false, error: message, details: error.message }
+    };
+  }
+
+  if (error instanceof ModerationError) {
+    return {
+      status: 422,
+      body: {
+        success: false,
+        error: message,
+        blocked: true,
+        stage: error.stage,
+        categories: error.categories,
+        moderationId: error.eventId,
+        details: error.message
+      }
+    };
+  }
+
+  if (error instanceof StructuredOutputError) {
+    return {
+      status: 502,
+      body: {
+        success: false,
+        error: message,
+        details: error.message,
+        validationErrors: error.errors,
+        attempts: error.attempts
+      }
+    };
+  }
+
+  if (isRetryable(error)) {
+    return {
+      status: 503,
+      headers: { 'Retry-After': '5' },
+      body: { success: false, error: message, details: error.message, retryAfter: 5 }
+    };
+  }
+
+  return {
+    status: 500,
+    body: { success: false, error: message, details: error.message }
+  };
+};
+
+// Send the JSON error response for a failed route
+const sendError = (res, error, message) => {
+  const { status, headers = {}, body } = describeError(error, message);
+  res.set(headers);
+  return res.status(status).json(body);
+};
+
+module.exports = {
+  BadRequestError,
+  ConflictError,
+  describeError,
+  sendError
+};
@@ -0,0 +1,174 @@
+// Minimal JSON Schema validator covering the subset used in this project:
+// type, properties, required, additionalProperties, items, minItems, maxItems,
+// enum, minLength, maxLength, minimum, maximum, pattern and nullable.
+// Enums marked `caseInsensitive` are matched by normalizeCase() first.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+const validate = (schema, value, path = '') => {
+  const errors = [];
+  const field = path || '(root)';
+  const fail = (message) => errors.push({ field, message });
+
+  if (value === undefined || value === null) {
+    if (value === null && schema.nullable) return errors;
+    if (value === null) fail('must not be null');
+    return errors;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    fail(`must be of type ${types.join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(schema.patternMessage || `must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validate(schema.items, item, `${path}[${i}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ field: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validate(properties[key], child, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: childPath, message: 'is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Copy of `value` with strings of `caseInsensitive` enums in their canonical
+// spelling ("indonesian" -> "Indonesian"); run before validate()
+const normalizeCase = (schema, value) => {
+  if (schema.caseInsensitive && schema.enum && typeof value === 'string') {
+    return schema.enum.find(option => option.toLowerCase() === value.toLowerCase()) || value;
+  }
+  if (schema.items && Array.isArray(value)) {
+    return value.map(item => normalizeCase(schema.items, item));
+  }
+  if (schema.properties && value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => (
+      [key, schema.properties[key] ? normalizeCase(schema.properties[key], child) : child]
+    )));
+  }
+  return value;
+};
+
+// Keys Vertex AI / Gemini accept in a responseSchema
+const RESPONSE_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems'];
+
+// Reduce a validation schema to what the model API understands
+const toResponseSchema = (schema) => {
+  const result = {};
+
+  RESPONSE_SCHEMA_KEYS.forEach((key) => {
+    if (schema[key] === undefined) return;
+
+    if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, child]) => [name, toResponseSchema(child)])
+      );
+    } else if (key === 'items') {
+      result.items = toResponseSchema(schema.items);
+    } else if (key === 'type' && schema.type === 'integer') {
+      result.type = 'integer';
+    } else {
+      result[key] = schema[key];
+    }
+  });
+
+  return result;
+};
+
+// Build a minimal value that satisfies the schema (used by the mock provider)
+const sampleFromSchema = (schema, name = 'value') => {
+  if (!schema) return null;
+  if (schema.enum) return schema.enum[0];
+
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, child]) => [key, sampleFromSchema(child, key)])
+      );
+    case 'array': {
+      const count = Math.max(schema.minItems || 0, 1);
+      return Array.from({ length: count }, (_, i) => sampleFromSchema(schema.items, `${name}${i + 1}`));
+    }
+    case 'integer':
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 1;
+    case 'boolean':
+      return true;
+    default: {
+      const text = `mock ${name}`;
+      return text.padEnd(schema.minLength || 0, '.').slice(0, schema.maxLength || undefined);
+    }
+  }
+};
+
+module.exports = {
+  validate,
+  normalizeCase,
+  toResponseSchema,
+  sampleFromSchema
+};
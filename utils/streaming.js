@@ -0,0 +1,126 @@
+const { sendError, describeError } = require('./routeErrors');
+const moderation = require('../services/moderation');
+const { ModerationError } = require('../services/moderation');
+const { withTimeout } = require('../services/resilience');
+
+// Streaming helpers for routes that can answer incrementally.
+// Clients opt in with `?stream=true`, `"stream": true` in the body, or an
+// Accept header of `text/event-stream` / `application/x-ndjson`. The output is
+// Server-Sent Events by default, or JSON lines with `?format=ndjson`.
+
+const wantsStream = (req) => {
+  const accept = req.get('Accept') || '';
+  return req.query.stream === 'true'
+    || req.body?.stream === true
+    || accept.includes('text/event-stream')
+    || accept.includes('application/x-ndjson');
+};
+
+const streamFormat = (req) => {
+  const accept = req.get('Accept') || '';
+  if (req.query.format === 'ndjson' || accept.includes('application/x-ndjson')) {
+    return 'ndjson';
+  }
+  return 'sse';
+};
+
+// Longest wait for the next chunk once a stream is open; the resilience
+// deadline only covers opening it
+const idleTimeoutMs = () => parseInt(process.env.MODEL_STREAM_IDLE_TIMEOUT_MS) || 30 * 1000;
+
+// Open the response for streaming and return a function that writes one event
+const openStream = (req, res) => {
+  const format = streamFormat(req);
+
+  res.status(200);
+  res.set({
+    'Content-Type': format === 'ndjson' ? 'application/x-ndjson; charset=utf-8' : 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (res.writableEnded) return;
+    if (format === 'ndjson') {
+      res.write(`${JSON.stringify({ event, ...data })}\n`);
+    } else {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+};
+
+// Pipe a generateContentStream() result to the client.
+// Emits `chunk` events with text deltas, then a single `done` event carrying
+// buildFinal(fullText, response), or an `error` event if the model fails or
+// sends nothing for MODEL_STREAM_IDLE_TIMEOUT_MS.
+// Failures before the first byte (e.g. an open circuit breaker) get a normal
+// JSON error response instead. Output is moderated before it is sent, so
+// chunks trail the model by a few characters; blocked output ends with an
+// `error` event marked `blocked: true` and none of the blocked text.
+const streamGeneration = async (req, res, streamPromise, { buildFinal, errorMessage }) => {
+  let result;
+  try {
+    result = await streamPromise;
+  } catch (error) {
+    console.error(`${errorMessage}:`, error);
+    return sendError(res, error, errorMessage);
+  }
+
+  const send = openStream(req, res);
+  // The response closes early only when the client disconnects
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  // Without output moderation (req.moderationRoute unset) chunks pass as is
+  const checker = req.moderationRoute
+    ? moderation.streamChecker({ route: req.moderationRoute, userId: req.user?.id })
+    : { push: delta => delta, end: () => '' };
+  const sendText = (delta) => {
+    if (delta) send('chunk', { text: delta });
+  };
+
+  const idleMs = idleTimeoutMs();
+  const chunks = result.stream[Symbol.asyncIterator]();
+  let text = '';
+  try {
+    for (;;) {
+      const { value: chunk, done } = await withTimeout(chunks.next(), idleMs);
+      if (done) break;
+      if (closed) return;
+      const delta = chunk.text();
+      if (delta) {
+        text += delta;
+        sendText(checker.push(delta));
+      }
+    }
+
+    const response = await withTimeout(Promise.resolve(result.response), idleMs);
+    sendText(checker.end());
+    send('done', buildFinal(text.trim(), response));
+  } catch (error) {
+    console.error(`${errorMessage}:`, error);
+    if (error instanceof ModerationError) {
+      return send('error', describeError(error, errorMessage).body);
+    }
+    send('error', {
+      success: false,
+      error: errorMessage,
+      details: error.message
+    });
+  } finally {
+    // Let the provider release a stream that was abandoned or stalled
+    Promise.resolve(chunks.return?.()).catch(() => {});
+    res.end();
+  }
+};
+
+module.exports = {
+  wantsStream,
+  streamFormat,
+  openStream,
+  streamGeneration
+};
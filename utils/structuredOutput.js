@@ -0,0 +1,104 @@
+const { validate, toResponseSchema } = require('./schema');
+const vertexAIConfig = require('../config/vertexai');
+
+// 0 disables repair attempts
+const configuredRetries = parseInt(process.env.STRUCTURED_OUTPUT_MAX_RETRIES);
+const DEFAULT_MAX_RETRIES = Number.isNaN(configuredRetries) ? 2 : Math.max(0, configuredRetries);
+
+class StructuredOutputError extends Error {
+  constructor(message, { errors = [], raw = '', attempts = 0 } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.raw = raw;
+    this.attempts = attempts;
+  }
+}
+
+// Pull JSON out of model text: strips markdown fences and surrounding prose
+const parseJSON = (text) => {
+  const trimmed = text.trim();
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1].trim() : trimmed;
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall back to the outermost array or object in the text
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf(']'), candidate.lastIndexOf('}'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+};
+
+const schemaInstruction = (schema) => `Respond with JSON only, no markdown and no explanation. The JSON must match this schema:
+${JSON.stringify(toResponseSchema(schema))}`;
+
+const repairPrompt = (raw, errors) => `Your previous response was not valid JSON for the required schema.
+
+Problems:
+${errors.map(error => `- ${error.field}: ${error.message}`).join('\n')}
+
+Previous response:
+${raw}
+
+Return the corrected JSON only.`;
+
+// Generate JSON that validates against `schema`, asking the model to repair
+// its output up to `maxRetries` times. Resolves to { data, attempts, raw, response }.
+// Options may carry the systemInstruction and generationConfig of a rendered
+// prompt template, `parts` (e.g. inline images) sent before the text and
+// `history`, earlier { role, parts } turns of a conversation.
+const generateStructured = async (model, prompt, schema, options = {}) => {
+  const { maxRetries = DEFAULT_MAX_RETRIES, generationConfig = {}, systemInstruction, parts = [], history = [] } = options;
+
+  const config = { ...generationConfig };
+  if (vertexAIConfig.supportsNativeJson()) {
+    config.responseMimeType = 'application/json';
+    config.responseSchema = toResponseSchema(schema);
+  }
+
+  const request = (text) => ({
+    contents: [
+      ...history.map(content => ({ role: content.role, parts: content.parts })),
+      { role: 'user', parts: [...parts, { text }] }
+    ],
+    ...(systemInstruction && { systemInstruction }),
+    generationConfig: config
+  });
+
+  let text = `${prompt}\n\n${schemaInstruction(schema)}`;
+  let raw = '';
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    const result = await model.generateContent(request(text));
+    const response = await result.response;
+    raw = response.text().trim();
+
+    try {
+      const data = parseJSON(raw);
+      errors = validate(schema, data);
+      if (errors.length === 0) {
+        return { data, attempts: attempt, raw, response };
+      }
+    } catch (error) {
+      errors = [{ field: '(root)', message: `invalid JSON: ${error.message}` }];
+    }
+
+    text = `${prompt}\n\n${schemaInstruction(schema)}\n\n${repairPrompt(raw, errors)}`;
+  }
+
+  throw new StructuredOutputError('Model output did not match the expected schema', {
+    errors,
+    raw,
+    attempts: maxRetries + 1
+  });
+};
+
+module.exports = {
+  StructuredOutputError,
+  parseJSON,
+  generateStructured
+};